@@ -1,21 +1,42 @@
 const dotenv = require("dotenv");
-const { authenticateAllWallets } = require("./src/api/signin");
+
+dotenv.config();
+
+const { EXIT_CODES } = require("./src/cli/exit-codes");
+
+let config;
+try {
+  config = require("./config");
+} catch (error) {
+  if (!error.problems) throw error;
+
+  console.error(error.message);
+  process.exit(EXIT_CODES.INVALID_CONFIG);
+}
+
 const {
   initDashboard,
   registerKeyHandler,
+  askQuestion,
   render,
   updateStatus,
   widgets,
 } = require("./src/ui");
 const {
+  prepareSessionTokens,
   initAutomation,
   startAutomation,
   pauseAutomation,
   resumeAutomation,
   manualSwitchAccount,
+  startSchedule,
+  cyclePointsChart,
   getRunningState,
 } = require("./src/automation");
 const { auth } = require("./src/api");
+const { generator, goals, stats } = require("./src/services");
+const { getConfigInfo, parseConfigArgs } = require("./src/config");
+const storage = require("./src/storage");
 const {
   log,
   logToFile,
@@ -24,7 +45,18 @@ const {
   backupLogFile,
 } = require("./src/utils");
 
-dotenv.config();
+function logStartup() {
+  logToFile("KlokApp Chat Automation started");
+
+  const configInfo = getConfigInfo();
+  logToFile("Configuration loaded", {
+    file: configInfo.file,
+    overrides: configInfo.overrides.map(
+      (override) => `${override.key} (${override.source})`
+    ),
+    warnings: configInfo.warnings,
+  });
+}
 
 async function main() {
   try {
@@ -34,75 +66,34 @@ async function main() {
 
     log("Welcome to KlokApp Chat Automation", "info");
     log("Press S to start, P to pause, R to resume, H for help", "info");
-    logToFile("KlokApp Chat Automation started");
-
-    const validTokenCount = await auth.verifyAndCleanupTokens();
-
-    if (validTokenCount === 0) {
-      log(
-        "No valid session tokens found. Attempting to authenticate...",
-        "info"
-      );
-      updateStatus("Authenticating...", "info");
-      render();
+    logStartup();
 
-      const privateKeys = process.env.PRIVATE_KEYS
-        ? process.env.PRIVATE_KEYS.split(",")
-        : [];
-      if (privateKeys.length === 0) {
-        log("No private keys found in .env file.", "error");
-        updateStatus("Missing private keys in .env file", "error");
-      } else {
-        log(
-          `Found ${privateKeys.length} private keys. Authenticating...`,
-          "info"
-        );
-
-        await authenticateAllWallets(privateKeys);
-
-        const tokens = auth.readAllSessionTokensFromFile();
+    const readyCount = await prepareSessionTokens();
 
-        if (tokens.length === 0) {
-          log("Authentication failed. No valid tokens received.", "error");
-          updateStatus("Authentication failed", "error");
-        } else {
-          log(
-            `Authentication successful! ${tokens.length} accounts ready.`,
-            "success"
-          );
-          updateStatus(
-            `${tokens.length} accounts ready. Press S to start`,
-            "success"
-          );
-        }
-      }
-    } else if (validTokenCount === 1) {
-      log("One valid session token found! Ready for login.", "success");
+    if (readyCount === 1) {
       updateStatus("Session token ready. Press S to start", "success");
-    } else {
-      log(
-        `${validTokenCount} valid session tokens found! Ready for login.`,
-        "success"
-      );
-      updateStatus(
-        `${validTokenCount} accounts ready. Press S to start`,
-        "success"
-      );
+    } else if (readyCount > 1) {
+      updateStatus(`${readyCount} accounts ready. Press S to start`, "success");
     }
 
     render();
 
-    await initAutomation();
+    // The cause is in info.log, initAutomation logs it to the file
+    if (!(await initAutomation())) {
+      process.exit(EXIT_CODES.ERROR);
+    }
+
+    startSchedule();
 
     registerKeyHandler("s", async () => {
       if (!getRunningState()) {
         const tokens = auth.readAllSessionTokensFromFile();
         if (tokens.length === 0) {
           log(
-            "No session tokens found. Please add session-token.key file.",
+            "No session tokens found. Run login or add a token to session-token.key.",
             "error"
           );
-          updateStatus("Missing session-token.key", "error");
+          updateStatus("No session tokens", "error");
           render();
           return;
         }
@@ -110,13 +101,13 @@ async function main() {
         const isValid = await auth.verifyToken(tokens[0]);
         if (!isValid) {
           log(
-            "Session tokens are expired. Attempting auto-refresh...",
+            "Session token is expired. Attempting auto-refresh...",
             "warning"
           );
           updateStatus("Refreshing expired tokens...", "warning");
           render();
 
-          const refreshed = await auth.refreshExpiredToken();
+          const refreshed = await auth.refreshExpiredToken(tokens[0]);
           if (!refreshed) {
             log(
               "Token refresh failed. Press 'A' to re-authenticate manually.",
@@ -188,7 +179,7 @@ async function main() {
         updateStatus("Re-authenticating...", "info");
         render();
 
-        const success = await auth.refreshExpiredToken();
+        const success = await auth.reauthenticateAllWallets();
         if (success) {
           log("Re-authentication successful!", "success");
           updateStatus(
@@ -239,25 +230,96 @@ async function main() {
       }
 
       try {
-        const tokens = auth.readAllSessionTokensFromFile();
+        const accounts = storage.accounts.listAccounts();
         const tokenInfo = auth.getTokenInfo();
 
-        if (tokens.length === 0) {
+        if (accounts.length === 0) {
           log("No accounts found", "warning");
-        } else if (tokens.length === 1) {
-          log("1 account configured", "info");
         } else {
           log(
-            `${tokens.length} accounts configured, current: ${
-              tokenInfo.currentIndex + 1
-            }/${tokenInfo.totalTokens}`,
+            `${accounts.length} accounts configured${
+              tokenInfo.label ? `, current: ${tokenInfo.label}` : ""
+            }`,
             "info"
           );
+
+          accounts.forEach((account) => {
+            const state = !account.enabled
+              ? "disabled"
+              : account.token
+              ? "ready"
+              : "no token";
+            const today = account.token
+              ? goals.getAccountGoals(account.token)
+              : null;
+            log(
+              `  ${account.label || account.address || "unnamed"}: ${state}${
+                today
+                  ? `, today: ${today.messages} messages, +${
+                      today.pointsGained
+                    } points${today.doneReason ? " (goal reached)" : ""}`
+                  : ""
+              }${
+                account.lastError
+                  ? ` - last error: ${account.lastError.message}`
+                  : ""
+              }`,
+              account.enabled && account.token ? "info" : "warning"
+            );
+          });
         }
       } catch (error) {
         log(`Error checking accounts: ${error.message}`, "error");
       }
 
+      try {
+        const wallets = storage.keystore.listWallets();
+        log(
+          `Keystore: ${wallets.length} wallets${
+            wallets.length > 0
+              ? storage.keystore.isUnlocked()
+                ? ", unlocked"
+                : ", locked (token refresh unavailable)"
+              : ""
+          }`,
+          wallets.length > 0 && !storage.keystore.isUnlocked()
+            ? "warning"
+            : "info"
+        );
+      } catch (error) {
+        log(`Error reading keystore: ${error.message}`, "error");
+      }
+
+      const promptStats = generator.getFallbackStats();
+      log(
+        `Prompts: ${
+          promptStats.generatedPrompts
+        } from ${generator.getBackendLabel()}, ${
+          promptStats.fallbackPrompts
+        } offline (${promptStats.fallbackRate}%)${
+          promptStats.active
+            ? " - backend unavailable, using offline prompts"
+            : ""
+        }`,
+        promptStats.active ? "warning" : "info"
+      );
+
+      const coverage = Object.entries(generator.getTopicCoverage());
+      if (coverage.length > 0) {
+        log(
+          `Topic coverage: ${coverage
+            .map(([topic, count]) => `${topic} ${count}`)
+            .join(", ")}`,
+          "info"
+        );
+      }
+
+      const dedupStats = storage.prompts.getDedupStats();
+      log(
+        `Prompt history: ${dedupStats.stored} stored, ${dedupStats.rejected}/${dedupStats.checked} rejected as duplicates (${dedupStats.rejectionRate}%)`,
+        "info"
+      );
+
       updateStatus("Info displayed", "info");
 
       setTimeout(() => {
@@ -271,6 +333,47 @@ async function main() {
       render();
     });
 
+    registerKeyHandler("c", () => {
+      log(`Points chart: ${cyclePointsChart()}`, "info");
+      render();
+    });
+
+    registerKeyHandler("e", async () => {
+      const answer = await askQuestion(
+        "Export stats for the last <days>, or <from> [<to>] as yyyy-MM-dd:",
+        "1"
+      );
+      if (answer === null) return;
+
+      // A single number is a count of days up to today, as report --days
+      const [first = "", second] = answer.trim().split(/\s+/);
+      const range = /^\d*$/.test(first)
+        ? stats.getReportRange({ days: Number(first || 1) })
+        : stats.getReportRange({ from: first, to: second });
+
+      if (!range) {
+        log(`Invalid report range: ${answer}`, "error");
+        render();
+        return;
+      }
+
+      try {
+        const { csvPath, jsonPath } = stats.exportReport(
+          range.from,
+          range.to,
+          config.STATS.reportDir
+        );
+        log(`This session: ${stats.formatSessionStats()}`, "info");
+        log(
+          `Report ${range.from} to ${range.to} saved to ${csvPath} and ${jsonPath}`,
+          "success"
+        );
+      } catch (error) {
+        log(`Error exporting report: ${error.message}`, "error");
+      }
+      render();
+    });
+
     registerKeyHandler("h", () => {
       log("Controls:", "info");
       log("S - Start automation (requires at least one session token)", "info");
@@ -280,6 +383,14 @@ async function main() {
         "A - When running: Switch to next account; When stopped: Re-authenticate",
         "info"
       );
+      if (config.SCHEDULE.enabled) {
+        log(
+          "S/P/R override the schedule until the next window starts or ends",
+          "info"
+        );
+      }
+      log("C - Show the next account in the points chart", "info");
+      log("E - Export a stats report (CSV and JSON)", "info");
       log("L - Clear log file and make backup", "info");
       log("I - Show file and account information", "info");
       log("H - Show this help", "info");
@@ -304,4 +415,31 @@ async function main() {
   }
 }
 
-main();
+getConfigInfo().warnings.forEach((warning) =>
+  console.warn(`Configuration warning: ${warning}`)
+);
+
+const [command = "run", ...commandArgs] = parseConfigArgs(
+  process.argv.slice(2)
+).rest;
+
+if (command !== "run") {
+  const { runCommand } = require("./src/cli");
+  runCommand(command, commandArgs).then((code) => process.exit(code));
+} else if (config.HEADLESS) {
+  logStartup();
+  require("./src/cli/headless").runHeadless();
+} else {
+  if (!process.stdout.isTTY) {
+    console.error(
+      "stdout is not a terminal, the dashboard will not display correctly. Use --headless to run without it."
+    );
+  }
+
+  // Ask for the keystore passphrase before the dashboard takes the terminal
+  const { unlockKeystore } = require("./src/cli/passphrase");
+  unlockKeystore().then(main, (error) => {
+    console.error(error.message);
+    process.exit(EXIT_CODES.AUTH_FAILED);
+  });
+}
@@ -0,0 +1,130 @@
+/**
+ * Built-in scenarios for the mock KlokApp server.
+ *
+ * A scenario is a plain object:
+ *   - description      {string}
+ *   - rateLimit        {Object} { limit, resetSeconds }
+ *   - pointsPerChat    {number} inference points credited per completed chat
+ *   - creditAborted    {boolean} credit points even when the stream is aborted
+ *   - tokenTtlRequests {number} authenticated requests a token survives (0 = forever)
+ *   - chunkDelayMs     {number} delay between streamed chat chunks
+ *   - faults           {Array<Object>} injected failures, see below
+ *
+ * A fault is { endpoint, type, ... } where endpoint is a path such as "/chat"
+ * or "*", and type is one of:
+ *   - "status"       respond with `status` (and optional `body`)
+ *   - "hangup"       destroy the socket without a response
+ *   - "abort-stream" start a /chat stream and destroy it after `afterChunks`
+ *   - "truncate-stream" end a /chat stream normally after `afterChunks`,
+ *                    without the done frame and [DONE]
+ *   - "stall"        keep the connection open without sending anything
+ * Firing is controlled by `times` (fire the first N matching requests),
+ * `every` (fire every Nth matching request) or `probability` (0..1).
+ * A fault without any of these fires on every matching request.
+ */
+
+const DEFAULT_SCENARIO = {
+  description: "Healthy backend",
+  rateLimit: { limit: 10, resetSeconds: 120 },
+  pointsPerChat: 1,
+  creditAborted: true,
+  tokenTtlRequests: 0,
+  chunkDelayMs: 20,
+  faults: [],
+};
+
+const scenarios = {
+  healthy: {},
+
+  "token-expiry": {
+    description: "Session tokens expire after 6 authenticated requests (401)",
+    tokenTtlRequests: 6,
+  },
+
+  "server-errors": {
+    description: "Every endpoint fails with 503 for the first 3 requests",
+    faults: [{ endpoint: "*", type: "status", status: 503, times: 3 }],
+  },
+
+  "server-storm": {
+    description: "Random 500/502 responses on roughly half of all requests",
+    faults: [
+      { endpoint: "*", type: "status", status: 500, probability: 0.25 },
+      { endpoint: "*", type: "status", status: 502, probability: 0.25 },
+    ],
+  },
+
+  "socket-hangup": {
+    description: "Every third /chat request hangs up the socket",
+    faults: [{ endpoint: "/chat", type: "hangup", every: 3 }],
+  },
+
+  "stream-abort": {
+    description: "Chat streams abort mid-answer; points are still credited",
+    faults: [{ endpoint: "/chat", type: "abort-stream", afterChunks: 2 }],
+  },
+
+  "stream-abort-no-points": {
+    description: "Chat streams abort mid-answer and no points are credited",
+    creditAborted: false,
+    faults: [{ endpoint: "/chat", type: "abort-stream", afterChunks: 2 }],
+  },
+
+  "stream-truncated": {
+    description: "Chat streams end after two chunks without [DONE]",
+    faults: [{ endpoint: "/chat", type: "truncate-stream", afterChunks: 2 }],
+  },
+
+  "stream-stall": {
+    description: "Chat streams send two chunks and then go silent",
+    faults: [{ endpoint: "/chat", type: "stall", afterChunks: 2 }],
+  },
+
+  "rate-limit": {
+    description: "Small quota (3 messages) with a 45 second reset window",
+    rateLimit: { limit: 3, resetSeconds: 45 },
+  },
+
+  "no-points": {
+    description: "Chats complete but inference points never increase",
+    pointsPerChat: 0,
+  },
+};
+
+/**
+ * @param {string|Object} nameOrScenario
+ * @returns {Object}
+ */
+function resolveScenario(nameOrScenario) {
+  let scenario = nameOrScenario;
+  let name = "custom";
+
+  if (typeof nameOrScenario === "string") {
+    name = nameOrScenario;
+    scenario = scenarios[nameOrScenario];
+
+    if (!scenario) {
+      throw new Error(
+        `Unknown mock scenario "${nameOrScenario}". Available: ${Object.keys(
+          scenarios
+        ).join(", ")}`
+      );
+    }
+  } else if (nameOrScenario && nameOrScenario.name) {
+    name = nameOrScenario.name;
+  }
+
+  return {
+    ...DEFAULT_SCENARIO,
+    ...scenario,
+    name,
+    rateLimit: { ...DEFAULT_SCENARIO.rateLimit, ...(scenario.rateLimit || {}) },
+    faults: (scenario.faults || []).map((fault) => ({ ...fault, hits: 0 })),
+  };
+}
+
+module.exports = {
+  scenarios,
+  resolveScenario,
+  DEFAULT_SCENARIO,
+};
@@ -0,0 +1,593 @@
+#!/usr/bin/env node
+/**
+ * Self-contained stand-in for the KlokApp backend.
+ *
+ * Implements /me, /points, /rate-limit, /models, /chat and /verify under
+ * the /v1 prefix, plus a small /__mock control API used to switch scenarios
+ * at runtime. Point the bot at it with KLOK_BASE_URL=http://127.0.0.1:8787/v1
+ *
+ * Usage: node mock/server.js [--port 8787] [--host 127.0.0.1] [--scenario name]
+ *        node mock/server.js --list
+ */
+
+const http = require("http");
+const crypto = require("crypto");
+const { verifyMessage } = require("ethers");
+const { scenarios, resolveScenario } = require("./scenarios");
+
+const API_PREFIX = "/v1";
+const CONTROL_PREFIX = "/__mock";
+
+const MODELS = [
+  {
+    id: 1,
+    name: "llama-3.3-70b-instruct",
+    display: "Llama 3.3 70B",
+    is_pro: false,
+    active: true,
+  },
+  {
+    id: 2,
+    name: "deepseek-r1",
+    display: "DeepSeek R1",
+    is_pro: false,
+    active: true,
+  },
+  {
+    id: 3,
+    name: "gpt-4o",
+    display: "GPT-4o",
+    is_pro: true,
+    active: true,
+  },
+];
+
+/**
+ * @param {Object} options
+ * @param {string|Object} options.scenario
+ * @param {number} options.port
+ * @param {string} options.host
+ * @param {Function} options.logger
+ * @returns {Object}
+ */
+function createMockServer(options = {}) {
+  const host = options.host || "127.0.0.1";
+  const logger = options.logger || (() => {});
+
+  let scenario = resolveScenario(options.scenario || "healthy");
+  let accounts = new Map();
+  let tokens = new Map();
+  let requestCount = 0;
+
+  /**
+   * @param {string} key
+   * @returns {Object}
+   */
+  function getAccount(key) {
+    if (!accounts.has(key)) {
+      accounts.set(key, {
+        key,
+        userId: crypto.randomUUID(),
+        inference: 0,
+        referral: 0,
+        used: 0,
+        windowStart: 0,
+      });
+    }
+    return accounts.get(key);
+  }
+
+  /**
+   * @param {string} token
+   * @returns {Object}
+   */
+  function getTokenRecord(token) {
+    if (!tokens.has(token)) {
+      tokens.set(token, {
+        account: `token:${token.substring(0, 10)}`,
+        requests: 0,
+        expired: false,
+      });
+    }
+    return tokens.get(token);
+  }
+
+  /**
+   * @param {Object} account
+   * @returns {Object}
+   */
+  function getRateLimit(account) {
+    const windowMs = scenario.rateLimit.resetSeconds * 1000;
+    if (account.windowStart && Date.now() - account.windowStart >= windowMs) {
+      account.used = 0;
+      account.windowStart = 0;
+    }
+
+    const remaining = Math.max(0, scenario.rateLimit.limit - account.used);
+    const resetTime = account.windowStart
+      ? Math.ceil((account.windowStart + windowMs - Date.now()) / 1000)
+      : 0;
+
+    return {
+      limit: scenario.rateLimit.limit,
+      remaining,
+      reset_time: resetTime,
+      current_usage: account.used,
+    };
+  }
+
+  /**
+   * @param {Object} account
+   */
+  function consumeQuota(account) {
+    if (!account.windowStart) {
+      account.windowStart = Date.now();
+    }
+    account.used++;
+  }
+
+  /**
+   * @param {string} endpoint
+   * @returns {Object|null}
+   */
+  function pickFault(endpoint) {
+    for (const fault of scenario.faults) {
+      if (fault.endpoint !== "*" && fault.endpoint !== endpoint) continue;
+
+      fault.hits++;
+
+      let fire = true;
+      if (fault.times !== undefined) {
+        fire = fault.hits <= fault.times;
+      } else if (fault.every !== undefined) {
+        fire = fault.hits % fault.every === 0;
+      } else if (fault.probability !== undefined) {
+        fire = Math.random() < fault.probability;
+      }
+
+      if (fire) return fault;
+    }
+    return null;
+  }
+
+  /**
+   * @param {http.ServerResponse} res
+   * @param {number} status
+   * @param {any} body
+   */
+  function sendJson(res, status, body) {
+    const payload = JSON.stringify(body);
+    res.writeHead(status, {
+      "content-type": "application/json",
+      "content-length": Buffer.byteLength(payload),
+    });
+    res.end(payload);
+  }
+
+  /**
+   * @param {http.IncomingMessage} req
+   * @returns {Promise<any>}
+   */
+  function readBody(req) {
+    return new Promise((resolve, reject) => {
+      let raw = "";
+      req.on("data", (chunk) => {
+        raw += chunk;
+      });
+      req.on("end", () => {
+        if (!raw) return resolve(null);
+        try {
+          resolve(JSON.parse(raw));
+        } catch (error) {
+          reject(error);
+        }
+      });
+      req.on("error", reject);
+    });
+  }
+
+  /**
+   * @param {string} prompt
+   * @returns {Array<string>}
+   */
+  function buildAnswerChunks(prompt) {
+    const topic = (prompt || "your question").substring(0, 80);
+    const answer =
+      `This is a mock answer about "${topic}". ` +
+      "The mock KlokApp server streams it in several small chunks " +
+      "so that clients can assemble the full response incrementally.";
+
+    return answer.match(/\S+\s*/g) || [answer];
+  }
+
+  /**
+   * @param {http.IncomingMessage} req
+   * @param {http.ServerResponse} res
+   * @param {Object} account
+   * @param {Object|null} fault
+   */
+  async function handleChat(req, res, account, fault) {
+    const body = (await readBody(req)) || {};
+    const rateLimit = getRateLimit(account);
+
+    if (rateLimit.remaining <= 0) {
+      return sendJson(res, 429, {
+        error: "rate limit exceeded",
+        reset_time: rateLimit.reset_time,
+      });
+    }
+
+    consumeQuota(account);
+
+    const messages = Array.isArray(body.messages) ? body.messages : [];
+    const lastUser = [...messages].reverse().find((m) => m.role === "user");
+    const chunks = buildAnswerChunks(lastUser && lastUser.content);
+
+    res.writeHead(200, {
+      "content-type": "text/event-stream",
+      "cache-control": "no-cache",
+      connection: "keep-alive",
+    });
+
+    const cutAfter =
+      fault && ["abort-stream", "truncate-stream", "stall"].includes(fault.type)
+        ? Math.min(fault.afterChunks || 0, chunks.length)
+        : chunks.length;
+
+    let closed = false;
+    res.on("close", () => {
+      closed = true;
+    });
+
+    for (let i = 0; i < cutAfter && !closed; i++) {
+      res.write(`data: ${JSON.stringify({ content: chunks[i] })}\n\n`);
+      await new Promise((resolve) =>
+        setTimeout(resolve, scenario.chunkDelayMs)
+      );
+    }
+
+    if (fault && fault.type === "abort-stream") {
+      if (scenario.creditAborted) {
+        account.inference += scenario.pointsPerChat;
+      }
+      logger(`chat stream aborted after ${cutAfter} chunks`);
+      req.socket.destroy();
+      return;
+    }
+
+    if (fault && fault.type === "truncate-stream") {
+      if (scenario.creditAborted) {
+        account.inference += scenario.pointsPerChat;
+      }
+      logger(`chat stream ended early after ${cutAfter} chunks`);
+      res.end();
+      return;
+    }
+
+    if (fault && fault.type === "stall") {
+      logger(`chat stream stalled after ${cutAfter} chunks`);
+      return;
+    }
+
+    account.inference += scenario.pointsPerChat;
+
+    if (!closed) {
+      res.write(
+        `data: ${JSON.stringify({
+          done: true,
+          model: body.model || null,
+          thread_id: body.id || null,
+        })}\n\n`
+      );
+      res.write("data: [DONE]\n\n");
+      res.end();
+    }
+  }
+
+  /**
+   * @param {http.IncomingMessage} req
+   * @param {http.ServerResponse} res
+   */
+  async function handleVerify(req, res) {
+    const body = (await readBody(req)) || {};
+
+    let address;
+    try {
+      address = verifyMessage(body.message, body.signedMessage).toLowerCase();
+    } catch (error) {
+      return sendJson(res, 400, { error: "invalid signature" });
+    }
+
+    const claimed = (body.message || "").match(/0x[a-fA-F0-9]{40}/);
+    if (!claimed || claimed[0].toLowerCase() !== address) {
+      return sendJson(res, 401, { error: "signature does not match address" });
+    }
+
+    const sessionToken = crypto.randomBytes(24).toString("hex");
+    getAccount(address);
+    tokens.set(sessionToken, { account: address, requests: 0, expired: false });
+
+    logger(`issued token ${sessionToken.substring(0, 10)}... for ${address}`);
+    sendJson(res, 200, { session_token: sessionToken });
+  }
+
+  /**
+   * @param {http.IncomingMessage} req
+   * @param {http.ServerResponse} res
+   * @param {string} pathname
+   */
+  async function handleControl(req, res, pathname) {
+    const route = pathname.substring(CONTROL_PREFIX.length);
+
+    if (req.method === "GET" && route === "/state") {
+      return sendJson(res, 200, getState());
+    }
+
+    if (req.method === "GET" && route === "/scenarios") {
+      return sendJson(
+        res,
+        200,
+        Object.keys(scenarios).map((name) => ({
+          name,
+          description: resolveScenario(name).description,
+        }))
+      );
+    }
+
+    if (req.method === "POST" && route === "/scenario") {
+      const body = (await readBody(req)) || {};
+      try {
+        setScenario(body.scenario || body.name || body);
+      } catch (error) {
+        return sendJson(res, 400, { error: error.message });
+      }
+      return sendJson(res, 200, { scenario: scenario.name });
+    }
+
+    if (req.method === "POST" && route === "/reset") {
+      reset();
+      return sendJson(res, 200, { reset: true });
+    }
+
+    if (req.method === "POST" && route === "/expire-tokens") {
+      tokens.forEach((record) => {
+        record.expired = true;
+      });
+      return sendJson(res, 200, { expired: tokens.size });
+    }
+
+    sendJson(res, 404, { error: "unknown control route" });
+  }
+
+  /**
+   * @param {http.IncomingMessage} req
+   * @param {http.ServerResponse} res
+   */
+  async function handleRequest(req, res) {
+    const { pathname } = new URL(req.url, `http://${host}`);
+
+    if (pathname.startsWith(CONTROL_PREFIX)) {
+      return handleControl(req, res, pathname);
+    }
+
+    if (!pathname.startsWith(API_PREFIX)) {
+      return sendJson(res, 404, { error: "not found" });
+    }
+
+    const endpoint = pathname.substring(API_PREFIX.length) || "/";
+    requestCount++;
+    logger(`${req.method} ${endpoint} [${scenario.name}]`);
+
+    const fault = pickFault(endpoint);
+
+    if (fault && fault.type === "status") {
+      return sendJson(
+        res,
+        fault.status || 500,
+        fault.body || { error: "fault" }
+      );
+    }
+
+    if (fault && fault.type === "hangup") {
+      req.socket.destroy();
+      return;
+    }
+
+    if (req.method === "POST" && endpoint === "/verify") {
+      return handleVerify(req, res);
+    }
+
+    const token = req.headers["x-session-token"];
+    if (!token) {
+      return sendJson(res, 401, { error: "missing session token" });
+    }
+
+    const record = getTokenRecord(token);
+    record.requests++;
+
+    if (
+      scenario.tokenTtlRequests > 0 &&
+      record.requests > scenario.tokenTtlRequests
+    ) {
+      record.expired = true;
+    }
+
+    if (record.expired) {
+      return sendJson(res, 401, { error: "session expired" });
+    }
+
+    const account = getAccount(record.account);
+
+    if (req.method === "GET" && endpoint === "/me") {
+      return sendJson(res, 200, {
+        user_id: account.userId,
+        auth_provider: "wallet",
+        user_exists: true,
+        tier: "free",
+      });
+    }
+
+    if (req.method === "GET" && endpoint === "/points") {
+      return sendJson(res, 200, {
+        total_points: account.inference + account.referral,
+        points: {
+          inference: account.inference,
+          referral: account.referral,
+        },
+      });
+    }
+
+    if (req.method === "GET" && endpoint === "/rate-limit") {
+      return sendJson(res, 200, getRateLimit(account));
+    }
+
+    if (req.method === "GET" && endpoint === "/models") {
+      return sendJson(res, 200, MODELS);
+    }
+
+    if (req.method === "POST" && endpoint === "/chat") {
+      return handleChat(req, res, account, fault);
+    }
+
+    sendJson(res, 404, { error: `unknown endpoint ${req.method} ${endpoint}` });
+  }
+
+  const server = http.createServer((req, res) => {
+    handleRequest(req, res).catch((error) => {
+      logger(`handler error: ${error.message}`);
+      if (!res.headersSent) {
+        sendJson(res, 500, { error: error.message });
+      } else {
+        res.destroy();
+      }
+    });
+  });
+
+  /**
+   * @param {string|Object} nameOrScenario
+   */
+  function setScenario(nameOrScenario) {
+    scenario = resolveScenario(nameOrScenario);
+    logger(`scenario set to ${scenario.name}`);
+  }
+
+  function reset() {
+    accounts = new Map();
+    tokens = new Map();
+    requestCount = 0;
+    scenario = resolveScenario(
+      scenario.name === "custom" ? "healthy" : scenario.name
+    );
+  }
+
+  /**
+   * @returns {Object}
+   */
+  function getState() {
+    return {
+      scenario: scenario.name,
+      description: scenario.description,
+      requestCount,
+      accounts: [...accounts.values()].map((account) => ({
+        account: account.key,
+        inference: account.inference,
+        rateLimit: getRateLimit(account),
+      })),
+      tokens: [...tokens.entries()].map(([token, record]) => ({
+        token: token.substring(0, 10) + "...",
+        account: record.account,
+        requests: record.requests,
+        expired: record.expired,
+      })),
+    };
+  }
+
+  /**
+   * @param {number} port
+   * @returns {Promise<string>} Base URL to use as config.BASE_URL
+   */
+  function start(port = options.port || 0) {
+    return new Promise((resolve, reject) => {
+      server.once("error", reject);
+      server.listen(port, host, () => {
+        server.off("error", reject);
+        resolve(`http://${host}:${server.address().port}${API_PREFIX}`);
+      });
+    });
+  }
+
+  /**
+   * @returns {Promise<void>}
+   */
+  function stop() {
+    return new Promise((resolve) => {
+      if (server.closeAllConnections) server.closeAllConnections();
+      server.close(() => resolve());
+    });
+  }
+
+  return {
+    server,
+    start,
+    stop,
+    setScenario,
+    reset,
+    getState,
+  };
+}
+
+/**
+ * @param {Array<string>} argv
+ * @returns {Object}
+ */
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "--list") {
+      args.list = true;
+    } else if (arg.startsWith("--")) {
+      args[arg.substring(2)] = argv[++i];
+    }
+  }
+  return args;
+}
+
+if (require.main === module) {
+  const args = parseArgs(process.argv.slice(2));
+
+  if (args.list) {
+    Object.keys(scenarios).forEach((name) => {
+      console.log(`${name.padEnd(24)} ${resolveScenario(name).description}`);
+    });
+    process.exit(0);
+  }
+
+  const mock = createMockServer({
+    port: Number(args.port || process.env.MOCK_PORT || 8787),
+    host: args.host || process.env.MOCK_HOST || "127.0.0.1",
+    scenario: args.scenario || process.env.MOCK_SCENARIO || "healthy",
+    logger: (message) =>
+      console.log(`[mock ${new Date().toISOString()}] ${message}`),
+  });
+
+  mock
+    .start()
+    .then((baseUrl) => {
+      console.log(`Mock KlokApp API listening on ${baseUrl}`);
+      console.log(`Scenario: ${mock.getState().scenario}`);
+      console.log(`Run the bot with KLOK_BASE_URL=${baseUrl}`);
+    })
+    .catch((error) => {
+      console.error(`Failed to start mock server: ${error.message}`);
+      process.exit(1);
+    });
+
+  const shutdown = () => mock.stop().then(() => process.exit(0));
+  process.on("SIGINT", shutdown);
+  process.on("SIGTERM", shutdown);
+}
+
+module.exports = {
+  createMockServer,
+};
@@ -1,5 +1,3 @@
-const fs = require("fs");
-const path = require("path");
 const axios = require("axios");
 const config = require("../../config");
 const {
@@ -8,15 +6,10 @@ const {
   logApiRequest,
   logApiResponse,
   logApiError,
-  readFile,
-  fileExists,
+  setAccountProvider,
 } = require("../utils");
-
-const SESSION_TOKEN_PATH = path.join(process.cwd(), "session-token.key");
-
-const MAX_RETRIES = 5;
-const RETRY_DELAY_MS = 2000;
-const RETRY_MULTIPLIER = 1.5;
+const { keystore, accounts: accountStore } = require("../storage");
+const { stats } = require("../services");
 
 let sessionToken = null;
 let cachedUserInfo = null;
@@ -24,6 +17,12 @@ let cachedUserInfo = null;
 let allTokens = [];
 let currentTokenIndex = 0;
 
+setAccountProvider(() => (sessionToken ? currentTokenIndex : null));
+
+// Refreshes in flight by token, and the last token replaced per account
+const pendingRefreshes = new Map();
+const replacedTokens = new Map();
+
 /**
  * @returns {string|null}
  */
@@ -39,33 +38,40 @@ function getTokenInfo() {
     currentIndex: currentTokenIndex,
     totalTokens: allTokens.length,
     hasMultipleTokens: allTokens.length > 1,
+    label:
+      allTokens.length > 0
+        ? accountStore.getLabel(allTokens[currentTokenIndex])
+        : null,
   };
 }
 
 /**
+ * Tokens in rotation, in account order
+ * @returns {Array<string>}
+ */
+function getAllTokens() {
+  return [...allTokens];
+}
+
+/**
+ * Tokens of the enabled accounts in accounts.json (session-token.key is
+ * migrated into it automatically)
  * @returns {Array<string>}
  */
 function readAllSessionTokensFromFile() {
   try {
-    if (fileExists(SESSION_TOKEN_PATH)) {
-      const fileContent = readFile(SESSION_TOKEN_PATH);
-      if (fileContent && fileContent.trim().length > 0) {
-        const tokens = fileContent
-          .split("\n")
-          .map((line) => line.trim())
-          .filter((line) => line.length > 0);
-
-        logToFile("Read session tokens from file", {
-          tokenCount: tokens.length,
-          tokenPreview: tokens.map((t) => t.substring(0, 10) + "..."),
-        });
-
-        return tokens;
-      }
+    const tokens = accountStore.getActiveTokens();
+
+    if (tokens.length > 0) {
+      logToFile("Read session tokens from account store", {
+        tokenCount: tokens.length,
+        tokenPreview: tokens.map((t) => t.substring(0, 10) + "..."),
+      });
     }
-    return [];
+
+    return tokens;
   } catch (error) {
-    logToFile("Error reading session tokens from file", {
+    logToFile("Error reading session tokens from account store", {
       error: error.message,
     });
     return [];
@@ -73,10 +79,11 @@ function readAllSessionTokensFromFile() {
 }
 
 /**
- * @param {string}
- * @returns {Promise<boolean>}
+ * @param {string} token
+ * @returns {Promise<string>} "valid", "invalid" when the server rejects it
+ *   with 401/403, or "unknown" when the server can't be asked
  */
-async function verifyToken(token) {
+async function checkToken(token) {
   try {
     log("Verifying token validity...", "info");
     logToFile("Verifying token validity");
@@ -92,22 +99,37 @@ async function verifyToken(token) {
       const response = await axios.get(`${config.BASE_URL}/me`, {
         headers: headers,
         timeout: 10000,
+        // A 401/403 answers the question; don't refresh or switch accounts
+        validateStatus: (status) => status < 500,
       });
 
       logApiResponse("/me", response.data, response.status, response.headers);
-      return response.status === 200;
+      if (response.status === 200) return "valid";
+      if (response.status === 401 || response.status === 403) return "invalid";
+      return "unknown";
     };
 
     return await executeWithRetry(verifyRequest, "Token verification");
   } catch (error) {
     log(`Token verification failed: ${error.message}`, "warning");
     logToFile("Token verification failed", { error: error.message });
-    return false;
+    return "unknown";
   }
 }
 
 /**
- * @returns {Promise<number>}
+ * @param {string} token
+ * @returns {Promise<boolean>}
+ */
+async function verifyToken(token) {
+  return (await checkToken(token)) === "valid";
+}
+
+/**
+ * Verify every stored token and put them in rotation. Only tokens the
+ * server rejects with 401/403 are removed from their accounts; tokens that
+ * can't be checked are kept.
+ * @returns {Promise<number>} number of tokens in rotation
  */
 async function verifyAndCleanupTokens() {
   try {
@@ -127,23 +149,26 @@ async function verifyAndCleanupTokens() {
 
     for (let i = 0; i < tokens.length; i++) {
       const token = tokens[i];
-      log(`Verifying token ${i + 1}/${tokens.length}...`, "info");
+      const label = accountStore.getLabel(token);
+      log(`Verifying token ${i + 1}/${tokens.length} (${label})...`, "info");
 
-      const isValid = await verifyToken(token);
+      const status = await checkToken(token);
 
-      if (isValid) {
+      if (status === "valid") {
         validTokens.push(token);
-        log(`Token ${i + 1}/${tokens.length} is valid`, "success");
+        accountStore.markVerified(token);
+        log(`Token of ${label} is valid`, "success");
+      } else if (status === "invalid") {
+        accountStore.markError(token, "Token invalid or expired", true);
+        log(`Token of ${label} is invalid or expired`, "warning");
       } else {
-        log(`Token ${i + 1}/${tokens.length} is invalid or expired`, "warning");
+        // Not a verdict on the token, keep it and let requests retry
+        validTokens.push(token);
+        accountStore.markError(token, "Token could not be verified");
+        log(`Token of ${label} could not be verified, keeping it`, "warning");
       }
     }
 
-    fs.writeFileSync(
-      SESSION_TOKEN_PATH,
-      validTokens.join("\n") + (validTokens.length > 0 ? "\n" : "")
-    );
-
     log(
       `Token verification complete. ${validTokens.length}/${tokens.length} tokens are valid`,
       validTokens.length > 0 ? "success" : "warning"
@@ -185,9 +210,10 @@ function getCurrentSessionToken() {
 }
 
 /**
+ * @param {number} index - account to switch to, defaults to the next one
  * @returns {string|null}
  */
-function switchToNextToken() {
+function switchToNextToken(index) {
   if (allTokens.length === 0) {
     allTokens = readAllSessionTokensFromFile();
   }
@@ -196,11 +222,16 @@ function switchToNextToken() {
     return null;
   }
 
-  currentTokenIndex = (currentTokenIndex + 1) % allTokens.length;
+  currentTokenIndex =
+    index === undefined
+      ? (currentTokenIndex + 1) % allTokens.length
+      : index % allTokens.length;
   sessionToken = allTokens[currentTokenIndex];
 
   log(
-    `Switched to account ${currentTokenIndex + 1}/${allTokens.length}`,
+    `Switched to account ${accountStore.getLabel(sessionToken)} (${
+      currentTokenIndex + 1
+    }/${allTokens.length})`,
     "info"
   );
   logToFile(`Switched to next token`, {
@@ -214,6 +245,15 @@ function switchToNextToken() {
   return sessionToken;
 }
 
+/**
+ * Send the following requests with a specific session token
+ * @param {string} token
+ */
+function useSessionToken(token) {
+  sessionToken = token;
+  cachedUserInfo = null;
+}
+
 /**
  * @param {Object} headers
  * @returns {Object}
@@ -231,107 +271,195 @@ function getAuthHeaders(headers = {}) {
 }
 
 /**
- * Refresh expired token by re-authenticating with wallet private keys
+ * @param {string} address
+ * @returns {Promise<Object|null>} ethers Wallet with that address
+ */
+async function findWallet(address) {
+  const { Wallet } = require("ethers");
+
+  for (const key of await keystore.getPrivateKeys()) {
+    try {
+      const wallet = new Wallet(key);
+      if (wallet.address.toLowerCase() === address.toLowerCase()) {
+        return wallet;
+      }
+    } catch (error) {
+      // Invalid keys are reported when signing in
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Put a refreshed token in the place of the expired one, so the rotation
+ * order and the other accounts stay untouched
+ * @param {string} oldToken
+ * @param {string} newToken
+ */
+function replaceToken(oldToken, newToken) {
+  replacedTokens.set(accountStore.getAccountKey(newToken), oldToken);
+
+  const index = allTokens.indexOf(oldToken);
+  if (index >= 0) {
+    allTokens[index] = newToken;
+  } else {
+    allTokens = readAllSessionTokensFromFile();
+  }
+
+  if (sessionToken === oldToken) {
+    sessionToken = newToken;
+    cachedUserInfo = null;
+  }
+}
+
+/**
+ * Refresh an expired token by signing in again with the wallet that owns it.
+ * Requests that fail at the same time share one sign-in, and the token an
+ * account was last refreshed from is not refreshed again.
+ * @param {string} token - defaults to the current session token
+ * @returns {Promise<boolean>}
+ */
+function refreshExpiredToken(token = sessionToken) {
+  if ([...replacedTokens.values()].includes(token)) {
+    return Promise.resolve(true);
+  }
+
+  if (!pendingRefreshes.has(token)) {
+    pendingRefreshes.set(
+      token,
+      refreshWalletToken(token).finally(() => pendingRefreshes.delete(token))
+    );
+  }
+
+  return pendingRefreshes.get(token);
+}
+
+/**
+ * @param {string} token
  * @returns {Promise<boolean>}
  */
-async function refreshExpiredToken() {
+async function refreshWalletToken(token) {
+  const label = token ? accountStore.getLabel(token) : "current account";
+
   try {
-    log("Token expired, attempting automatic refresh...", "warning");
-    logToFile("Automatic token refresh initiated");
+    log(
+      `Token of ${label} expired, attempting automatic refresh...`,
+      "warning"
+    );
+    logToFile("Automatic token refresh initiated", { account: label });
 
-    const privateKeys = process.env.PRIVATE_KEYS
-      ? process.env.PRIVATE_KEYS.split(",")
-      : [];
+    const account = token ? accountStore.findByToken(token) : null;
+    if (!account || !account.address) {
+      log(`No wallet is linked to ${label}, cannot refresh its token`, "error");
+      logToFile("Token refresh failed - no wallet linked to token", {
+        account: label,
+      });
+      return false;
+    }
 
-    if (privateKeys.length === 0) {
-      log("No private keys found in .env file for token refresh", "error");
-      logToFile("Token refresh failed - no private keys available");
+    const wallet = await findWallet(account.address);
+    if (!wallet) {
+      log(`No wallet key available to refresh ${label}`, "error");
+      logToFile("Token refresh failed - wallet key not available", {
+        account: label,
+        address: account.address.substring(0, 10) + "...",
+      });
       return false;
     }
 
-    log(
-      `Found ${privateKeys.length} private keys. Re-authenticating...`,
-      "info"
-    );
+    const { authenticate } = require("./signin");
+    const result = await authenticate(wallet);
 
-    const { Wallet } = require("ethers");
-    const walletAddresses = privateKeys
-      .map((pk) => {
-        try {
-          const wallet = new Wallet(pk.trim());
-          return wallet.address.toLowerCase();
-        } catch (err) {
-          return null;
-        }
-      })
-      .filter((addr) => addr !== null);
+    if (!result) {
+      log(`Re-authentication of ${label} failed`, "error");
+      logToFile("Token refresh failed - authentication returned no token", {
+        account: label,
+      });
+      return false;
+    }
 
-    log(
-      `Identified ${walletAddresses.length} wallet addresses for refresh`,
-      "info"
-    );
-    logToFile("Refreshing tokens for wallets", {
-      walletCount: walletAddresses.length,
-      addresses: walletAddresses.map((addr) => addr.substring(0, 10) + "..."),
-    });
+    replaceToken(token, result.token);
+    stats.recordStat(result.token, "authRefreshes");
 
-    const oldTokens = readAllSessionTokensFromFile();
-    logToFile("Current tokens before refresh", {
-      tokenCount: oldTokens.length,
-      tokenPreviews: oldTokens.map((t) => t.substring(0, 10) + "..."),
+    log(`Token of ${label} refreshed`, "success");
+    logToFile("Token refresh successful", {
+      account: label,
+      oldTokenPreview: token.substring(0, 10) + "...",
+      newTokenPreview: result.token.substring(0, 10) + "...",
     });
 
-    fs.writeFileSync(SESSION_TOKEN_PATH, "");
-    logToFile("Cleared token file before refresh");
+    return true;
+  } catch (error) {
+    log(`Token refresh error: ${error.message}`, "error");
+    logToFile("Token refresh error", { account: label, error: error.message });
+    return false;
+  }
+}
 
-    const { authenticateAllWallets } = require("./signin");
-    await authenticateAllWallets(privateKeys);
+/**
+ * Sign in every wallet again and start over with the first account
+ * @returns {Promise<boolean>}
+ */
+async function reauthenticateAllWallets() {
+  try {
+    const privateKeys = await keystore.getPrivateKeys();
 
-    const newTokens = readAllSessionTokensFromFile();
+    if (privateKeys.length === 0) {
+      log("No wallet keys available for re-authentication", "error");
+      logToFile("Re-authentication failed - no private keys available");
+      return false;
+    }
 
-    if (newTokens.length === 0) {
-      log("Re-authentication failed. No valid tokens received.", "error");
-      logToFile("Token refresh failed - authentication returned no tokens");
+    log(
+      `Found ${privateKeys.length} private keys. Re-authenticating...`,
+      "info"
+    );
 
-      fs.writeFileSync(
-        SESSION_TOKEN_PATH,
-        oldTokens.join("\n") + (oldTokens.length > 0 ? "\n" : "")
-      );
-      logToFile("Restored previous tokens since no new ones were obtained");
+    const { authenticateAllWallets } = require("./signin");
+    const newTokens = await authenticateAllWallets(privateKeys);
 
+    if (newTokens.length === 0) {
+      log("Re-authentication failed. No valid tokens received.", "error");
+      logToFile("Re-authentication failed - no tokens received");
       return false;
     }
 
-    await verifyAndCleanupTokens();
+    allTokens = readAllSessionTokensFromFile();
+    currentTokenIndex = 0;
+    sessionToken = allTokens[currentTokenIndex];
+    cachedUserInfo = null;
 
     log(
       `Re-authentication successful! ${newTokens.length} accounts refreshed.`,
       "success"
     );
-    logToFile("Token refresh successful", {
-      tokenCount: newTokens.length,
-      newTokenPreviews: newTokens.map((t) => t.substring(0, 10) + "..."),
-    });
-
-    allTokens = readAllSessionTokensFromFile();
-    currentTokenIndex = 0;
-    sessionToken = allTokens[currentTokenIndex];
+    logToFile("Re-authentication successful", { tokenCount: newTokens.length });
 
     return true;
   } catch (error) {
-    log(`Token refresh error: ${error.message}`, "error");
-    logToFile("Token refresh error", { error: error.message });
+    log(`Re-authentication error: ${error.message}`, "error");
+    logToFile("Re-authentication error", { error: error.message });
     return false;
   }
 }
 
 /**
- * @param {Function} requestFn
+ * @param {Function} requestFn - must read the auth headers on every call
  * @param {string} requestName
  * @param {number} retryCount
+ * @param {number} authAttempts - auth errors already handled for this request
  * @returns {Promise<any>}
  */
-async function executeWithRetry(requestFn, requestName, retryCount = 0) {
+async function executeWithRetry(
+  requestFn,
+  requestName,
+  retryCount = 0,
+  authAttempts = 0
+) {
+  // The token this attempt is sent with; the session may move on meanwhile
+  const requestToken = sessionToken;
+
   try {
     return await requestFn();
   } catch (error) {
@@ -347,7 +475,24 @@ async function executeWithRetry(requestFn, requestName, retryCount = 0) {
       error.response &&
       (error.response.status === 401 || error.response.status === 403);
 
-    if (isAuthError) {
+    // Each auth error refreshes the rejected token through its wallet, or
+    // moves on to the next account, at most once per account
+    if (isAuthError && authAttempts < Math.max(allTokens.length, 1)) {
+      if (requestToken) {
+        accountStore.markError(requestToken, error.message);
+      }
+
+      const refreshed = await refreshExpiredToken(requestToken);
+      if (refreshed) {
+        log("Token refreshed successfully, retrying request", "success");
+        return executeWithRetry(
+          requestFn,
+          `${requestName} (with refreshed token)`,
+          0,
+          authAttempts + 1
+        );
+      }
+
       if (allTokens.length > 1) {
         logToFile(
           `Auth error with current token, switching to next token`,
@@ -358,41 +503,36 @@ async function executeWithRetry(requestFn, requestName, retryCount = 0) {
           false
         );
 
-        switchToNextToken();
+        // Another request may have switched accounts already
+        if (sessionToken === requestToken) {
+          switchToNextToken();
+        }
         return executeWithRetry(
           requestFn,
           `${requestName} (with new token)`,
-          0
-        );
-      }
-
-      logToFile("Auth error with all tokens, attempting automatic refresh", {
-        error: error.message,
-      });
-
-      const refreshed = await refreshExpiredToken();
-      if (refreshed) {
-        log("Token refreshed successfully, retrying request", "success");
-        return executeWithRetry(
-          requestFn,
-          `${requestName} (with refreshed token)`,
-          0
+          0,
+          authAttempts + 1
         );
       }
     }
 
-    if ((isNetworkError || isServerError) && retryCount < MAX_RETRIES) {
+    const retry = config.AUTH_RETRY;
+
+    if ((isNetworkError || isServerError) && retryCount < retry.maxRetries) {
       const nextRetryCount = retryCount + 1;
-      const delay = RETRY_DELAY_MS * Math.pow(RETRY_MULTIPLIER, retryCount);
+      const delay = retry.retryDelayMs * Math.pow(retry.multiplier, retryCount);
+      stats.recordStat(requestToken, "retries");
 
       logToFile(
         `${requestName} failed (${
           error.message
-        }). Retrying (${nextRetryCount}/${MAX_RETRIES}) in ${delay / 1000}s...`,
+        }). Retrying (${nextRetryCount}/${retry.maxRetries}) in ${
+          delay / 1000
+        }s...`,
         {
           error: error.message,
           retry: nextRetryCount,
-          maxRetries: MAX_RETRIES,
+          maxRetries: retry.maxRetries,
           delayMs: delay,
         },
         false
@@ -400,7 +540,12 @@ async function executeWithRetry(requestFn, requestName, retryCount = 0) {
 
       await new Promise((resolve) => setTimeout(resolve, delay));
 
-      return executeWithRetry(requestFn, requestName, nextRetryCount);
+      return executeWithRetry(
+        requestFn,
+        requestName,
+        nextRetryCount,
+        authAttempts
+      );
     }
 
     throw error;
@@ -427,7 +572,7 @@ async function login(switchToken = false) {
 
     if (!sessionToken) {
       const error = new Error(
-        "No session token found. Please add session-token.key file with at least one token."
+        "No session token found. Run login or add a token to session-token.key."
       );
       log(error.message, "error");
       logToFile("Login failed - no token file or empty file");
@@ -509,9 +654,8 @@ async function getUserInfo(useCache = false) {
     log("Getting user information...", "info");
     logToFile("Getting user information");
 
-    const headers = getAuthHeaders();
-
     const getUserRequest = async () => {
+      const headers = getAuthHeaders();
       logApiRequest("GET", `${config.BASE_URL}/me`, null, headers);
 
       const response = await axios.get(`${config.BASE_URL}/me`, {
@@ -556,10 +700,10 @@ async function makeApiRequest(
   additionalHeaders = {}
 ) {
   try {
-    const headers = getAuthHeaders(additionalHeaders);
     const url = `${config.BASE_URL}${endpoint}`;
 
     const apiRequest = async () => {
+      const headers = getAuthHeaders(additionalHeaders);
       logApiRequest(method, url, data, headers);
 
       const requestConfig = {
@@ -603,9 +747,12 @@ module.exports = {
   getAuthHeaders,
   getCurrentSessionToken,
   getTokenInfo,
+  getAllTokens,
   switchToNextToken,
+  useSessionToken,
   makeApiRequest,
   executeWithRetry,
   readAllSessionTokensFromFile,
   refreshExpiredToken,
+  reauthenticateAllWallets,
 };
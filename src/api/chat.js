@@ -1,25 +1,32 @@
 const axios = require("axios");
 const crypto = require("crypto");
 const config = require("../../config");
-const { getAuthHeaders, executeWithRetry } = require("./auth");
+const { getAuthHeaders, executeWithRetry, getSessionToken } = require("./auth");
 const { getUserPoints } = require("./points");
+const { applyHistoryPolicy } = require("./history");
 const {
   log,
   logChat,
+  startChatStream,
   logToFile,
   logApiRequest,
   logApiResponse,
   logApiError,
+  consumeSSEStream,
 } = require("../utils");
+const { threads: threadStore } = require("../storage");
+const { stats } = require("../services");
 
 let currentThread = null;
 let selectedModel = null;
+let activeAccountId = null;
 
 /**
  * @param {string} modelName
  */
 function setSelectedModel(modelName) {
   selectedModel = modelName;
+  stats.setActiveModel(modelName);
   log(`Selected model: ${modelName}`, "info");
   logToFile(`Selected model: ${modelName}`);
 }
@@ -31,6 +38,26 @@ function getSelectedModel() {
   return selectedModel;
 }
 
+/**
+ * Set the account that new and resumed threads belong to
+ * @param {string} accountId
+ */
+function setActiveAccount(accountId) {
+  if (accountId !== activeAccountId) {
+    currentThread = null;
+  }
+  activeAccountId = accountId;
+}
+
+function persistThread() {
+  if (!activeAccountId || !currentThread) return;
+
+  if (!currentThread.model) {
+    currentThread.model = selectedModel;
+  }
+  threadStore.saveThread(activeAccountId, currentThread);
+}
+
 /**
  * @returns {Object}
  */
@@ -40,26 +67,96 @@ function createThread() {
   currentThread = {
     id: threadId,
     title: "",
+    model: selectedModel,
     messages: [],
     created_at: new Date().toISOString(),
   };
 
+  persistThread();
+
   log(`New chat thread created: ${threadId}`, "success");
   logToFile(`New chat thread created`, {
     threadId: threadId,
+    accountId: activeAccountId,
     createdAt: currentThread.created_at,
   });
 
   return currentThread;
 }
 
+/**
+ * Resume the active account's last open thread from the thread store
+ * @returns {Object|null}
+ */
+function resumeLastThread() {
+  if (!activeAccountId) return null;
+
+  const stored = threadStore.getLastOpenThread(activeAccountId);
+  if (!stored) return null;
+
+  currentThread = {
+    id: stored.id,
+    title: stored.title || "",
+    model: stored.model,
+    messages: stored.messages.map((message) => ({ ...message })),
+    created_at: stored.created_at,
+  };
+
+  log(
+    `Resumed chat thread ${stored.id} (${stored.messages.length} messages)`,
+    "success"
+  );
+  logToFile(`Resumed chat thread`, {
+    threadId: stored.id,
+    accountId: activeAccountId,
+    messageCount: stored.messages.length,
+    createdAt: stored.created_at,
+  });
+
+  return currentThread;
+}
+
+/**
+ * Check the current thread against the rotation policy
+ * @param {Object} policy - defaults to config.THREAD_ROTATION
+ * @returns {string|null} reason to start a new thread, or null to keep it
+ */
+function getThreadRotationReason(policy = config.THREAD_ROTATION) {
+  if (!currentThread || !policy) return null;
+
+  const exchanges = currentThread.messages.filter(
+    (message) => message.role === "assistant"
+  ).length;
+  if (policy.maxExchanges > 0 && exchanges >= policy.maxExchanges) {
+    return `reached ${exchanges} exchanges`;
+  }
+
+  const ageMinutes =
+    (Date.now() - new Date(currentThread.created_at).getTime()) / 60000;
+  if (policy.maxAgeMinutes > 0 && ageMinutes >= policy.maxAgeMinutes) {
+    return `thread older than ${policy.maxAgeMinutes} minutes`;
+  }
+
+  if (
+    policy.onModelChange &&
+    selectedModel &&
+    currentThread.model &&
+    currentThread.model !== selectedModel
+  ) {
+    return `model changed from ${currentThread.model} to ${selectedModel}`;
+  }
+
+  return null;
+}
+
 /**
  * @param {number} beforePoints
+ * @param {number} delayMs
  * @returns {Promise<boolean>}
  */
-async function verifyPointIncrease(beforePoints) {
+async function verifyPointIncrease(beforePoints, delayMs = 3000) {
   try {
-    await new Promise((resolve) => setTimeout(resolve, 3000));
+    await new Promise((resolve) => setTimeout(resolve, delayMs));
 
     const pointData = await getUserPoints();
     const afterPoints = pointData.points.inference;
@@ -87,11 +184,102 @@ async function verifyPointIncrease(beforePoints) {
   }
 }
 
+/**
+ * Error responses arrive as streams too; read them so they can be logged
+ * @param {Stream|any} data
+ * @returns {Promise<any>}
+ */
+function readErrorBody(data) {
+  if (!data || typeof data.on !== "function") {
+    return Promise.resolve(data);
+  }
+
+  return new Promise((resolve) => {
+    let raw = "";
+    data.on("data", (chunk) => {
+      raw += chunk.toString();
+    });
+    data.on("end", () => {
+      try {
+        resolve(JSON.parse(raw));
+      } catch {
+        resolve(raw);
+      }
+    });
+    data.on("error", () => resolve(raw));
+  });
+}
+
+/**
+ * Apply one SSE event from /chat to the accumulated stream state
+ * @param {Object} event
+ * @param {Object} state
+ * @param {Function} onDelta
+ * @returns {boolean} true when the event terminates the answer
+ */
+function handleChatEvent(event, state, onDelta) {
+  state.eventCount++;
+
+  const raw = event.data.trim();
+  if (raw === "[DONE]") {
+    state.done = true;
+    return true;
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(raw);
+  } catch (parseError) {
+    // An error event may carry a plain-text message
+    if (event.event === "error") {
+      state.error = raw || "Stream error";
+      return true;
+    }
+
+    state.unparsedCount++;
+    logToFile(
+      "Ignoring unparseable chat stream event",
+      { event: event.event, data: raw.substring(0, 200) },
+      false
+    );
+    return false;
+  }
+
+  if (event.event === "error" || (payload && payload.error)) {
+    const detail = payload && payload.error ? payload.error : payload;
+    state.error =
+      typeof detail === "string"
+        ? detail
+        : detail?.message || JSON.stringify(detail);
+    return true;
+  }
+
+  const delta = payload?.content ?? payload?.choices?.[0]?.delta?.content;
+  if (typeof delta === "string") {
+    state.content += delta;
+    if (onDelta) onDelta(delta);
+  }
+
+  if (
+    payload?.done === true ||
+    payload?.finish_reason ||
+    payload?.choices?.[0]?.finish_reason
+  ) {
+    state.done = true;
+    return true;
+  }
+
+  return false;
+}
+
 /**
  * @param {string} content
+ * @param {Object} meta - where the prompt came from, e.g. { topic, source }
  * @returns {Promise<Object>}
  */
-async function sendChatMessage(content) {
+async function sendChatMessage(content, meta = {}) {
+  let chatView = null;
+
   try {
     if (!selectedModel) {
       const error = new Error(
@@ -105,6 +293,8 @@ async function sendChatMessage(content) {
       createThread();
     }
 
+    stats.recordStat(getSessionToken(), "attempted");
+
     let beforePoints = 0;
     try {
       const pointData = await getUserPoints();
@@ -118,23 +308,52 @@ async function sendChatMessage(content) {
       );
     }
 
-    const userMessage = { role: "user", content };
+    const userMessage = {
+      role: "user",
+      content,
+      model: selectedModel,
+      created_at: new Date().toISOString(),
+    };
+    if (meta.topic) userMessage.topic = meta.topic;
+    if (meta.source) userMessage.source = meta.source;
     currentThread.messages.push(userMessage);
+    persistThread();
 
     logChat(content, "user");
     logToFile(`Sending chat message`, {
       threadId: currentThread.id,
       model: selectedModel,
+      topic: meta.topic || null,
+      source: meta.source || null,
       messageContent:
         content.substring(0, 100) + (content.length > 100 ? "..." : ""),
       messageLength: content.length,
     });
 
+    const history = applyHistoryPolicy(currentThread.messages);
+    if (history.dropped > 0 || history.summarized > 0) {
+      logToFile(
+        `Chat history policy applied (${history.strategy})`,
+        {
+          threadId: currentThread.id,
+          threadMessages: currentThread.messages.length,
+          sentMessages: history.messages.length,
+          dropped: history.dropped,
+          summarized: history.summarized,
+          estimatedTokens: history.estimatedTokens,
+        },
+        false
+      );
+    }
+
     const chatPayload = {
       id: currentThread.id,
       title: currentThread.title || "",
       language: "english",
-      messages: currentThread.messages,
+      messages: history.messages.map(({ role, content }) => ({
+        role,
+        content,
+      })),
       model: selectedModel,
       sources: [],
     };
@@ -143,140 +362,165 @@ async function sendChatMessage(content) {
 
     let streamAborted = false;
     let aiResponse = "";
+    let streamResult = null;
+    let pointVerified = null;
 
-    const sendChatRequest = async () => {
-      try {
-        logApiRequest(
-          "POST",
-          `${config.BASE_URL}/chat`,
-          chatPayload,
-          {
-            ...getAuthHeaders(),
-            "Content-Type": "application/json",
-          },
-          true
-        );
+    chatView = startChatStream("assistant", { model: selectedModel });
+    const startedAt = Date.now();
 
-        const response = await axios.post(
-          `${config.BASE_URL}/chat`,
-          chatPayload,
-          {
-            headers: {
-              ...getAuthHeaders(),
-              "Content-Type": "application/json",
-            },
-            responseType: "text",
-            timeout: 30000,
-          }
-        );
-
-        logApiResponse(
-          "/chat",
-          {
-            model: selectedModel,
-            threadId: currentThread.id,
-            responseStatus: response.status,
-            responsePreview:
-              typeof response.data === "string"
-                ? response.data.substring(0, 200) +
-                  (response.data.length > 200 ? "..." : "")
-                : response.data,
-            responseLength:
-              typeof response.data === "string" ? response.data.length : "N/A",
-          },
-          response.status,
-          response.headers,
-          true
-        );
+    const sendChatRequest = async () => {
+      chatView.reset();
+
+      const headers = {
+        ...getAuthHeaders(),
+        "Content-Type": "application/json",
+      };
+
+      logApiRequest(
+        "POST",
+        `${config.BASE_URL}/chat`,
+        chatPayload,
+        headers,
+        true
+      );
 
-        return response;
+      let response;
+      try {
+        response = await axios.post(`${config.BASE_URL}/chat`, chatPayload, {
+          headers,
+          responseType: "stream",
+          timeout: 30000,
+        });
       } catch (error) {
-        if (
-          error.message.includes("stream") &&
-          error.message.includes("abort")
-        ) {
-          streamAborted = true;
-          logToFile("Stream aborted, will verify with points", {
-            error: error.message,
-          });
-
-          return { data: "", status: 200, headers: {} };
+        if (error.response && error.response.data) {
+          error.response.data = await readErrorBody(error.response.data);
         }
-
         throw error;
       }
+
+      const state = {
+        content: "",
+        done: false,
+        error: null,
+        eventCount: 0,
+        unparsedCount: 0,
+      };
+
+      const outcome = await consumeSSEStream(response.data, {
+        idleTimeoutMs: config.CHAT_STREAM_IDLE_TIMEOUT,
+        onEvent: (event) =>
+          handleChatEvent(event, state, (delta) => chatView.append(delta)),
+      });
+
+      logApiResponse(
+        "/chat",
+        {
+          model: selectedModel,
+          threadId: currentThread.id,
+          responseStatus: response.status,
+          termination: outcome.reason,
+          streamError: outcome.error ? outcome.error.message : null,
+          eventCount: state.eventCount,
+          unparsedEvents: state.unparsedCount,
+          responsePreview:
+            state.content.substring(0, 200) +
+            (state.content.length > 200 ? "..." : ""),
+          responseLength: state.content.length,
+        },
+        response.status,
+        response.headers,
+        true
+      );
+
+      return { ...state, reason: outcome.reason, streamError: outcome.error };
     };
 
-    let response;
     try {
-      response = await executeWithRetry(
+      streamResult = await executeWithRetry(
         sendChatRequest,
         `Chat to ${selectedModel}`
       );
+
+      if (streamResult.error) {
+        streamAborted = true;
+        logToFile(
+          "Chat stream returned an error event, will verify with points",
+          { error: streamResult.error }
+        );
+      } else if (streamResult.reason === "idle") {
+        streamAborted = true;
+        logToFile("Chat stream stalled, will verify with points", {
+          idleTimeoutMs: config.CHAT_STREAM_IDLE_TIMEOUT,
+          receivedLength: streamResult.content.length,
+        });
+      } else if (streamResult.reason === "aborted") {
+        streamAborted = true;
+        logToFile("Stream aborted, will verify with points", {
+          error: streamResult.streamError
+            ? streamResult.streamError.message
+            : null,
+          receivedLength: streamResult.content.length,
+        });
+      } else if (!streamResult.done) {
+        // The connection closed cleanly, but without [DONE] or a done frame
+        // the answer may be cut short
+        streamAborted = true;
+        logToFile("Chat stream ended before [DONE], will verify with points", {
+          termination: streamResult.reason,
+          receivedLength: streamResult.content.length,
+        });
+      }
     } catch (error) {
       streamAborted = true;
       logToFile(
         `All retries failed, will verify with points: ${error.message}`,
         { error: error.message }
       );
-      response = { data: "", status: 0, headers: {} };
     }
 
     if (streamAborted) {
       log("Verifying chat with point increase...", "warning");
 
-      const pointVerified = await verifyPointIncrease(beforePoints);
+      pointVerified = await verifyPointIncrease(beforePoints);
 
       if (pointVerified) {
         log("Chat verified successful through point increase!", "success");
         aiResponse =
-          "[Response received but stream was aborted. Chat verified through point increase]";
+          streamResult && streamResult.content
+            ? streamResult.content
+            : "[Response received but stream was aborted. Chat verified through point increase]";
       } else {
         throw new Error(
-          "Chat failed: Stream aborted and no point increase detected"
+          streamResult && streamResult.error
+            ? `Chat failed: ${streamResult.error}`
+            : "Chat failed: Stream aborted and no point increase detected"
         );
       }
     } else {
-      if (typeof response.data === "string") {
-        try {
-          const dataLines = response.data.split("\n");
-          for (const line of dataLines) {
-            if (line.startsWith("data:")) {
-              const jsonStr = line.substring(5).trim();
-              const eventData = JSON.parse(jsonStr);
-              if (eventData && eventData.content) {
-                aiResponse = eventData.content;
-                break;
-              }
-            }
-          }
-
-          if (!aiResponse && response.data.length > 0) {
-            aiResponse = "[Response received but could not be parsed]";
-          }
-        } catch (parseError) {
-          logToFile(
-            "Error parsing streaming response",
-            {
-              error: parseError.message,
-              responsePreview: response.data.substring(0, 500),
-            },
-            false
-          );
-
-          aiResponse = "[Response could not be parsed]";
-        }
-      }
+      aiResponse =
+        streamResult.content || "[Response received but contained no content]";
 
-      if (!aiResponse) {
-        aiResponse =
-          "Response received (streaming responses not fully implemented)";
-      }
+      pointVerified = await verifyPointIncrease(beforePoints, 1000);
     }
 
-    currentThread.messages.push({ role: "assistant", content: aiResponse });
+    currentThread.messages.push({
+      role: "assistant",
+      content: aiResponse,
+      model: selectedModel,
+      created_at: new Date().toISOString(),
+    });
+    persistThread();
+
+    stats.recordStat(getSessionToken(), "succeeded");
+    if (streamAborted) {
+      stats.recordStat(getSessionToken(), "abortsVerified");
+    }
 
-    logChat(aiResponse, "assistant");
+    chatView.finish(aiResponse, {
+      latencyMs: Date.now() - startedAt,
+      pointsVerified: pointVerified,
+      aborted: streamAborted,
+    });
     logToFile(`Received AI response`, {
       threadId: currentThread.id,
       model: selectedModel,
@@ -284,7 +528,7 @@ async function sendChatMessage(content) {
         aiResponse.substring(0, 100) + (aiResponse.length > 100 ? "..." : ""),
       responseLength: aiResponse.length,
       streamAborted: streamAborted,
-      pointVerified: streamAborted ? "yes" : "n/a",
+      pointVerified: pointVerified,
     });
 
     return aiResponse;
@@ -292,6 +536,10 @@ async function sendChatMessage(content) {
     const errorMsg = `Error sending chat message: ${error.message}`;
     log(errorMsg, "error");
 
+    if (chatView) {
+      chatView.fail(error.message, { pointsVerified: false });
+    }
+
     logApiError("/chat", error);
 
     throw error;
@@ -307,6 +555,9 @@ function getCurrentThread() {
 
 module.exports = {
   createThread,
+  resumeLastThread,
+  getThreadRotationReason,
+  setActiveAccount,
   sendChatMessage,
   setSelectedModel,
   getSelectedModel,
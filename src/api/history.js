@@ -0,0 +1,176 @@
+const config = require("../../config");
+
+const CHARS_PER_TOKEN = 4;
+
+/**
+ * Rough token estimate used for budgeting (about 4 characters per token)
+ * @param {Array<Object>} messages
+ * @returns {number}
+ */
+function estimateTokens(messages) {
+  return Math.ceil(countChars(messages) / CHARS_PER_TOKEN);
+}
+
+/**
+ * @param {Array<Object>} messages
+ * @returns {number}
+ */
+function countChars(messages) {
+  return messages.reduce(
+    (total, message) => total + (message.content || "").length,
+    0
+  );
+}
+
+/**
+ * Group messages into turns, each starting at a user message
+ * @param {Array<Object>} messages
+ * @returns {Array<Array<Object>>}
+ */
+function groupTurns(messages) {
+  const turns = [];
+
+  messages.forEach((message) => {
+    if (message.role === "user" || turns.length === 0) {
+      turns.push([message]);
+    } else {
+      turns[turns.length - 1].push(message);
+    }
+  });
+
+  return turns;
+}
+
+/**
+ * Drop the oldest turns until the remaining ones fit the budget.
+ * The latest turn is always kept.
+ * @param {Array<Array<Object>>} turns
+ * @param {Function} measure
+ * @param {number} budget
+ * @returns {Array<Array<Object>>}
+ */
+function trimTurnsToBudget(turns, measure, budget) {
+  const kept = [...turns];
+  while (kept.length > 1 && measure(kept.flat()) > budget) {
+    kept.shift();
+  }
+  return kept;
+}
+
+/**
+ * @param {string} text
+ * @param {number} maxLength
+ * @returns {string}
+ */
+function clip(text, maxLength) {
+  const flat = (text || "").replace(/\s+/g, " ").trim();
+  return flat.length > maxLength
+    ? `${flat.substring(0, maxLength - 3)}...`
+    : flat;
+}
+
+/**
+ * Condense older turns into one synthetic message
+ * @param {Array<Array<Object>>} turns
+ * @param {number} maxChars
+ * @returns {Object}
+ */
+function summarizeTurns(turns, maxChars) {
+  const header = "Summary of the earlier conversation:";
+  const perTurnBudget = Math.max(
+    60,
+    Math.floor((maxChars - header.length) / Math.max(turns.length, 1))
+  );
+
+  const lines = turns.map((turn) => {
+    const question = turn.find((message) => message.role === "user");
+    const answer = turn.find((message) => message.role === "assistant");
+
+    const parts = [];
+    if (question) {
+      parts.push(`User asked: ${clip(question.content, perTurnBudget / 2)}`);
+    }
+    if (answer) {
+      parts.push(`AI answered: ${clip(answer.content, perTurnBudget / 2)}`);
+    }
+    return `- ${parts.join(" / ")}`;
+  });
+
+  // Keep the most recent summarized turns when the summary is over budget
+  const kept = [];
+  let length = header.length;
+  for (let i = lines.length - 1; i >= 0; i--) {
+    if (length + lines[i].length + 1 > maxChars) break;
+    kept.unshift(lines[i]);
+    length += lines[i].length + 1;
+  }
+
+  return {
+    role: "system",
+    content: [header, ...kept].join("\n"),
+  };
+}
+
+/**
+ * Apply the configured history policy to the messages of a thread
+ * before they are sent in a chat payload.
+ *
+ * Strategies: "all", "last-turns", "max-tokens", "max-chars", "summarize"
+ *
+ * @param {Array<Object>} messages
+ * @param {Object} policy - defaults to config.CHAT_HISTORY
+ * @returns {Object} { messages, dropped, summarized, strategy, estimatedTokens }
+ */
+function applyHistoryPolicy(messages, policy = config.CHAT_HISTORY) {
+  const settings = policy || { strategy: "all" };
+  const strategy = settings.strategy || "all";
+  const turns = groupTurns(messages);
+
+  let keptTurns = turns;
+  let summary = null;
+
+  switch (strategy) {
+    case "all":
+      break;
+    case "last-turns":
+      keptTurns = turns.slice(-Math.max(1, settings.maxTurns));
+      break;
+    case "max-tokens":
+      keptTurns = trimTurnsToBudget(turns, estimateTokens, settings.maxTokens);
+      break;
+    case "max-chars":
+      keptTurns = trimTurnsToBudget(turns, countChars, settings.maxChars);
+      break;
+    case "summarize": {
+      const keep = Math.max(1, settings.summaryKeepTurns);
+      if (turns.length > keep) {
+        keptTurns = turns.slice(-keep);
+        summary = summarizeTurns(
+          turns.slice(0, turns.length - keep),
+          settings.summaryMaxChars
+        );
+      }
+      break;
+    }
+    default:
+      throw new Error(`Unknown chat history strategy "${strategy}"`);
+  }
+
+  const keptMessages = keptTurns.flat();
+  const result = summary ? [summary, ...keptMessages] : keptMessages;
+  const removed = messages.length - keptMessages.length;
+
+  return {
+    strategy,
+    messages: result,
+    dropped: summary ? 0 : removed,
+    summarized: summary ? removed : 0,
+    estimatedTokens: estimateTokens(result),
+  };
+}
+
+module.exports = {
+  applyHistoryPolicy,
+  estimateTokens,
+  groupTurns,
+};
@@ -1,5 +1,7 @@
 const config = require("../../config");
-const { makeApiRequest } = require("./auth");
+const { makeApiRequest, getSessionToken } = require("./auth");
+const { goals, stats } = require("../services");
+const { accounts: accountStore, pointsHistory } = require("../storage");
 const { log, logToFile } = require("../utils");
 
 let lastPointsUpdate = {
@@ -8,6 +10,9 @@ let lastPointsUpdate = {
   referral: 0,
 };
 
+// Last inference points per session token, to count points earned
+const lastInferenceByToken = new Map();
+
 /**
 
  * @returns {Promise<Object>} Points user
@@ -25,6 +30,19 @@ async function getUserPoints() {
       referral: response.points.referral,
     };
 
+    const token = getSessionToken();
+    const previous = lastInferenceByToken.get(token);
+    if (previous !== undefined && lastPointsUpdate.inference > previous) {
+      stats.recordStat(token, "points", lastPointsUpdate.inference - previous);
+    }
+    lastInferenceByToken.set(token, lastPointsUpdate.inference);
+
+    goals.recordPoints(token, lastPointsUpdate.inference);
+    pointsHistory.recordPoints(
+      accountStore.getAccountKey(token),
+      lastPointsUpdate
+    );
+
     log(`Points retrieved: ${lastPointsUpdate.total} total points`, "success");
     logToFile(
       `Points retrieved: total=${lastPointsUpdate.total}, inference=${lastPointsUpdate.inference}, referral=${lastPointsUpdate.referral}`
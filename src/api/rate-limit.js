@@ -1,5 +1,6 @@
 const config = require("../../config");
-const { makeApiRequest } = require("./auth");
+const { makeApiRequest, getSessionToken } = require("./auth");
+const { scheduler, stats } = require("../services");
 const { log, logToFile } = require("../utils");
 
 let rateLimitInfo = {
@@ -11,6 +12,7 @@ let rateLimitInfo = {
 
 let cooldownActive = false;
 let cooldownTimer = null;
+let cooldownEndsAt = 0;
 
 /**
  * @returns {Promise<Object>}
@@ -28,6 +30,7 @@ async function getRateLimit() {
       resetTime: response.reset_time,
       currentUsage: response.current_usage || 0,
     };
+    scheduler.recordQuota(getSessionToken(), rateLimitInfo);
 
     let resetTimeFormatted = "N/A";
     if (rateLimitInfo.resetTime > 0) {
@@ -108,9 +111,11 @@ function cancelCooldown() {
 /**
  * Start cooldown timer
  * @param {Function} onComplete
+ * @param {number} seconds - wait this long instead of the current account's
+ *   reset time
  * @returns {Promise<boolean>}
  */
-async function startCooldown(onComplete) {
+async function startCooldown(onComplete, seconds = 0) {
   try {
     if (cooldownActive) {
       log("Cooldown already active", "warning");
@@ -120,11 +125,13 @@ async function startCooldown(onComplete) {
 
     cooldownActive = true;
 
-    let resetTime = 60;
+    let resetTime = seconds || 60;
 
     try {
-      const rateLimit = await getRateLimit();
-      resetTime = rateLimit.resetTime;
+      if (!seconds) {
+        const rateLimit = await getRateLimit();
+        resetTime = rateLimit.resetTime;
+      }
     } catch (error) {
       logToFile(
         `Failed to get rate limit for cooldown, using default: ${error.message}`,
@@ -137,6 +144,8 @@ async function startCooldown(onComplete) {
     }
 
     const cooldownSeconds = resetTime > 0 ? resetTime : 60;
+    cooldownEndsAt = Date.now() + cooldownSeconds * 1000;
+    stats.recordStat(getSessionToken(), "cooldowns");
 
     log(`Starting cooldown for ${cooldownSeconds} seconds...`, "warning");
     logToFile(`Starting cooldown`, {
@@ -179,6 +188,14 @@ function isCooldownActive() {
   return cooldownActive;
 }
 
+/**
+ * @returns {number} seconds left in the current cooldown, 0 when inactive
+ */
+function getCooldownRemaining() {
+  if (!cooldownActive) return 0;
+  return Math.max(0, Math.ceil((cooldownEndsAt - Date.now()) / 1000));
+}
+
 /**
  * @returns {Object}
  */
@@ -192,5 +209,6 @@ module.exports = {
   startCooldown,
   cancelCooldown,
   isCooldownActive,
+  getCooldownRemaining,
   getLastKnownRateLimit,
 };
@@ -1,10 +1,9 @@
-const fs = require("fs");
 const axios = require("axios");
 const { Wallet } = require("ethers");
 const crypto = require("crypto");
-const path = require("path");
 const config = require("../../config");
 const { log, logToFile } = require("../utils");
+const { keystore, accounts: accountStore } = require("../storage");
 
 async function signMessage(wallet) {
   const nonce = generateNonce();
@@ -59,8 +58,14 @@ async function authenticate(wallet) {
       tokenPreview: session_token.substring(0, 10) + "...",
     });
 
-    const tokenPath = path.join(process.cwd(), "session-token.key");
-    fs.appendFileSync(tokenPath, `${session_token}\n`);
+    const keystoreEntry = keystore
+      .listWallets()
+      .find((entry) => entry.address === wallet.address);
+    accountStore.saveWalletToken(
+      wallet.address,
+      session_token,
+      keystoreEntry && keystoreEntry.label
+    );
     return { token: session_token, address: wallet.address };
   } catch (error) {
     log(`[ERROR] Failed for ${wallet.address}: ${error.message}`, "error");
@@ -1,59 +1,209 @@
+const config = require("../config");
 const { auth, chat, models, points, rateLimit } = require("./api");
-const { groq } = require("./services");
-const { log, logToFile, checkLogSize } = require("./utils");
+const { authenticateAllWallets } = require("./api/signin");
+const { generator, prompts, scheduler, goals, stats } = require("./services");
+const {
+  keystore,
+  accounts: accountStore,
+  pointsHistory,
+} = require("./storage");
+const { log, logToFile, checkLogSize, getWindowState } = require("./utils");
 const {
   updateStatus,
   updateUserInfo,
-  updatePointsDisplay,
+  updatePointsChart,
   updateRateLimitDisplay,
+  updateAccountsTable,
   updateModelsTable,
-  startCooldownDisplay,
   render,
 } = require("./ui");
 
 let isRunning = false;
 let cooldownTimer = null;
 let consecutiveErrors = 0;
-const MAX_CONSECUTIVE_ERRORS = 3;
 
 let accountSwitchScheduled = false;
-const ACCOUNT_SWITCH_INTERVAL = 60 * 10 * 1000;
 let accountSwitchTimer = null;
-let accountSwitchCountdown = ACCOUNT_SWITCH_INTERVAL / 1000;
+let accountSwitchCountdown = config.ACCOUNT_SWITCH_INTERVAL / 1000;
 let accountSwitchCountdownTimer = null;
 
+const ROTATION_NOTICE_DURATION = 60 * 1000;
+let lastThreadRotation = null;
+
+let conversationState = { threadId: null, followUps: 0, topic: null };
+
+let stopListeners = [];
+
+// Time windows (config.SCHEDULE): the cached state, whether the schedule
+// last saw a window open, and whether it is waiting for the next one
+let scheduleState = null;
+let scheduleActive = null;
+let scheduleIdle = false;
+let scheduleTimer = null;
+
+// Account shown in the points chart, null to follow the current account
+let chartAccountIndex = null;
+
 /**
- * Format time in seconds to mm:ss format
+ * Format time in seconds as "Xm Ys", or "Xh Ym" / "Xd Yh" for longer spans
  * @param {number} seconds - Seconds to format
  * @returns {string} Formatted time string
  */
 function formatTime(seconds) {
+  if (seconds >= 86400) {
+    return `${Math.floor(seconds / 86400)}d ${Math.floor(
+      (seconds % 86400) / 3600
+    )}h`;
+  }
+
+  if (seconds >= 3600) {
+    return `${Math.floor(seconds / 3600)}h ${Math.floor(
+      (seconds % 3600) / 60
+    )}m`;
+  }
+
   const minutes = Math.floor(seconds / 60);
   const secs = seconds % 60;
   return `${minutes}m ${secs}s`;
 }
 
+/**
+ * Recent thread rotation reason for the status panel
+ * @returns {string}
+ */
+function getRotationNotice() {
+  if (
+    !lastThreadRotation ||
+    Date.now() - lastThreadRotation.at > ROTATION_NOTICE_DURATION
+  ) {
+    return "";
+  }
+
+  return ` | New thread: ${lastThreadRotation.reason}`;
+}
+
+/**
+ * Whether now is inside a scheduled window and when that changes. The
+ * state is recomputed once that time has passed, and at least hourly.
+ * @returns {Object} { active, nextChange, checkedAt }
+ */
+function getScheduleState() {
+  const now = Date.now();
+
+  if (
+    !scheduleState ||
+    (scheduleState.nextChange !== null && now >= scheduleState.nextChange) ||
+    now - scheduleState.checkedAt >= 60 * 60 * 1000
+  ) {
+    scheduleState = {
+      ...getWindowState(config.SCHEDULE.windows, config.SCHEDULE.timezone, now),
+      checkedAt: now,
+    };
+  }
+
+  return scheduleState;
+}
+
+/**
+ * Next window start or end for the status panel
+ * @returns {string}
+ */
+function getScheduleNotice() {
+  if (!config.SCHEDULE.enabled) return "";
+
+  const { active, nextChange } = getScheduleState();
+  if (nextChange === null) {
+    return active ? " | Window: always open" : " | No window this week";
+  }
+
+  const seconds = Math.max(0, Math.ceil((nextChange - Date.now()) / 1000));
+  return active
+    ? ` | Window ends in: ${formatTime(seconds)}`
+    : ` | Next window in: ${formatTime(seconds)}`;
+}
+
+/**
+ * Redraw the points chart from the selected account's history
+ */
+function refreshPointsChart() {
+  const tokens = auth.getAllTokens();
+  const token =
+    tokens[
+      chartAccountIndex === null
+        ? auth.getTokenInfo().currentIndex
+        : chartAccountIndex
+    ];
+  if (!token) return;
+
+  const key = accountStore.getAccountKey(token);
+  updatePointsChart({
+    label: accountStore.getLabel(token),
+    series: pointsHistory.getSeries(key),
+    gains: pointsHistory.getGains(key),
+  });
+}
+
+/**
+ * Show the next account in the points chart. After the last account the
+ * chart follows the current account again.
+ * @returns {string} what the chart shows
+ */
+function cyclePointsChart() {
+  const tokens = auth.getAllTokens();
+
+  if (chartAccountIndex === null) {
+    chartAccountIndex = 0;
+  } else if (chartAccountIndex + 1 >= tokens.length) {
+    chartAccountIndex = null;
+  } else {
+    chartAccountIndex++;
+  }
+
+  refreshPointsChart();
+  render();
+
+  return chartAccountIndex === null || !tokens[chartAccountIndex]
+    ? "current account"
+    : accountStore.getLabel(tokens[chartAccountIndex]);
+}
+
+/**
+ * Refresh the per-account quota table
+ */
+function updateQuotaDisplay() {
+  const tokens = auth.getAllTokens();
+
+  updateAccountsTable(
+    scheduler
+      .getQuotaOverview(tokens, auth.getTokenInfo().currentIndex)
+      .map((quota, index) => ({
+        ...quota,
+        done: goals.isAccountDone(tokens[index]),
+      }))
+  );
+}
+
 /**
  * Update status with current state including account switch timer
  */
 function updateStatusWithTimers() {
+  updateQuotaDisplay();
+
   if (rateLimit.isCooldownActive()) {
-    const rateLimitInfo = rateLimit.getLastKnownRateLimit();
+    const cooldownRemaining = rateLimit.getCooldownRemaining();
 
     const tokenInfo = auth.getTokenInfo();
     if (tokenInfo.hasMultipleTokens) {
       updateStatus(
-        `Cooldown: ${formatTime(rateLimitInfo.resetTime)} | Account: ${
-          tokenInfo.currentIndex + 1
-        }/${tokenInfo.totalTokens}`,
+        `Cooldown: ${formatTime(cooldownRemaining)} | Account: ${
+          tokenInfo.label
+        } (${tokenInfo.currentIndex + 1}/${tokenInfo.totalTokens})`,
         "warning"
       );
     } else {
-      updateStatus(
-        `Cooldown: ${formatTime(rateLimitInfo.resetTime)}`,
-        "warning"
-      );
+      updateStatus(`Cooldown: ${formatTime(cooldownRemaining)}`, "warning");
     }
+    render();
     return;
   }
 
@@ -62,18 +212,207 @@ function updateStatusWithTimers() {
     updateStatus(
       `Running | Next account in: ${formatTime(
         accountSwitchCountdown
-      )} | Account: ${tokenInfo.currentIndex + 1}/${tokenInfo.totalTokens}`,
+      )} | Account: ${tokenInfo.label} (${tokenInfo.currentIndex + 1}/${
+        tokenInfo.totalTokens
+      })${getScheduleNotice()}${getRotationNotice()}`,
       "success"
     );
   } else if (isRunning) {
-    updateStatus("Running", "success");
+    updateStatus(
+      `Running${getScheduleNotice()}${getRotationNotice()}`,
+      "success"
+    );
+  } else if (scheduleIdle) {
+    updateStatus(`Waiting for schedule${getScheduleNotice()}`, "info");
   } else {
-    updateStatus("Paused", "warning");
+    updateStatus(`Paused${getScheduleNotice()}`, "warning");
   }
 
   render();
 }
 
+/**
+ * Resume the current account's last open thread or start a new one
+ */
+function openThread() {
+  if (config.RESUME_THREADS && chat.resumeLastThread()) {
+    return;
+  }
+
+  chat.createThread();
+}
+
+/**
+ * Start a new thread when the rotation policy says the current one is done
+ */
+function rotateThreadIfNeeded() {
+  const reason = chat.getThreadRotationReason();
+  if (!reason) return;
+
+  const previousThread = chat.getCurrentThread();
+
+  log(`Rotating chat thread: ${reason}`, "info");
+  logToFile("Chat thread rotated", {
+    reason,
+    previousThreadId: previousThread ? previousThread.id : null,
+    previousMessageCount: previousThread ? previousThread.messages.length : 0,
+  });
+
+  chat.createThread();
+
+  lastThreadRotation = { reason, at: Date.now() };
+  updateStatusWithTimers();
+}
+
+/**
+ * Pick the next user message: a follow-up to the last answer while the
+ * current topic has follow-ups left, otherwise a fresh prompt.
+ * Follow-ups keep the topic of the prompt that opened the conversation.
+ * @returns {Promise<Object|null>} { text, topic, source }, null when every
+ * prompt provider is exhausted
+ */
+async function nextUserMessage() {
+  const thread = chat.getCurrentThread();
+  const settings = config.CONVERSATION;
+
+  if (!thread || conversationState.threadId !== thread.id) {
+    conversationState = {
+      threadId: thread ? thread.id : null,
+      followUps: 0,
+      topic: null,
+    };
+  }
+
+  const lastMessage = thread && thread.messages[thread.messages.length - 1];
+  const canFollowUp =
+    settings &&
+    settings.enabled &&
+    conversationState.followUps < settings.followUpsPerTopic &&
+    lastMessage &&
+    lastMessage.role === "assistant" &&
+    !lastMessage.content.startsWith("[");
+
+  if (canFollowUp) {
+    const previousQuestion = thread.messages[thread.messages.length - 2];
+    const followUp = await generator.generateFollowUpMessage(
+      lastMessage.content,
+      previousQuestion ? previousQuestion.content : ""
+    );
+
+    if (followUp) {
+      conversationState.followUps++;
+      logToFile(
+        `Generated follow-up ${conversationState.followUps}/${settings.followUpsPerTopic}`,
+        { threadId: thread.id, followUp },
+        false
+      );
+      return {
+        text: followUp,
+        topic: conversationState.topic,
+        source: "follow-up",
+      };
+    }
+  }
+
+  if (conversationState.followUps > 0) {
+    logToFile(
+      "Starting a new topic",
+      {
+        threadId: thread ? thread.id : null,
+        followUpsAsked: conversationState.followUps,
+      },
+      false
+    );
+  }
+
+  conversationState.followUps = 0;
+
+  const prompt = await prompts.nextPrompt();
+  if (!prompt) return null;
+
+  logToFile(
+    `Prompt from ${prompt.source}`,
+    { prompt: prompt.text, meta: prompt.meta || null },
+    false
+  );
+  conversationState.topic = (prompt.meta && prompt.meta.topic) || null;
+
+  return {
+    text: prompt.text,
+    topic: conversationState.topic,
+    source: prompt.source,
+  };
+}
+
+/**
+ * @param {Function} listener - called with { reason, message } when
+ * automation stops by itself and will not continue without user action
+ */
+function onAutomationStopped(listener) {
+  stopListeners.push(listener);
+}
+
+/**
+ * @param {string} reason - "account-error", "auth-failed", "start-failed",
+ * "prompts-exhausted" or "goals-reached"
+ * @param {string} message
+ */
+function notifyStopped(reason, message) {
+  logToFile(`Automation stopped (${reason}): ${message}`, null, false);
+  stopListeners.forEach((listener) => listener({ reason, message }));
+}
+
+/**
+ * Verify stored session tokens, signing in with the keystore wallets when
+ * none of them is valid
+ * @returns {Promise<number>} number of accounts ready
+ */
+async function prepareSessionTokens() {
+  const validTokenCount = await auth.verifyAndCleanupTokens();
+
+  if (validTokenCount === 1) {
+    log("One valid session token found! Ready for login.", "success");
+    return validTokenCount;
+  }
+
+  if (validTokenCount > 1) {
+    log(
+      `${validTokenCount} valid session tokens found! Ready for login.`,
+      "success"
+    );
+    return validTokenCount;
+  }
+
+  log("No valid session tokens found. Attempting to authenticate...", "info");
+  updateStatus("Authenticating...", "info");
+  render();
+
+  const privateKeys = await keystore.getPrivateKeys();
+  if (privateKeys.length === 0) {
+    log(
+      "No wallet keys available. Import them with `node main.js keys import`.",
+      "error"
+    );
+    updateStatus("No wallet keys available", "error");
+    return 0;
+  }
+
+  log(`Found ${privateKeys.length} private keys. Authenticating...`, "info");
+
+  await authenticateAllWallets(privateKeys);
+
+  const tokens = auth.readAllSessionTokensFromFile();
+
+  if (tokens.length === 0) {
+    log("Authentication failed. No valid tokens received.", "error");
+    updateStatus("Authentication failed", "error");
+    return 0;
+  }
+
+  log(`Authentication successful! ${tokens.length} accounts ready.`, "success");
+  return tokens.length;
+}
+
 /**
  * Initialize automation (connect to services)
  */
@@ -84,7 +423,8 @@ async function initAutomation() {
     updateStatus("Initializing...", "info");
     render();
 
-    await groq.initGroqClient();
+    prompts.initPromptSource();
+    refreshPointsChart();
 
     updateStatus("Ready to start", "success");
     render();
@@ -107,7 +447,7 @@ function startAccountSwitchCountdown() {
     clearInterval(accountSwitchCountdownTimer);
   }
 
-  accountSwitchCountdown = ACCOUNT_SWITCH_INTERVAL / 1000;
+  accountSwitchCountdown = config.ACCOUNT_SWITCH_INTERVAL / 1000;
 
   updateStatusWithTimers();
 
@@ -156,44 +496,43 @@ function scheduleAccountSwitch() {
     accountSwitchScheduled = true;
 
     scheduleAccountSwitch();
-  }, ACCOUNT_SWITCH_INTERVAL);
+  }, config.ACCOUNT_SWITCH_INTERVAL);
 
   startAccountSwitchCountdown();
 
   log(
     `Account switch scheduled for ${
-      ACCOUNT_SWITCH_INTERVAL / 60000
+      config.ACCOUNT_SWITCH_INTERVAL / 60000
     } minutes from now`,
     "info"
   );
   logToFile("Account switch scheduled", {
-    intervalMinutes: ACCOUNT_SWITCH_INTERVAL / 60000,
+    intervalMinutes: config.ACCOUNT_SWITCH_INTERVAL / 60000,
     currentAccount: tokenInfo.currentIndex + 1,
     totalAccounts: tokenInfo.totalTokens,
   });
 }
 
 /**
- * Switch to next account and re-initialize
+ * Switch to another account and re-initialize
+ * @param {number} index - account to switch to, defaults to the next one
+ * @returns {Promise<boolean>}
  */
-async function switchAccount() {
+async function switchAccount(index) {
   try {
     log("Switching to next account...", "info");
 
-    auth.switchToNextToken();
+    auth.switchToNextToken(index);
 
     await auth.login();
 
     const userInfo = await auth.getUserInfo();
     const tokenInfo = auth.getTokenInfo();
     updateUserInfo(userInfo, tokenInfo);
+    chat.setActiveAccount(userInfo.user_id);
 
-    const pointsData = await points.getUserPoints();
-    updatePointsDisplay({
-      total: pointsData.total_points,
-      inference: pointsData.points.inference,
-      referral: pointsData.points.referral,
-    });
+    await points.getUserPoints();
+    refreshPointsChart();
 
     const rateLimitData = await rateLimit.getRateLimit();
     updateRateLimitDisplay({
@@ -203,16 +542,17 @@ async function switchAccount() {
       currentUsage: rateLimitData.currentUsage,
     });
 
-    chat.createThread();
+    openThread();
 
     log(
-      `Switched to account ${tokenInfo.currentIndex + 1}/${
+      `Switched to account ${tokenInfo.label} (${tokenInfo.currentIndex + 1}/${
         tokenInfo.totalTokens
-      }`,
+      })`,
       "success"
     );
     logToFile("Account switch completed", {
       newAccount: tokenInfo.currentIndex + 1,
+      label: tokenInfo.label,
       totalAccounts: tokenInfo.totalTokens,
     });
 
@@ -230,11 +570,12 @@ async function switchAccount() {
 
     consecutiveErrors++;
 
-    if (consecutiveErrors >= MAX_CONSECUTIVE_ERRORS) {
+    if (consecutiveErrors >= config.MAX_CONSECUTIVE_ERRORS) {
       log("Multiple account switch failures, stopping automation", "error");
       isRunning = false;
       updateStatus("Stopped - Account Error", "error");
       render();
+      notifyStopped("account-error", "Multiple account switch failures");
       return false;
     }
 
@@ -243,6 +584,119 @@ async function switchAccount() {
   }
 }
 
+/**
+ * Wait in cooldown until the account that resets first has quota again,
+ * then switch to it and continue the loop
+ * @param {Object} next - { index, waitMs } from scheduler.pickNextToken()
+ */
+async function waitForQuota(next) {
+  const seconds = Math.max(1, Math.ceil(next.waitMs / 1000));
+  const label = accountStore.getLabel(auth.getAllTokens()[next.index]);
+
+  log(
+    `Every account is out of quota. Waiting ${formatTime(
+      seconds
+    )} for ${label} to reset`,
+    "warning"
+  );
+  logToFile("Waiting for the earliest quota reset", {
+    account: label,
+    waitSeconds: seconds,
+  });
+
+  if (cooldownTimer) clearInterval(cooldownTimer);
+  cooldownTimer = setInterval(() => {
+    if (!rateLimit.isCooldownActive()) {
+      clearInterval(cooldownTimer);
+      cooldownTimer = null;
+      return;
+    }
+    updateStatusWithTimers();
+  }, 1000);
+
+  const cooldown = rateLimit.startCooldown(async () => {
+    if (!isRunning) return;
+
+    if (next.index !== auth.getTokenInfo().currentIndex) {
+      const switchSuccess = await switchAccount(next.index);
+      if (!switchSuccess || !isRunning) return;
+    }
+
+    updateStatusWithTimers();
+    automationLoop();
+  }, seconds);
+
+  updateStatusWithTimers();
+  await cooldown;
+}
+
+/**
+ * Next account with quota left, leaving out accounts that reached their
+ * daily goal
+ * @param {number} minRemaining - messages the account must have left
+ * @returns {Object|null} { index, waitMs }, null when every account is done
+ */
+function pickAccount(minRemaining = 1) {
+  return scheduler.pickNextToken(
+    auth.getAllTokens(),
+    auth.getTokenInfo().currentIndex,
+    { minRemaining, skip: goals.isAccountDone }
+  );
+}
+
+/**
+ * Stop when a run limit is reached or every account is done for the day
+ * @param {string} reason
+ */
+function stopForGoals(reason) {
+  log(`Stopping automation: ${reason}`, "success");
+  logToFile("Automation stopped - goals reached", {
+    reason,
+    ...goals.getSessionProgress(),
+  });
+  pauseAutomation();
+  updateStatus(`Stopped - ${reason}`, "success");
+  render();
+  notifyStopped("goals-reached", reason);
+}
+
+/**
+ * Move on to the next account with quota left. Stays on the current
+ * account when it is the only one with quota, and waits for the earliest
+ * reset when every account is exhausted.
+ * @returns {Promise<boolean>} false when the caller should not continue the
+ * loop: the switch failed, automation stopped or it is waiting for a reset
+ */
+async function switchToAvailableAccount() {
+  const tokenInfo = auth.getTokenInfo();
+  const next = pickAccount();
+
+  if (!next) {
+    stopForGoals(
+      goals.getStopReason(auth.getAllTokens()) || "no account is available"
+    );
+    return false;
+  }
+
+  if (next.waitMs > 0) {
+    waitForQuota(next);
+    return false;
+  }
+
+  if (next.index === tokenInfo.currentIndex) {
+    log(
+      `No other account has quota left, staying on ${tokenInfo.label}`,
+      "info"
+    );
+    logToFile("Account switch skipped - no other account has quota", {
+      account: tokenInfo.label,
+    });
+    return true;
+  }
+
+  return switchAccount(next.index);
+}
+
 /**
  * Start the automation process
  */
@@ -256,6 +710,8 @@ async function startAutomation() {
     isRunning = true;
     consecutiveErrors = 0;
     accountSwitchScheduled = false;
+    scheduleIdle = false;
+    goals.startSession();
     updateStatus("Starting...", "info");
     render();
 
@@ -267,13 +723,10 @@ async function startAutomation() {
     const userInfo = await auth.getUserInfo();
     const tokenInfo = auth.getTokenInfo();
     updateUserInfo(userInfo, tokenInfo);
+    chat.setActiveAccount(userInfo.user_id);
 
-    const pointsData = await points.getUserPoints();
-    updatePointsDisplay({
-      total: pointsData.total_points,
-      inference: pointsData.points.inference,
-      referral: pointsData.points.referral,
-    });
+    await points.getUserPoints();
+    refreshPointsChart();
 
     const rateLimitData = await rateLimit.getRateLimit();
     updateRateLimitDisplay({
@@ -288,7 +741,7 @@ async function startAutomation() {
 
     await models.selectDefaultModel();
 
-    chat.createThread();
+    openThread();
 
     scheduleAccountSwitch();
 
@@ -321,6 +774,8 @@ async function startAutomation() {
           startAutomation();
         }
       }, 10000);
+    } else {
+      notifyStopped("start-failed", error.message);
     }
   }
 }
@@ -368,6 +823,7 @@ function resumeAutomation() {
   }
 
   isRunning = true;
+  scheduleIdle = false;
   consecutiveErrors = 0;
 
   scheduleAccountSwitch();
@@ -393,24 +849,49 @@ async function automationLoop() {
       accountSwitchScheduled = false;
       log("Performing scheduled account switch", "info");
 
-      const switchSuccess = await switchAccount();
+      const switchSuccess = await switchToAvailableAccount();
       if (!switchSuccess || !isRunning) {
         return;
       }
     }
 
+    const stopReason = goals.getStopReason(auth.getAllTokens());
+    if (stopReason) {
+      stopForGoals(stopReason);
+      return;
+    }
+
+    const doneReason = goals.getAccountDoneReason(auth.getSessionToken());
+    if (doneReason) {
+      log(
+        `${
+          auth.getTokenInfo().label
+        } reached its daily goal (${doneReason}), skipping it until tomorrow`,
+        "info"
+      );
+
+      const switchSuccess = await switchToAvailableAccount();
+      if (!switchSuccess || !isRunning) {
+        return;
+      }
+
+      automationLoop();
+      return;
+    }
+
     if (rateLimit.isCooldownActive()) {
-      const tokenInfo = auth.getTokenInfo();
-      if (tokenInfo.hasMultipleTokens) {
+      const next = pickAccount();
+
+      if (next && next.waitMs === 0) {
         log(
-          "Rate limit reached but multiple accounts available. Switching to next account instead of waiting...",
+          "An account has quota again. Switching to it instead of waiting...",
           "info"
         );
         logToFile("Switching account instead of waiting for cooldown");
 
         rateLimit.cancelCooldown();
 
-        const switchSuccess = await switchAccount();
+        const switchSuccess = await switchAccount(next.index);
         if (!switchSuccess || !isRunning) {
           return;
         }
@@ -426,61 +907,55 @@ async function automationLoop() {
     const rateLimitAvailable = await rateLimit.checkRateLimitAvailability();
 
     if (!rateLimitAvailable) {
-      const tokenInfo = auth.getTokenInfo();
-
-      if (tokenInfo.hasMultipleTokens) {
-        log(
-          "Rate limit reached. Switching to next account instead of cooldown...",
-          "warning"
-        );
-        logToFile("Switching account instead of cooldown");
-
-        const switchSuccess = await switchAccount();
-        if (!switchSuccess || !isRunning) {
-          return;
-        }
+      log(
+        "Rate limit reached. Looking for an account with quota left...",
+        "warning"
+      );
+      logToFile("Rate limit reached, picking the next account with quota", {
+        account: auth.getTokenInfo().label,
+      });
 
-        automationLoop();
+      const switchSuccess = await switchToAvailableAccount();
+      if (!switchSuccess || !isRunning) {
         return;
-      } else {
-        log(
-          "Rate limit reached, starting cooldown (no alternative accounts available)",
-          "warning"
-        );
-        logToFile("Rate limit reached, starting cooldown (single account)");
+      }
 
-        cooldownTimer = startCooldownDisplay(
-          rateLimit.getLastKnownRateLimit().resetTime,
-          () => {}
-        );
+      automationLoop();
+      return;
+    }
 
-        await rateLimit.startCooldown(() => {
-          if (isRunning) {
-            updateStatusWithTimers();
-            automationLoop();
-          }
-        });
+    rotateThreadIfNeeded();
 
-        return;
-      }
-    }
+    const userMessage = await nextUserMessage();
 
-    const userMessage = await groq.generateUserMessage();
+    if (!userMessage) {
+      log("All prompt sources are exhausted, stopping automation", "warning");
+      logToFile("Automation stopped - prompt sources exhausted");
+      pauseAutomation();
+      updateStatus("Stopped - prompt sources exhausted", "warning");
+      render();
+      notifyStopped("prompts-exhausted", "All prompt sources are exhausted");
+      return;
+    }
 
     consecutiveErrors = 0;
 
     try {
-      await chat.sendChatMessage(userMessage);
+      await chat.sendChatMessage(userMessage.text, {
+        topic: userMessage.topic,
+        source: userMessage.source,
+      });
 
+      goals.recordMessage(auth.getSessionToken());
       consecutiveErrors = 0;
     } catch (chatError) {
       consecutiveErrors++;
 
       logToFile(
-        `Chat error (consecutive: ${consecutiveErrors}/${MAX_CONSECUTIVE_ERRORS}): ${chatError.message}`,
+        `Chat error (consecutive: ${consecutiveErrors}/${config.MAX_CONSECUTIVE_ERRORS}): ${chatError.message}`,
         {
           error: chatError.message,
-          userMessage: userMessage,
+          userMessage: userMessage.text,
         }
       );
 
@@ -523,10 +998,11 @@ async function automationLoop() {
             updateStatus("Token refresh failed", "error");
             isRunning = false;
             render();
+            notifyStopped("auth-failed", "Token refresh failed");
             return;
           }
         }
-      } else if (consecutiveErrors >= MAX_CONSECUTIVE_ERRORS) {
+      } else if (consecutiveErrors >= config.MAX_CONSECUTIVE_ERRORS) {
         log(
           `Too many consecutive errors (${consecutiveErrors}). Taking a longer break...`,
           "error"
@@ -543,12 +1019,8 @@ async function automationLoop() {
     }
 
     try {
-      const pointsData = await points.getUserPoints();
-      updatePointsDisplay({
-        total: pointsData.total_points,
-        inference: pointsData.points.inference,
-        referral: pointsData.points.referral,
-      });
+      await points.getUserPoints();
+      refreshPointsChart();
     } catch (pointsError) {
       logToFile(
         `Failed to update points display: ${pointsError.message}`,
@@ -568,9 +1040,15 @@ async function automationLoop() {
 
       if (rateLimitData.remaining <= 1) {
         const tokenInfo = auth.getTokenInfo();
-        if (tokenInfo.hasMultipleTokens) {
+        const next = pickAccount(rateLimitData.remaining + 1);
+
+        if (
+          next &&
+          next.waitMs === 0 &&
+          next.index !== tokenInfo.currentIndex
+        ) {
           log(
-            "Rate limit nearly exhausted. Preemptively switching to next account...",
+            "Rate limit nearly exhausted. Preemptively switching to an account with quota...",
             "info"
           );
           logToFile("Preemptive account switch due to low rate limit", {
@@ -578,7 +1056,7 @@ async function automationLoop() {
             limit: rateLimitData.limit,
           });
 
-          const switchSuccess = await switchAccount();
+          const switchSuccess = await switchAccount(next.index);
           if (!switchSuccess || !isRunning) {
             return;
           }
@@ -594,7 +1072,11 @@ async function automationLoop() {
 
     updateStatusWithTimers();
 
-    const delay = Math.floor(Math.random() * 7000) + 3000;
+    const delay =
+      config.MIN_CHAT_DELAY +
+      Math.floor(
+        Math.random() * (config.MAX_CHAT_DELAY - config.MIN_CHAT_DELAY + 1)
+      );
     log(`Waiting ${delay / 1000} seconds before next message...`, "info");
 
     setTimeout(automationLoop, delay);
@@ -617,7 +1099,7 @@ async function automationLoop() {
     ) {
       let backoffTime = 5000;
 
-      if (consecutiveErrors >= MAX_CONSECUTIVE_ERRORS) {
+      if (consecutiveErrors >= config.MAX_CONSECUTIVE_ERRORS) {
         backoffTime = 180000;
         log(
           `Too many consecutive errors (${consecutiveErrors}). Taking a longer break...`,
@@ -628,6 +1110,7 @@ async function automationLoop() {
         backoffTime = 15000;
       }
 
+      stats.recordStat(auth.getSessionToken(), "retries");
       updateStatus(`Retrying in ${backoffTime / 1000}s...`, "warning");
       render();
 
@@ -693,6 +1176,63 @@ async function automationLoop() {
   }
 }
 
+/**
+ * Start automation when a scheduled window opens and pause it when the
+ * window closes. Starting or pausing by hand in between is left alone
+ * until the next window boundary.
+ */
+function applySchedule() {
+  const { active } = getScheduleState();
+
+  if (active !== scheduleActive) {
+    scheduleActive = active;
+
+    if (active && !isRunning) {
+      log("Schedule window opened, starting automation", "info");
+      logToFile("Schedule window opened, starting automation");
+      scheduleIdle = false;
+      startAutomation();
+      return;
+    }
+
+    if (!active && isRunning) {
+      log("Schedule window closed, pausing automation", "info");
+      logToFile("Schedule window closed, pausing automation");
+      pauseAutomation();
+    }
+
+    scheduleIdle = !active && !isRunning;
+    updateStatusWithTimers();
+  } else if (scheduleIdle && !isRunning) {
+    updateStatusWithTimers();
+  }
+}
+
+/**
+ * Run automation inside the SCHEDULE windows
+ * @returns {boolean} false when no schedule is configured
+ */
+function startSchedule() {
+  if (!config.SCHEDULE.enabled) return false;
+
+  const { windows, timezone } = config.SCHEDULE;
+  log(
+    `Schedule enabled: ${windows.length} window(s)${
+      timezone ? ` in ${timezone}` : ""
+    }`,
+    "info"
+  );
+  logToFile("Schedule enabled", { windows, timezone: timezone || "local" });
+
+  scheduleActive = null;
+  applySchedule();
+
+  if (scheduleTimer) clearInterval(scheduleTimer);
+  scheduleTimer = setInterval(applySchedule, 1000);
+
+  return true;
+}
+
 /**
  * Manually switch to next account
  */
@@ -711,10 +1251,14 @@ function getRunningState() {
 }
 
 module.exports = {
+  prepareSessionTokens,
+  onAutomationStopped,
   initAutomation,
   startAutomation,
   pauseAutomation,
   resumeAutomation,
   manualSwitchAccount,
+  startSchedule,
+  cyclePointsChart,
   getRunningState,
 };
@@ -0,0 +1,330 @@
+const config = require("../../config");
+const { auth, points, rateLimit } = require("../api");
+const { authenticateAllWallets } = require("../api/signin");
+const { keystore, accounts: accountStore } = require("../storage");
+const { EXIT_CODES } = require("./exit-codes");
+const { unlockKeystore } = require("./passphrase");
+const { getPositionals } = require("./args");
+
+/**
+ * @param {string} value
+ * @returns {string}
+ */
+function shorten(value) {
+  return value && value.length > 12 ? `${value.substring(0, 12)}...` : value;
+}
+
+/**
+ * @param {number} seconds
+ * @returns {string}
+ */
+function formatReset(seconds) {
+  if (!seconds || seconds <= 0) return "N/A";
+  return `${Math.floor(seconds / 60)}m ${seconds % 60}s`;
+}
+
+/**
+ * Run a query for every stored session token
+ * @param {Function} query - async () => Object
+ * @returns {Promise<Array<Object>>} { account, label, userId, ...result } or { account, label, error }
+ */
+async function queryEachAccount(query) {
+  const tokens = auth.readAllSessionTokensFromFile();
+  const results = [];
+
+  for (let i = 0; i < tokens.length; i++) {
+    auth.useSessionToken(tokens[i]);
+
+    try {
+      const userInfo = await auth.getUserInfo();
+      results.push({
+        account: i + 1,
+        label: accountStore.getLabel(tokens[i]),
+        userId: userInfo.user_id,
+        ...(await query()),
+      });
+    } catch (error) {
+      results.push({
+        account: i + 1,
+        label: accountStore.getLabel(tokens[i]),
+        error: error.message,
+      });
+    }
+  }
+
+  return results;
+}
+
+/**
+ * @param {Array<Object>} results
+ * @param {boolean} json
+ * @param {Function} format - result => string
+ * @returns {number} exit code
+ */
+function printAccountResults(results, json, format) {
+  if (results.length === 0) {
+    console.error("No session tokens found. Run login first.");
+    return EXIT_CODES.AUTH_FAILED;
+  }
+
+  if (json) {
+    console.log(JSON.stringify(results, null, 2));
+  } else {
+    results.forEach((result) => {
+      console.log(
+        [
+          `#${result.account} ${result.label}`,
+          result.error
+            ? `error: ${result.error}`
+            : `${shorten(result.userId)}  ${format(result)}`,
+        ].join("  ")
+      );
+    });
+  }
+
+  return results.some((result) => result.error)
+    ? EXIT_CODES.ERROR
+    : EXIT_CODES.OK;
+}
+
+/**
+ * verify-tokens [--json]
+ * @param {Array<string>} args
+ * @returns {Promise<number>}
+ */
+async function verifyTokensCommand(args) {
+  const total = auth.readAllSessionTokensFromFile().length;
+  const valid = await auth.verifyAndCleanupTokens();
+
+  if (args.includes("--json")) {
+    console.log(JSON.stringify({ total, valid, removed: total - valid }));
+  } else {
+    console.log(
+      `${valid}/${total} session tokens are valid${
+        total - valid > 0 ? `, removed ${total - valid}` : ""
+      }`
+    );
+  }
+
+  return valid > 0 ? EXIT_CODES.OK : EXIT_CODES.AUTH_FAILED;
+}
+
+/**
+ * login - sign in with the keystore wallets and store their session tokens
+ * @returns {Promise<number>}
+ */
+async function loginCommand() {
+  if (!(await unlockKeystore())) {
+    console.error(
+      `Wallet keystore is locked. Set ${config.WALLET_KEYSTORE.passphraseEnv} or run from a terminal.`
+    );
+    return EXIT_CODES.AUTH_FAILED;
+  }
+
+  const privateKeys = await keystore.getPrivateKeys();
+
+  if (privateKeys.length === 0) {
+    console.error(
+      "No wallet keys available. Import them with `node main.js keys import`"
+    );
+    return EXIT_CODES.USAGE;
+  }
+
+  const tokens = await authenticateAllWallets(privateKeys);
+
+  console.log(
+    `Authenticated ${tokens.length}/${privateKeys.length} wallets, tokens saved to accounts.json`
+  );
+
+  return tokens.length === privateKeys.length
+    ? EXIT_CODES.OK
+    : EXIT_CODES.AUTH_FAILED;
+}
+
+/**
+ * @param {Object} account
+ * @returns {string}
+ */
+function formatAccount(account) {
+  return [
+    account.label || "-",
+    account.address || "no wallet",
+    !account.enabled ? "disabled" : account.token ? "ready" : "no token",
+    `issued=${account.issuedAt || "N/A"}`,
+    `verified=${account.lastVerifiedAt || "N/A"}`,
+    account.lastError ? `error=${account.lastError.message}` : "",
+  ]
+    .filter(Boolean)
+    .join("  ");
+}
+
+const ACCOUNTS_USAGE =
+  "Usage: accounts [list [--json] | enable <account> | disable <account> | label <account> <name> | backups | restore [number]]";
+
+/**
+ * @param {Array<string>} args
+ * @returns {number}
+ */
+function listAccountsCommand(args) {
+  const accounts = accountStore.listAccounts();
+
+  if (args.includes("--json")) {
+    console.log(
+      JSON.stringify(
+        accounts.map(({ token, ...account }) => ({
+          ...account,
+          hasToken: Boolean(token),
+        })),
+        null,
+        2
+      )
+    );
+  } else if (accounts.length === 0) {
+    console.log("No accounts. Run login first.");
+  } else {
+    accounts.forEach((account, index) => {
+      console.log(`#${index + 1}  ${formatAccount(account)}`);
+    });
+  }
+
+  return EXIT_CODES.OK;
+}
+
+/**
+ * @returns {number}
+ */
+function backupsCommand() {
+  const backups = accountStore.listTokenBackups();
+
+  if (backups.length === 0) {
+    console.log("No backups yet");
+    return EXIT_CODES.OK;
+  }
+
+  backups.forEach((backup) => {
+    console.log(
+      [
+        `#${backup.number}`,
+        backup.modifiedAt,
+        backup.error
+          ? `unreadable: ${backup.error}`
+          : `accounts=${backup.accounts}  tokens=${backup.tokens}`,
+      ].join("  ")
+    );
+  });
+
+  return EXIT_CODES.OK;
+}
+
+/**
+ * @param {string} number - defaults to the newest backup
+ * @returns {number}
+ */
+function restoreCommand(number = "1") {
+  if (!/^\d+$/.test(number)) {
+    console.error("Usage: accounts restore [number]");
+    return EXIT_CODES.USAGE;
+  }
+
+  const count = accountStore.restoreTokenBackup(Number(number));
+  console.log(
+    `Restored ${count} accounts from backup #${number}. The replaced accounts are now backup #1.`
+  );
+  return EXIT_CODES.OK;
+}
+
+/**
+ * accounts [list [--json] | enable <account> | disable <account> |
+ *   label <account> <name> | backups | restore [number]]
+ * <account> is a label, wallet address (prefix) or 1-based number
+ * @param {Array<string>} args
+ * @returns {number} exit code
+ */
+function accountsCommand(args) {
+  const [action = "list", target, ...rest] = getPositionals(args);
+
+  try {
+    switch (action) {
+      case "list":
+        return listAccountsCommand(args);
+      case "backups":
+        return backupsCommand();
+      case "restore":
+        return restoreCommand(target);
+      default:
+        break;
+    }
+
+    const changes = {
+      enable: { enabled: true },
+      disable: { enabled: false },
+      label: { label: rest.join(" ").trim() },
+    }[action];
+
+    if (!changes || !target || (action === "label" && !changes.label)) {
+      console.error(ACCOUNTS_USAGE);
+      return EXIT_CODES.USAGE;
+    }
+
+    const account = accountStore.updateAccount(target, changes);
+    if (!account) {
+      console.error(`Account not found: ${target}`);
+      return EXIT_CODES.ERROR;
+    }
+
+    console.log(formatAccount(account));
+    return EXIT_CODES.OK;
+  } catch (error) {
+    console.error(error.message);
+    return EXIT_CODES.ERROR;
+  }
+}
+
+/**
+ * points [--json]
+ * @param {Array<string>} args
+ * @returns {Promise<number>}
+ */
+async function pointsCommand(args) {
+  const results = await queryEachAccount(async () => {
+    const data = await points.getUserPoints();
+    return {
+      total: data.total_points,
+      inference: data.points.inference,
+      referral: data.points.referral,
+    };
+  });
+
+  return printAccountResults(
+    results,
+    args.includes("--json"),
+    (result) =>
+      `total=${result.total}  inference=${result.inference}  referral=${result.referral}`
+  );
+}
+
+/**
+ * rate-limit [--json]
+ * @param {Array<string>} args
+ * @returns {Promise<number>}
+ */
+async function rateLimitCommand(args) {
+  const results = await queryEachAccount(() => rateLimit.getRateLimit());
+
+  return printAccountResults(
+    results,
+    args.includes("--json"),
+    (result) =>
+      `remaining=${result.remaining}/${result.limit}  used=${
+        result.currentUsage
+      }  reset=${formatReset(result.resetTime)}`
+  );
+}
+
+module.exports = {
+  verifyTokensCommand,
+  loginCommand,
+  accountsCommand,
+  pointsCommand,
+  rateLimitCommand,
+};
@@ -0,0 +1,42 @@
+/**
+ * Value of a `--name value` or `--name=value` option
+ * @param {Array<string>} args
+ * @param {string} name
+ * @returns {string|null}
+ */
+function getOption(args, name) {
+  const index = args.findIndex(
+    (arg) => arg === `--${name}` || arg.startsWith(`--${name}=`)
+  );
+  if (index < 0) return null;
+
+  const arg = args[index];
+  return arg.includes("=")
+    ? arg.substring(arg.indexOf("=") + 1)
+    : args[index + 1] || null;
+}
+
+/**
+ * Arguments that are not options or option values
+ * @param {Array<string>} args
+ * @param {Array<string>} valueOptions - options followed by a value
+ * @returns {Array<string>}
+ */
+function getPositionals(args, valueOptions = []) {
+  const positionals = [];
+
+  for (let i = 0; i < args.length; i++) {
+    if (valueOptions.includes(args[i].substring(2))) {
+      i++;
+    } else if (!args[i].startsWith("--")) {
+      positionals.push(args[i]);
+    }
+  }
+
+  return positionals;
+}
+
+module.exports = {
+  getOption,
+  getPositionals,
+};
@@ -0,0 +1,95 @@
+const { auth, chat, models } = require("../api");
+const { threads } = require("../storage");
+const { EXIT_CODES } = require("./exit-codes");
+const { getOption, getPositionals } = require("./args");
+
+/**
+ * models [--json]
+ * @param {Array<string>} args
+ * @returns {Promise<number>}
+ */
+async function modelsCommand(args) {
+  await auth.login();
+  const list = await models.getModels();
+
+  if (args.includes("--json")) {
+    console.log(JSON.stringify(list, null, 2));
+    return EXIT_CODES.OK;
+  }
+
+  list.forEach((model) => {
+    console.log(
+      [
+        model.name,
+        model.display || "",
+        model.is_pro ? "pro" : "free",
+        model.active ? "active" : "inactive",
+      ].join("  ")
+    );
+  });
+
+  return EXIT_CODES.OK;
+}
+
+/**
+ * send "<prompt>" [--model <name>] [--json]
+ * Sends one message in a new thread, which is closed afterwards
+ * @param {Array<string>} args
+ * @returns {Promise<number>}
+ */
+async function sendCommand(args) {
+  const prompt = getPositionals(args, ["model"]).join(" ").trim();
+  if (!prompt) {
+    console.error('Usage: send "<prompt>" [--model <name>] [--json]');
+    return EXIT_CODES.USAGE;
+  }
+
+  await auth.login();
+  const userInfo = await auth.getUserInfo(true);
+  chat.setActiveAccount(userInfo.user_id);
+
+  const modelName = getOption(args, "model");
+  if (modelName) {
+    const list = await models.getModels();
+    if (!list.some((model) => model.name === modelName)) {
+      console.error(
+        `Unknown model "${modelName}". Available: ${list
+          .map((model) => model.name)
+          .join(", ")}`
+      );
+      return EXIT_CODES.USAGE;
+    }
+    chat.setSelectedModel(modelName);
+  } else {
+    await models.selectDefaultModel();
+  }
+
+  const thread = chat.createThread();
+  const startedAt = Date.now();
+
+  try {
+    const answer = await chat.sendChatMessage(prompt, { source: "cli" });
+
+    if (args.includes("--json")) {
+      console.log(
+        JSON.stringify({
+          threadId: thread.id,
+          model: chat.getSelectedModel(),
+          latencyMs: Date.now() - startedAt,
+          answer,
+        })
+      );
+    } else {
+      console.log(answer);
+    }
+
+    return EXIT_CODES.OK;
+  } finally {
+    threads.closeThread(userInfo.user_id, thread.id);
+  }
+}
+
+module.exports = {
+  modelsCommand,
+  sendCommand,
+};
@@ -0,0 +1,16 @@
+/**
+ * Process exit codes, so supervisors (systemd, Docker) can tell why the
+ * bot stopped
+ */
+const EXIT_CODES = {
+  OK: 0,
+  ERROR: 1,
+  INVALID_CONFIG: 2,
+  AUTH_FAILED: 3,
+  START_FAILED: 4,
+  USAGE: 5,
+};
+
+module.exports = {
+  EXIT_CODES,
+};
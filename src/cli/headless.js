@@ -0,0 +1,88 @@
+const config = require("../../config");
+const { EXIT_CODES } = require("./exit-codes");
+const {
+  prepareSessionTokens,
+  onAutomationStopped,
+  initAutomation,
+  startAutomation,
+  pauseAutomation,
+  startSchedule,
+  getRunningState,
+} = require("../automation");
+const { stats } = require("../services");
+const { log, logToFile, checkLogSize, setConsoleOutput } = require("../utils");
+
+const STOP_EXIT_CODES = {
+  "prompts-exhausted": EXIT_CODES.OK,
+  "goals-reached": EXIT_CODES.OK,
+  "account-error": EXIT_CODES.AUTH_FAILED,
+  "auth-failed": EXIT_CODES.AUTH_FAILED,
+  "start-failed": EXIT_CODES.START_FAILED,
+};
+
+let exiting = false;
+
+/**
+ * Flush the output streams before exiting
+ * @param {number} code
+ */
+function exit(code) {
+  if (exiting) return;
+  exiting = true;
+
+  log(`Session stats: ${stats.formatSessionStats()}`, "info");
+  logToFile(`Headless run finished with exit code ${code}`);
+  process.stdout.write("", () => process.exit(code));
+}
+
+/**
+ * Run automation without the dashboard, logging to stdout/stderr
+ * @returns {Promise<void>}
+ */
+async function runHeadless() {
+  setConsoleOutput(config.CONSOLE_LOG_FORMAT);
+  checkLogSize();
+
+  log("Starting KlokApp Chat Automation in headless mode", "info");
+
+  ["SIGINT", "SIGTERM"].forEach((signal) => {
+    process.on(signal, () => {
+      log(`Received ${signal}, stopping automation`, "warning");
+      if (getRunningState()) pauseAutomation();
+      exit(EXIT_CODES.OK);
+    });
+  });
+
+  onAutomationStopped(({ reason, message }) => {
+    const code = STOP_EXIT_CODES[reason];
+    log(
+      `Automation stopped: ${message}`,
+      code === EXIT_CODES.OK ? "info" : "error"
+    );
+    exit(code === undefined ? EXIT_CODES.ERROR : code);
+  });
+
+  try {
+    const readyCount = await prepareSessionTokens();
+    if (readyCount === 0) {
+      log("No usable session tokens, nothing to run", "error");
+      return exit(EXIT_CODES.AUTH_FAILED);
+    }
+
+    if (!(await initAutomation())) {
+      return exit(EXIT_CODES.START_FAILED);
+    }
+
+    if (!startSchedule()) {
+      await startAutomation();
+    }
+  } catch (error) {
+    log(`Application error: ${error.message}`, "error");
+    logToFile(`Application error: ${error.message}`, { stack: error.stack });
+    exit(EXIT_CODES.ERROR);
+  }
+}
+
+module.exports = {
+  runHeadless,
+};
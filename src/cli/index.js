@@ -0,0 +1,131 @@
+const { EXIT_CODES } = require("./exit-codes");
+const { runThreadsCommand } = require("./threads");
+const {
+  verifyTokensCommand,
+  loginCommand,
+  accountsCommand,
+  pointsCommand,
+  rateLimitCommand,
+} = require("./accounts");
+const { modelsCommand, sendCommand } = require("./chat");
+const { runKeysCommand } = require("./keys");
+const { reportCommand } = require("./report");
+
+/**
+ * Subcommands besides `run`. Each handler receives the remaining arguments
+ * and returns (a promise of) the process exit code.
+ */
+const COMMANDS = {
+  "verify-tokens": {
+    usage: "verify-tokens [--json]",
+    description: "Check stored session tokens and remove invalid ones",
+    run: verifyTokensCommand,
+  },
+  login: {
+    usage: "login",
+    description: "Sign in with the keystore wallets and store tokens",
+    run: loginCommand,
+  },
+  accounts: {
+    usage:
+      "accounts [list | enable|disable <account> | label <account> <name> | backups | restore [n]]",
+    description:
+      "Show stored accounts, enable/disable or rename them, restore a backup",
+    run: accountsCommand,
+  },
+  keys: {
+    usage:
+      "keys [list | import [--label <name>] [--from-env] | remove <address>]",
+    description: "Manage the encrypted wallet keystore",
+    run: runKeysCommand,
+  },
+  points: {
+    usage: "points [--json]",
+    description: "Show points of every account",
+    run: pointsCommand,
+  },
+  "rate-limit": {
+    usage: "rate-limit [--json]",
+    description: "Show the rate limit of every account",
+    run: rateLimitCommand,
+  },
+  models: {
+    usage: "models [--json]",
+    description: "List available models",
+    run: modelsCommand,
+  },
+  send: {
+    usage: 'send "<prompt>" [--model <name>] [--json]',
+    description: "Send one chat message and print the answer",
+    run: sendCommand,
+  },
+  threads: {
+    usage:
+      "threads [list [account-id] | show <thread-id> | delete <thread-id>]",
+    description: "Inspect stored chat threads",
+    run: runThreadsCommand,
+  },
+  report: {
+    usage:
+      "report [--from <day>] [--to <day>] [--days <n>] [--json] [--out <dir>]",
+    description: "Export message, retry and points stats as CSV/JSON",
+    run: reportCommand,
+  },
+};
+
+function printUsage() {
+  const lines = [
+    "Usage: node main.js [command] [options]",
+    "",
+    "Commands:",
+    `  ${"run [--headless]".padEnd(50)} Start automation (default)`,
+    ...Object.values(COMMANDS).map(
+      (command) => `  ${command.usage.padEnd(50)} ${command.description}`
+    ),
+    "",
+    "Settings can be overridden on any command with --config <file>,",
+    "--set <SETTING.key>=<value> or --<setting> <value>.",
+  ];
+
+  console.log(lines.join("\n"));
+}
+
+/**
+ * @param {string} name
+ * @returns {boolean}
+ */
+function hasCommand(name) {
+  return Object.prototype.hasOwnProperty.call(COMMANDS, name);
+}
+
+/**
+ * @param {string} name
+ * @param {Array<string>} args
+ * @returns {Promise<number>} exit code
+ */
+async function runCommand(name, args) {
+  if (name === "help" || name === "--help" || name === "-h") {
+    printUsage();
+    return EXIT_CODES.OK;
+  }
+
+  if (!hasCommand(name)) {
+    console.error(`Unknown command: ${name}\n`);
+    printUsage();
+    return EXIT_CODES.USAGE;
+  }
+
+  try {
+    return await COMMANDS[name].run(args);
+  } catch (error) {
+    console.error(`${name} failed: ${error.message}`);
+    return EXIT_CODES.ERROR;
+  }
+}
+
+module.exports = {
+  COMMANDS,
+  hasCommand,
+  runCommand,
+  printUsage,
+};
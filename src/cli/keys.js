@@ -0,0 +1,153 @@
+const config = require("../../config");
+const { keystore } = require("../storage");
+const { EXIT_CODES } = require("./exit-codes");
+const { getOption, getPositionals } = require("./args");
+const { askHidden, readStdinLines, getPassphrase } = require("./passphrase");
+
+const USAGE =
+  "Usage: keys [list [--json] | import [--label <name>] [--from-env] | remove <address|label>]";
+
+/**
+ * @param {Array<string>} args
+ * @returns {number}
+ */
+function listCommand(args) {
+  const wallets = keystore.listWallets();
+
+  if (args.includes("--json")) {
+    console.log(JSON.stringify(wallets, null, 2));
+    return EXIT_CODES.OK;
+  }
+
+  if (wallets.length === 0) {
+    console.log(`No wallets in ${keystore.getKeystorePath()}`);
+    return EXIT_CODES.OK;
+  }
+
+  wallets.forEach((wallet) => {
+    console.log(
+      [wallet.address, wallet.label || "-", `added=${wallet.addedAt}`].join(
+        "  "
+      )
+    );
+  });
+
+  return EXIT_CODES.OK;
+}
+
+/**
+ * Private keys to import: PRIVATE_KEYS with --from-env, one key asked on the
+ * terminal, or one key per line from a pipe
+ * @param {Array<string>} args
+ * @returns {Promise<Array<string>>}
+ */
+async function readKeysToImport(args) {
+  if (args.includes("--from-env")) {
+    return (process.env.PRIVATE_KEYS || "")
+      .split(",")
+      .map((key) => key.trim())
+      .filter(Boolean);
+  }
+
+  if (process.stdin.isTTY) {
+    const key = await askHidden("Private key: ");
+    return key.trim() ? [key.trim()] : [];
+  }
+
+  return readStdinLines();
+}
+
+/**
+ * @param {Array<string>} args
+ * @returns {Promise<number>}
+ */
+async function importCommand(args) {
+  const privateKeys = await readKeysToImport(args);
+  if (privateKeys.length === 0) {
+    console.error("No private keys to import");
+    return EXIT_CODES.USAGE;
+  }
+
+  const passphrase = await getPassphrase({ confirm: !keystore.hasWallets() });
+  if (!passphrase) {
+    console.error(
+      `No passphrase. Set ${config.WALLET_KEYSTORE.passphraseEnv} or run from a terminal.`
+    );
+    return EXIT_CODES.USAGE;
+  }
+
+  const label = getOption(args, "label") || "";
+  let failed = 0;
+
+  for (let i = 0; i < privateKeys.length; i++) {
+    try {
+      const address = await keystore.addWallet(
+        privateKeys[i],
+        passphrase,
+        label && privateKeys.length > 1 ? `${label}-${i + 1}` : label
+      );
+      console.log(`Imported ${address}`);
+    } catch (error) {
+      failed++;
+      console.error(`Key #${i + 1}: ${error.message}`);
+    }
+  }
+
+  if (args.includes("--from-env") && failed < privateKeys.length) {
+    console.log(
+      "PRIVATE_KEYS can now be removed from .env, the keys are read from the keystore"
+    );
+  }
+
+  return failed > 0 ? EXIT_CODES.ERROR : EXIT_CODES.OK;
+}
+
+/**
+ * @param {string} target
+ * @returns {number}
+ */
+function removeCommand(target) {
+  if (!target) {
+    console.error("Usage: keys remove <address|label>");
+    return EXIT_CODES.USAGE;
+  }
+
+  const removed = keystore.removeWallet(target);
+  if (!removed) {
+    console.error(`Wallet not found: ${target}`);
+    return EXIT_CODES.ERROR;
+  }
+
+  console.log(`Removed ${removed.address}`);
+  return EXIT_CODES.OK;
+}
+
+/**
+ * keys list [--json] | import [--label <name>] [--from-env] | remove <address|label>
+ * @param {Array<string>} args
+ * @returns {Promise<number>} exit code
+ */
+async function runKeysCommand(args) {
+  const [action = "list", target] = getPositionals(args, ["label"]);
+
+  try {
+    switch (action) {
+      case "list":
+        return listCommand(args);
+      case "import":
+        return await importCommand(args);
+      case "remove":
+        return removeCommand(target);
+      default:
+        console.error(USAGE);
+        return EXIT_CODES.USAGE;
+    }
+  } catch (error) {
+    console.error(error.message);
+    return EXIT_CODES.ERROR;
+  }
+}
+
+module.exports = {
+  runKeysCommand,
+};
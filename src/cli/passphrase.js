@@ -0,0 +1,95 @@
+const readline = require("readline");
+const { keystore } = require("../storage");
+
+/**
+ * Ask a question on the terminal without echoing the answer
+ * @param {string} question
+ * @returns {Promise<string>}
+ */
+function askHidden(question) {
+  return new Promise((resolve) => {
+    const rl = readline.createInterface({
+      input: process.stdin,
+      output: process.stdout,
+      terminal: true,
+    });
+
+    let muted = false;
+    rl._writeToOutput = (text) => {
+      if (!muted) rl.output.write(text);
+    };
+
+    rl.question(question, (answer) => {
+      rl.output.write("\n");
+      rl.close();
+      resolve(answer);
+    });
+    muted = true;
+  });
+}
+
+/**
+ * Read non-empty lines from a piped stdin
+ * @returns {Promise<Array<string>>}
+ */
+function readStdinLines() {
+  return new Promise((resolve, reject) => {
+    let data = "";
+    process.stdin.setEncoding("utf8");
+    process.stdin.on("data", (chunk) => {
+      data += chunk;
+    });
+    process.stdin.on("end", () =>
+      resolve(
+        data
+          .split(/\r?\n/)
+          .map((line) => line.trim())
+          .filter(Boolean)
+      )
+    );
+    process.stdin.on("error", reject);
+  });
+}
+
+/**
+ * Keystore passphrase from the environment, or asked on the terminal
+ * @param {Object} options - { confirm: ask twice when creating a keystore }
+ * @returns {Promise<string|null>}
+ */
+async function getPassphrase(options = {}) {
+  const fromEnv = keystore.getEnvPassphrase();
+  if (fromEnv) return fromEnv;
+  if (!process.stdin.isTTY) return null;
+
+  const passphrase = await askHidden("Keystore passphrase: ");
+  if (options.confirm) {
+    const again = await askHidden("Repeat passphrase: ");
+    if (again !== passphrase) {
+      throw new Error("Passphrases do not match");
+    }
+  }
+
+  return passphrase || null;
+}
+
+/**
+ * Unlock the wallet keystore before the dashboard or a command starts.
+ * Does nothing when the keystore is empty or already unlocked.
+ * @returns {Promise<boolean>} false when no passphrase is available
+ */
+async function unlockKeystore() {
+  if (!keystore.hasWallets() || keystore.isUnlocked()) return true;
+
+  const passphrase = await getPassphrase();
+  if (!passphrase) return false;
+
+  await keystore.unlock(passphrase);
+  return true;
+}
+
+module.exports = {
+  askHidden,
+  readStdinLines,
+  getPassphrase,
+  unlockKeystore,
+};
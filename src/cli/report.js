@@ -0,0 +1,53 @@
+const { stats } = require("../services");
+const { EXIT_CODES } = require("./exit-codes");
+const { getOption } = require("./args");
+
+const USAGE =
+  "Usage: report [--from <yyyy-MM-dd>] [--to <yyyy-MM-dd>] [--days <n>] [--json] [--out <dir>]";
+
+/**
+ * report [--from <day>] [--to <day>] [--days <n>] [--json] [--out <dir>]
+ * Prints the counters of every day, account and model in the range as CSV
+ * (or JSON), or writes both files to a directory. Without --from the range
+ * is the last --days days (default 7) up to --to (default today).
+ * @param {Array<string>} args
+ * @returns {number} exit code
+ */
+function reportCommand(args) {
+  const range = stats.getReportRange({
+    from: getOption(args, "from") || undefined,
+    to: getOption(args, "to") || undefined,
+    days: Number(getOption(args, "days") || 7),
+  });
+
+  if (!range) {
+    console.error(USAGE);
+    return EXIT_CODES.USAGE;
+  }
+
+  const { from, to } = range;
+
+  const out = getOption(args, "out");
+  if (out) {
+    const { report, csvPath, jsonPath } = stats.exportReport(from, to, out);
+    console.log(
+      `Report ${from} to ${to}: ${report.totals.succeeded}/${report.totals.attempted} messages, ${report.totals.points} points`
+    );
+    console.log(csvPath);
+    console.log(jsonPath);
+    return EXIT_CODES.OK;
+  }
+
+  const report = stats.buildReport(from, to);
+  process.stdout.write(
+    args.includes("--json")
+      ? stats.reportToJson(report)
+      : stats.reportToCsv(report)
+  );
+
+  return EXIT_CODES.OK;
+}
+
+module.exports = {
+  reportCommand,
+};
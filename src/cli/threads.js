@@ -0,0 +1,107 @@
+const { threads } = require("../storage");
+const { EXIT_CODES } = require("./exit-codes");
+
+function listCommand(accountId) {
+  const list = threads.listThreads(accountId || null);
+
+  if (list.length === 0) {
+    console.log("No stored threads");
+    return EXIT_CODES.OK;
+  }
+
+  list.forEach((thread) => {
+    console.log(
+      [
+        thread.id,
+        `account=${thread.accountId}`,
+        `model=${thread.model || "N/A"}`,
+        `messages=${thread.messageCount}`,
+        `updated=${thread.updated_at}`,
+        thread.closed ? "closed" : "open",
+      ].join("  ")
+    );
+  });
+
+  return EXIT_CODES.OK;
+}
+
+function showCommand(threadId) {
+  if (!threadId) {
+    console.error("Usage: threads show <thread-id>");
+    return EXIT_CODES.USAGE;
+  }
+
+  const match = threads.findThread(threadId);
+  if (!match) {
+    console.error(`Thread not found: ${threadId}`);
+    return EXIT_CODES.ERROR;
+  }
+
+  const { accountId, thread } = match;
+  console.log(`Thread:  ${thread.id}`);
+  console.log(`Account: ${accountId}`);
+  console.log(`Model:   ${thread.model || "N/A"}`);
+  console.log(`Created: ${thread.created_at}`);
+  console.log(`Updated: ${thread.updated_at}`);
+  console.log(`Status:  ${thread.closed ? "closed" : "open"}`);
+  console.log("");
+
+  thread.messages.forEach((message) => {
+    const who = message.role === "user" ? "User" : "AI";
+    const details = [message.created_at, message.model]
+      .filter(Boolean)
+      .join(", ");
+    console.log(`[${who}]${details ? ` (${details})` : ""}`);
+    console.log(message.content);
+    console.log("");
+  });
+
+  return EXIT_CODES.OK;
+}
+
+function deleteCommand(threadId) {
+  if (!threadId) {
+    console.error("Usage: threads delete <thread-id>");
+    return EXIT_CODES.USAGE;
+  }
+
+  if (!threads.deleteThread(threadId)) {
+    console.error(`Thread not found: ${threadId}`);
+    return EXIT_CODES.ERROR;
+  }
+
+  console.log(`Deleted thread ${threadId}`);
+  return EXIT_CODES.OK;
+}
+
+/**
+ * threads list [account-id] | show <thread-id> | delete <thread-id>
+ * @param {Array<string>} args
+ * @returns {number} exit code
+ */
+function runThreadsCommand(args) {
+  const [action = "list", target] = args;
+
+  try {
+    switch (action) {
+      case "list":
+        return listCommand(target);
+      case "show":
+        return showCommand(target);
+      case "delete":
+        return deleteCommand(target);
+      default:
+        console.error(
+          "Usage: threads [list [account-id] | show <thread-id> | delete <thread-id>]"
+        );
+        return EXIT_CODES.USAGE;
+    }
+  } catch (error) {
+    console.error(error.message);
+    return EXIT_CODES.ERROR;
+  }
+}
+
+module.exports = {
+  runThreadsCommand,
+};
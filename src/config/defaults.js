@@ -0,0 +1,232 @@
+/**
+ * Built-in defaults, the lowest configuration layer. Override them in
+ * klok.config.json / klok.config.yaml, with KLOK_* environment variables
+ * or with command line flags (see src/config/loader.js).
+ */
+module.exports = {
+  BASE_URL: "https://api1-pp.klokapp.ai/v1",
+
+  // Run without the dashboard and start automation right away (--headless).
+  // Logs, chat messages and status changes go to stdout/stderr as
+  // CONSOLE_LOG_FORMAT "text" or "json" lines
+  HEADLESS: false,
+  CONSOLE_LOG_FORMAT: "text",
+
+  // Lowest level shown in the log box (or the headless console):
+  // "debug" (API requests and responses), "info", "warning" or "error"
+  UI_LOG_LEVEL: "debug",
+
+  // Backend used to generate prompts and follow-ups: "groq" or "openai"
+  // (any OpenAI-compatible chat-completions server, e.g. llama.cpp or vLLM)
+  PROMPT_BACKEND: "groq",
+  GROQ: {
+    model: "llama3-8b-8192",
+    apiKeyPath: "./groq-api.key",
+  },
+  OPENAI_COMPATIBLE: {
+    baseUrl: "http://localhost:8080/v1",
+    model: "local-model",
+    apiKey: "",
+    apiKeyPath: "./openai-api.key",
+  },
+
+  // Prompt generation settings. {topic} and {hint} in topicInstruction are
+  // filled from TOPIC_CATALOG; userInstruction is used when no topic is picked
+  PROMPT_GENERATION: {
+    temperature: 1,
+    topP: 1,
+    maxTokens: 200,
+    systemPrompt:
+      "You are a helpful assistant. Generate a random, interesting question or prompt for an AI assistant. Keep it concise (max 2 sentences) and make it something that would lead to an engaging response.",
+    userInstruction: "Generate a single interesting prompt.",
+    topicInstruction:
+      "Generate a single interesting prompt in the domain of {topic}, for example about {hint}.",
+    followUpSystemPrompt:
+      "You are playing a curious user talking to an AI assistant. Read the assistant's last answer and write one natural follow-up question that digs deeper into it, asks for an example or challenges a point it made. Keep it concise (max 2 sentences) and reply with the question only.",
+  },
+
+  // Bias generated prompts toward these domains, picked by weight
+  TOPIC_CATALOG: {
+    enabled: true,
+    topics: [
+      {
+        name: "coding",
+        weight: 3,
+        hints: [
+          "JavaScript",
+          "Python",
+          "algorithms",
+          "debugging",
+          "software design",
+          "databases",
+        ],
+      },
+      {
+        name: "math",
+        weight: 2,
+        hints: ["probability", "algebra", "geometry", "statistics", "puzzles"],
+      },
+      {
+        name: "finance",
+        weight: 2,
+        hints: [
+          "personal budgeting",
+          "investing",
+          "interest rates",
+          "inflation",
+          "accounting",
+        ],
+      },
+      {
+        name: "science",
+        weight: 1,
+        hints: ["physics", "biology", "chemistry", "astronomy"],
+      },
+      {
+        name: "general knowledge",
+        weight: 1,
+        hints: ["history", "geography", "culture", "language"],
+      },
+    ],
+  },
+
+  // Offline prompts are used while the backend fails; it is retried with
+  // backoff
+  PROMPT_FALLBACK: {
+    retryIntervalMs: 60000,
+    maxRetryIntervalMs: 600000,
+    requestTimeoutMs: 20000,
+  },
+
+  DEFAULT_HEADERS: {
+    "content-type": "application/json",
+    Origin: "https://klokapp.ai",
+    Referer: "https://klokapp.ai/",
+  },
+
+  REFERRAL_CODE: {
+    referral_code: "KE245QJV",
+  },
+
+  // Random pause between chat messages
+  MIN_CHAT_DELAY: 3000,
+  MAX_CHAT_DELAY: 10000,
+
+  // Stop the loop (or switch account) after this many failed chats in a row
+  MAX_CONSECUTIVE_ERRORS: 3,
+
+  // Move on to the next account with quota left every N ms
+  ACCOUNT_SWITCH_INTERVAL: 10 * 60 * 1000,
+
+  // Daily goals per account (an account that reaches one is skipped until
+  // the next day) and limits for a run; 0 disables a limit
+  GOALS: {
+    dailyMessagesPerAccount: 0,
+    dailyPointsPerAccount: 0,
+    maxRuntimeMinutes: 0,
+    maxSessionMessages: 0,
+  },
+
+  // Run only inside these time windows (timezone: IANA name, empty for the
+  // local one). A window is { days: "mon-fri", start: "22:00", end: "06:00" }
+  // or { cron: "0 22 * * 1-5", durationMinutes: 480 }
+  SCHEDULE: {
+    enabled: false,
+    timezone: "",
+    windows: [],
+  },
+
+  // Every /points result per account, for the points chart and gains.
+  // A result is stored at most once per minIntervalMs (0 stores all)
+  POINTS_HISTORY: {
+    path: "./points-history.jsonl",
+    retentionDays: 30,
+    minIntervalMs: 60 * 1000,
+  },
+
+  // Counters per day, account and model for `report` and the E key.
+  // Days older than retentionDays are dropped
+  STATS: {
+    path: "./stats.jsonl",
+    retentionDays: 365,
+    reportDir: "./reports",
+  },
+
+  // accounts.json keeps backupCount copies of earlier token sets
+  // (accounts restore); writers wait up to lockTimeoutMs for each other
+  ACCOUNT_STORE: {
+    backupCount: 5,
+    lockTimeoutMs: 10000,
+  },
+
+  // Encrypted wallet keys used to sign in and refresh expired tokens. The
+  // passphrase is read from the passphraseEnv variable or asked at startup.
+  // allowPlaintextEnv also accepts raw keys from PRIVATE_KEYS in .env (legacy)
+  WALLET_KEYSTORE: {
+    path: "./wallets.keystore.json",
+    passphraseEnv: "KEYSTORE_PASSPHRASE",
+    allowPlaintextEnv: false,
+  },
+
+  // Retries for network and 5xx errors on authenticated requests
+  AUTH_RETRY: {
+    maxRetries: 5,
+    retryDelayMs: 2000,
+    multiplier: 1.5,
+  },
+
+  // info.log is rotated at maxSizeMb, keeping backupCount old files.
+  // format "text" or "json" (one JSON object per line); entries below
+  // level are not written
+  LOG_FILE: {
+    maxSizeMb: 10,
+    backupCount: 3,
+    format: "text",
+    level: "debug",
+  },
+
+  CHAT_STREAM_IDLE_TIMEOUT: 15000,
+
+  RESUME_THREADS: true,
+
+  // chat-threads.json keeps the most recent N threads of each account
+  MAX_STORED_THREADS: 20,
+
+  // strategy: "all" | "last-turns" | "max-tokens" | "max-chars" | "summarize"
+  CHAT_HISTORY: {
+    strategy: "last-turns",
+    maxTurns: 10,
+    maxTokens: 3000,
+    maxChars: 12000,
+    summaryKeepTurns: 4,
+    summaryMaxChars: 1500,
+  },
+
+  // Start a new thread after N exchanges, a maximum age or a model change (0 disables)
+  THREAD_ROTATION: {
+    maxExchanges: 20,
+    maxAgeMinutes: 60,
+    onModelChange: true,
+  },
+
+  // Ask the backend again when a prompt is too similar to one sent before
+  PROMPT_DEDUP: {
+    enabled: true,
+    maxAttempts: 3,
+    similarityThreshold: 0.8,
+    recentWindow: 500,
+    maxEntries: 5000,
+  },
+
+  // Where fresh prompts come from, picked by weight:
+  //   { type: "llm", weight } (generated with PROMPT_BACKEND)
+  //   { type: "file", weight, path, order: "sequential" | "shuffle", loop }
+  //   { type: "template", weight, path?, templates?, slots? }
+  PROMPT_SOURCES: [{ type: "llm", weight: 1 }],
+
+  // Ask generated follow-ups to the last answer before starting a new topic
+  CONVERSATION: {
+    enabled: true,
+    followUpsPerTopic: 3,
+  },
+};
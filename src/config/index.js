@@ -0,0 +1,7 @@
+const loader = require("./loader");
+const { schema } = require("./schema");
+
+module.exports = {
+  ...loader,
+  schema,
+};
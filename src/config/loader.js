@@ -0,0 +1,566 @@
+const fs = require("fs");
+const path = require("path");
+const YAML = require("yaml");
+const defaults = require("./defaults");
+const { schema, crossChecks } = require("./schema");
+
+const CONFIG_FILE_NAMES = [
+  "klok.config.json",
+  "klok.config.yaml",
+  "klok.config.yml",
+];
+
+const ENV_PREFIX = "KLOK_";
+const ENV_CONFIG_PATH = "KLOK_CONFIG";
+
+// Environment variables supported before the KLOK_* naming scheme
+const ENV_ALIASES = {
+  PROMPT_BACKEND: ["PROMPT_BACKEND"],
+  OPENAI_BASE_URL: ["OPENAI_COMPATIBLE", "baseUrl"],
+  OPENAI_MODEL: ["OPENAI_COMPATIBLE", "model"],
+  OPENAI_API_KEY: ["OPENAI_COMPATIBLE", "apiKey"],
+};
+
+// Settings renamed when prompt generation stopped being Groq-only
+const RENAMED_KEYS = {
+  GROQ_API_KEY_PATH: ["GROQ", "apiKeyPath"],
+};
+
+const TRUE_WORDS = ["true", "1", "yes", "on"];
+const FALSE_WORDS = ["false", "0", "no", "off"];
+const BOOLEAN_WORDS = [...TRUE_WORDS, ...FALSE_WORDS];
+
+let configInfo = { file: null, overrides: [], warnings: [] };
+
+/**
+ * @param {any} value
+ * @returns {boolean}
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+/**
+ * Merge `source` into a copy of `target`. Objects are merged key by key,
+ * everything else (arrays included) is replaced.
+ * @param {Object} target
+ * @param {Object} source
+ * @returns {Object}
+ */
+function deepMerge(target, source) {
+  const result = { ...target };
+
+  Object.entries(source).forEach(([key, value]) => {
+    result[key] =
+      isPlainObject(value) && isPlainObject(result[key])
+        ? deepMerge(result[key], value)
+        : value;
+  });
+
+  return result;
+}
+
+/**
+ * @param {string} key
+ * @returns {string}
+ */
+function normalizeKey(key) {
+  return key.toLowerCase().replace(/[-_]/g, "");
+}
+
+/**
+ * Find the setting addressed by path segments, matching keys regardless of
+ * case, dashes and underscores ("chat-history", "CHAT_HISTORY" and
+ * "chatHistory" all name CHAT_HISTORY)
+ * @param {Array<string>} segments
+ * @returns {Object|null} { keys, node }
+ */
+function resolvePath(segments) {
+  let node = schema;
+  const keys = [];
+
+  for (const segment of segments) {
+    if (!node || node.type !== "object") return null;
+
+    const key = Object.keys(node.properties || {}).find(
+      (name) => normalizeKey(name) === normalizeKey(segment)
+    );
+
+    if (key) {
+      keys.push(key);
+      node = node.properties[key];
+    } else if (isPlainObject(node.additionalProperties)) {
+      keys.push(segment);
+      node = node.additionalProperties;
+    } else {
+      return null;
+    }
+  }
+
+  return keys.length > 0 ? { keys, node } : null;
+}
+
+/**
+ * Convert a string from the environment or the command line to the type
+ * the schema expects
+ * @param {string} raw
+ * @param {Object} node
+ * @returns {any}
+ */
+function coerceValue(raw, node) {
+  switch (node.type) {
+    case "number":
+    case "integer": {
+      const value = Number(raw);
+      if (raw.trim() === "" || Number.isNaN(value)) {
+        throw new Error(`expected a number, got "${raw}"`);
+      }
+      return value;
+    }
+    case "boolean": {
+      const value = raw.trim().toLowerCase();
+      if (TRUE_WORDS.includes(value)) return true;
+      if (FALSE_WORDS.includes(value)) return false;
+      throw new Error(`expected true or false, got "${raw}"`);
+    }
+    case "object":
+    case "array":
+      try {
+        return JSON.parse(raw);
+      } catch (error) {
+        throw new Error(`expected JSON, got "${raw}"`);
+      }
+    default:
+      return raw;
+  }
+}
+
+/**
+ * @param {Object} target
+ * @param {Array<string>} keys
+ * @param {any} value
+ */
+function setPath(target, keys, value) {
+  let current = target;
+
+  keys.slice(0, -1).forEach((key) => {
+    if (!isPlainObject(current[key])) {
+      current[key] = {};
+    }
+    current = current[key];
+  });
+
+  current[keys[keys.length - 1]] = value;
+}
+
+/**
+ * @param {string} filePath
+ * @returns {Object}
+ */
+function readConfigFile(filePath) {
+  const content = fs.readFileSync(filePath, "utf8");
+  const extension = path.extname(filePath).toLowerCase();
+
+  const parsed =
+    extension === ".yaml" || extension === ".yml"
+      ? YAML.parse(content)
+      : JSON.parse(content);
+
+  if (parsed === null || parsed === undefined) return {};
+  if (!isPlainObject(parsed)) {
+    throw new Error("the file must contain an object of settings");
+  }
+
+  return parsed;
+}
+
+/**
+ * Move settings from their old names in a config file to the current ones
+ * @param {Object} fileConfig
+ * @returns {Object} { config, warnings }
+ */
+function migrateRenamedKeys(fileConfig) {
+  let config = { ...fileConfig };
+  const warnings = [];
+
+  Object.entries(RENAMED_KEYS).forEach(([from, to]) => {
+    if (!(from in config)) return;
+    const layer = {};
+    setPath(layer, to, config[from]);
+    delete config[from];
+    config = deepMerge(config, layer);
+    warnings.push(`${from} has been renamed to ${to.join(".")}`);
+  });
+
+  return { config, warnings };
+}
+
+/**
+ * @param {string|null} explicitPath - from --config or KLOK_CONFIG
+ * @param {string} cwd
+ * @returns {string|null}
+ */
+function findConfigFile(explicitPath, cwd) {
+  if (explicitPath) {
+    return path.resolve(cwd, explicitPath);
+  }
+
+  const found = CONFIG_FILE_NAMES.map((name) => path.join(cwd, name)).find(
+    (candidate) => fs.existsSync(candidate)
+  );
+
+  return found || null;
+}
+
+/**
+ * Collect overrides from KLOK_* variables, e.g.
+ * KLOK_MIN_CHAT_DELAY=2000 or KLOK_CHAT_HISTORY__STRATEGY=summarize
+ * @param {Object} env
+ * @returns {Object} { overrides, problems, warnings }
+ */
+function parseEnv(env) {
+  const overrides = [];
+  const problems = [];
+  const warnings = [];
+
+  Object.entries(env).forEach(([name, raw]) => {
+    if (name === ENV_CONFIG_PATH || raw === undefined) return;
+
+    let resolved = null;
+
+    if (ENV_ALIASES[name]) {
+      resolved = resolvePath(ENV_ALIASES[name]);
+    } else if (name.startsWith(ENV_PREFIX)) {
+      resolved = resolvePath(name.substring(ENV_PREFIX.length).split("__"));
+      // Other tools may use the prefix too, so this is not fatal
+      if (!resolved) {
+        warnings.push(`${name} does not match any setting and is ignored`);
+        return;
+      }
+    } else {
+      return;
+    }
+
+    try {
+      overrides.push({
+        keys: resolved.keys,
+        value: coerceValue(raw, resolved.node),
+        source: name,
+      });
+    } catch (error) {
+      problems.push(`${name}: ${error.message}`);
+    }
+  });
+
+  return { overrides, problems, warnings };
+}
+
+/**
+ * Split configuration flags from the rest of the command line.
+ *   --config <file>                 config file to load
+ *   --set <path>=<value>            any setting, e.g. --set CHAT_HISTORY.maxTurns=5
+ *   --<setting>[.<key>] <value>     e.g. --min-chat-delay 2000, --chat-history.strategy=all
+ * Flags that do not name a setting are left in `rest`.
+ * @param {Array<string>} argv
+ * @returns {Object} { configPath, overrides, problems, rest }
+ */
+function parseConfigArgs(argv) {
+  const result = { configPath: null, overrides: [], problems: [], rest: [] };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    if (!arg.startsWith("--") || arg === "--") {
+      result.rest.push(arg);
+      continue;
+    }
+
+    const separator = arg.indexOf("=");
+    const name =
+      separator >= 0 ? arg.substring(2, separator) : arg.substring(2);
+    let value = separator >= 0 ? arg.substring(separator + 1) : null;
+
+    const takeValue = () => {
+      if (value !== null) return value;
+      if (i + 1 < argv.length && !argv[i + 1].startsWith("--")) {
+        value = argv[++i];
+        return value;
+      }
+      return null;
+    };
+
+    if (name === "config") {
+      result.configPath = takeValue();
+      if (!result.configPath) result.problems.push("--config needs a path");
+      continue;
+    }
+
+    let setting = name;
+    let source = `--${name}`;
+
+    if (name === "set") {
+      const assignment = takeValue() || "";
+      const equals = assignment.indexOf("=");
+      if (equals <= 0) {
+        result.problems.push(
+          `--set expects <path>=<value>, got "${assignment}"`
+        );
+        continue;
+      }
+      setting = assignment.substring(0, equals);
+      value = assignment.substring(equals + 1);
+      source = `--set ${setting}`;
+    }
+
+    const resolved = resolvePath(setting.split("."));
+    if (!resolved) {
+      if (name === "set") {
+        result.problems.push(`${source} does not match any setting`);
+      } else {
+        result.rest.push(arg);
+      }
+      continue;
+    }
+
+    // A bare boolean flag (--headless) only takes the next argument when it
+    // is a boolean, so it can be followed by a command
+    const bareBoolean =
+      resolved.node.type === "boolean" &&
+      value === null &&
+      !BOOLEAN_WORDS.includes(String(argv[i + 1]).toLowerCase());
+
+    let raw = name === "set" ? value : bareBoolean ? null : takeValue();
+    if (raw === null) {
+      if (resolved.node.type !== "boolean") {
+        result.problems.push(`${source} needs a value`);
+        continue;
+      }
+      raw = "true";
+    }
+
+    try {
+      result.overrides.push({
+        keys: resolved.keys,
+        value: coerceValue(raw, resolved.node),
+        source,
+      });
+    } catch (error) {
+      result.problems.push(`${source}: ${error.message}`);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * @param {any} value
+ * @returns {string}
+ */
+function describe(value) {
+  const text = JSON.stringify(value);
+  if (text === undefined) return String(value);
+  return text.length > 60 ? `${text.substring(0, 57)}...` : text;
+}
+
+/**
+ * Check a value against a schema node, collecting messages in `problems`
+ * @param {any} value
+ * @param {Object} node
+ * @param {string} at - dotted path of the value
+ * @param {Array<string>} problems
+ */
+function validateNode(value, node, at, problems) {
+  const fail = (message) =>
+    problems.push(`${at} ${message} (got ${describe(value)})`);
+
+  switch (node.type) {
+    case "string":
+      if (typeof value !== "string") return fail("must be a string");
+      if (node.minLength && value.length < node.minLength) {
+        return fail("must not be empty");
+      }
+      if (node.enum && !node.enum.includes(value)) {
+        return fail(`must be one of: ${node.enum.join(", ")}`);
+      }
+      if (node.format === "url") {
+        let url = null;
+        try {
+          url = new URL(value);
+        } catch (error) {
+          // reported below
+        }
+        if (!url || !["http:", "https:"].includes(url.protocol)) {
+          return fail("must be an http(s) URL");
+        }
+      }
+      return;
+
+    case "number":
+    case "integer":
+      if (typeof value !== "number" || !Number.isFinite(value)) {
+        return fail("must be a number");
+      }
+      if (node.type === "integer" && !Number.isInteger(value)) {
+        return fail("must be a whole number");
+      }
+      if (node.min !== undefined && value < node.min) {
+        return fail(`must be at least ${node.min}`);
+      }
+      if (node.max !== undefined && value > node.max) {
+        return fail(`must be at most ${node.max}`);
+      }
+      return;
+
+    case "boolean":
+      if (typeof value !== "boolean") return fail("must be true or false");
+      return;
+
+    case "array":
+      if (!Array.isArray(value)) return fail("must be a list");
+      if (node.minItems && value.length < node.minItems) {
+        return fail(`must have at least ${node.minItems} item(s)`);
+      }
+      if (node.items) {
+        value.forEach((item, index) =>
+          validateNode(item, node.items, `${at}[${index}]`, problems)
+        );
+      }
+      return;
+
+    case "object": {
+      if (!isPlainObject(value)) return fail("must be an object");
+
+      const properties = node.properties || {};
+
+      (node.required || []).forEach((key) => {
+        if (value[key] === undefined) {
+          problems.push(`${at ? `${at}.` : ""}${key} is required`);
+        }
+      });
+
+      Object.entries(value).forEach(([key, child]) => {
+        const childAt = at ? `${at}.${key}` : key;
+
+        if (properties[key]) {
+          validateNode(child, properties[key], childAt, problems);
+        } else if (isPlainObject(node.additionalProperties)) {
+          validateNode(child, node.additionalProperties, childAt, problems);
+        } else if (node.additionalProperties !== true) {
+          const suggestion = Object.keys(properties).find(
+            (name) => normalizeKey(name) === normalizeKey(key)
+          );
+          problems.push(
+            `${childAt} is not a known setting${
+              suggestion ? ` (did you mean ${suggestion}?)` : ""
+            }`
+          );
+        }
+      });
+      return;
+    }
+
+    default:
+      return;
+  }
+}
+
+/**
+ * @param {Object} config
+ * @returns {Array<string>}
+ */
+function validateConfig(config) {
+  const problems = [];
+  validateNode(config, schema, "", problems);
+
+  if (problems.length === 0) {
+    crossChecks.forEach((check) => {
+      const message = check(config);
+      if (message) problems.push(message);
+    });
+  }
+
+  return problems;
+}
+
+/**
+ * Build the configuration from its layers, later ones winning:
+ * defaults, config file, environment variables, command line flags.
+ * Throws an Error with a `problems` list when the result is invalid.
+ * @param {Object} options - { argv, env, cwd }
+ * @returns {Object}
+ */
+function loadConfig(options = {}) {
+  const argv = options.argv || process.argv.slice(2);
+  const env = options.env || process.env;
+  const cwd = options.cwd || process.cwd();
+
+  const args = parseConfigArgs(argv);
+  const problems = [...args.problems];
+  const overrides = [];
+  const warnings = [];
+
+  let config = deepMerge({}, defaults);
+
+  const filePath = findConfigFile(args.configPath || env[ENV_CONFIG_PATH], cwd);
+  if (filePath) {
+    const relativePath = path.relative(cwd, filePath);
+    const fileName = relativePath.startsWith("..") ? filePath : relativePath;
+    try {
+      const migrated = migrateRenamedKeys(readConfigFile(filePath));
+      const fileConfig = migrated.config;
+      warnings.push(...migrated.warnings);
+      config = deepMerge(config, fileConfig);
+      overrides.push(
+        ...Object.keys(fileConfig).map((key) => ({ key, source: fileName }))
+      );
+    } catch (error) {
+      problems.push(`Cannot read config file ${fileName}: ${error.message}`);
+    }
+  }
+
+  const envArgs = parseEnv(env);
+  problems.push(...envArgs.problems);
+  warnings.push(...envArgs.warnings);
+
+  [...envArgs.overrides, ...args.overrides].forEach((override) => {
+    const layer = {};
+    setPath(layer, override.keys, override.value);
+    config = deepMerge(config, layer);
+    overrides.push({ key: override.keys.join("."), source: override.source });
+  });
+
+  problems.push(...validateConfig(config));
+
+  if (problems.length > 0) {
+    const error = new Error(
+      `Invalid configuration:\n${problems
+        .map((problem) => `  - ${problem}`)
+        .join("\n")}`
+    );
+    error.problems = problems;
+    throw error;
+  }
+
+  configInfo = { file: filePath, overrides, warnings };
+  return config;
+}
+
+/**
+ * Where the loaded configuration came from
+ * @returns {Object} { file, overrides: [{ key, source }], warnings }
+ */
+function getConfigInfo() {
+  return {
+    file: configInfo.file,
+    overrides: [...configInfo.overrides],
+    warnings: [...configInfo.warnings],
+  };
+}
+
+module.exports = {
+  CONFIG_FILE_NAMES,
+  loadConfig,
+  parseConfigArgs,
+  validateConfig,
+  getConfigInfo,
+};
@@ -0,0 +1,267 @@
+/**
+ * Configuration schema. Each node has a `type` ("string", "number",
+ * "integer", "boolean", "object", "array") and optional constraints:
+ *   - string: enum, minLength, format: "url"
+ *   - number / integer: min, max
+ *   - object: properties, required, additionalProperties (schema or true)
+ *   - array: items, minItems
+ */
+
+const { validateSchedule } = require("../utils/schedule");
+
+const positiveInteger = { type: "integer", min: 1 };
+const nonNegativeInteger = { type: "integer", min: 0 };
+const nonEmptyString = { type: "string", minLength: 1 };
+const logLevel = {
+  type: "string",
+  enum: ["debug", "info", "warning", "error"],
+};
+
+const schema = {
+  type: "object",
+  properties: {
+    BASE_URL: { type: "string", format: "url" },
+
+    HEADLESS: { type: "boolean" },
+    CONSOLE_LOG_FORMAT: { type: "string", enum: ["text", "json"] },
+    UI_LOG_LEVEL: logLevel,
+
+    PROMPT_BACKEND: { type: "string", enum: ["groq", "openai"] },
+    GROQ: {
+      type: "object",
+      properties: {
+        model: nonEmptyString,
+        apiKeyPath: { type: "string" },
+      },
+    },
+    OPENAI_COMPATIBLE: {
+      type: "object",
+      properties: {
+        baseUrl: { type: "string", format: "url" },
+        model: nonEmptyString,
+        apiKey: { type: "string" },
+        apiKeyPath: { type: "string" },
+      },
+    },
+
+    PROMPT_GENERATION: {
+      type: "object",
+      properties: {
+        temperature: { type: "number", min: 0, max: 2 },
+        topP: { type: "number", min: 0, max: 1 },
+        maxTokens: positiveInteger,
+        systemPrompt: nonEmptyString,
+        userInstruction: nonEmptyString,
+        topicInstruction: nonEmptyString,
+        followUpSystemPrompt: nonEmptyString,
+      },
+    },
+
+    TOPIC_CATALOG: {
+      type: "object",
+      properties: {
+        enabled: { type: "boolean" },
+        topics: {
+          type: "array",
+          items: {
+            type: "object",
+            required: ["name"],
+            properties: {
+              name: nonEmptyString,
+              weight: { type: "number", min: 0 },
+              hints: { type: "array", items: { type: "string" } },
+            },
+          },
+        },
+      },
+    },
+
+    PROMPT_FALLBACK: {
+      type: "object",
+      properties: {
+        retryIntervalMs: positiveInteger,
+        maxRetryIntervalMs: positiveInteger,
+        requestTimeoutMs: positiveInteger,
+      },
+    },
+
+    DEFAULT_HEADERS: {
+      type: "object",
+      additionalProperties: { type: "string" },
+    },
+
+    REFERRAL_CODE: {
+      type: "object",
+      properties: {
+        referral_code: { type: "string" },
+      },
+    },
+
+    MIN_CHAT_DELAY: nonNegativeInteger,
+    MAX_CHAT_DELAY: nonNegativeInteger,
+
+    MAX_CONSECUTIVE_ERRORS: positiveInteger,
+
+    ACCOUNT_SWITCH_INTERVAL: { type: "integer", min: 1000 },
+
+    GOALS: {
+      type: "object",
+      properties: {
+        dailyMessagesPerAccount: nonNegativeInteger,
+        dailyPointsPerAccount: nonNegativeInteger,
+        maxRuntimeMinutes: nonNegativeInteger,
+        maxSessionMessages: nonNegativeInteger,
+      },
+    },
+
+    SCHEDULE: {
+      type: "object",
+      properties: {
+        enabled: { type: "boolean" },
+        timezone: { type: "string" },
+        windows: {
+          type: "array",
+          items: { type: "object", additionalProperties: true },
+        },
+      },
+    },
+
+    POINTS_HISTORY: {
+      type: "object",
+      properties: {
+        path: nonEmptyString,
+        retentionDays: positiveInteger,
+        minIntervalMs: nonNegativeInteger,
+      },
+    },
+
+    STATS: {
+      type: "object",
+      properties: {
+        path: nonEmptyString,
+        retentionDays: positiveInteger,
+        reportDir: nonEmptyString,
+      },
+    },
+
+    ACCOUNT_STORE: {
+      type: "object",
+      properties: {
+        backupCount: positiveInteger,
+        lockTimeoutMs: positiveInteger,
+      },
+    },
+
+    WALLET_KEYSTORE: {
+      type: "object",
+      properties: {
+        path: nonEmptyString,
+        passphraseEnv: nonEmptyString,
+        allowPlaintextEnv: { type: "boolean" },
+      },
+    },
+
+    AUTH_RETRY: {
+      type: "object",
+      properties: {
+        maxRetries: nonNegativeInteger,
+        retryDelayMs: nonNegativeInteger,
+        multiplier: { type: "number", min: 1 },
+      },
+    },
+
+    LOG_FILE: {
+      type: "object",
+      properties: {
+        maxSizeMb: { type: "number", min: 0.01 },
+        backupCount: positiveInteger,
+        format: { type: "string", enum: ["text", "json"] },
+        level: logLevel,
+      },
+    },
+
+    CHAT_STREAM_IDLE_TIMEOUT: positiveInteger,
+
+    RESUME_THREADS: { type: "boolean" },
+    MAX_STORED_THREADS: positiveInteger,
+
+    CHAT_HISTORY: {
+      type: "object",
+      properties: {
+        strategy: {
+          type: "string",
+          enum: ["all", "last-turns", "max-tokens", "max-chars", "summarize"],
+        },
+        maxTurns: positiveInteger,
+        maxTokens: positiveInteger,
+        maxChars: positiveInteger,
+        summaryKeepTurns: positiveInteger,
+        summaryMaxChars: positiveInteger,
+      },
+    },
+
+    THREAD_ROTATION: {
+      type: "object",
+      properties: {
+        maxExchanges: nonNegativeInteger,
+        maxAgeMinutes: nonNegativeInteger,
+        onModelChange: { type: "boolean" },
+      },
+    },
+
+    PROMPT_DEDUP: {
+      type: "object",
+      properties: {
+        enabled: { type: "boolean" },
+        maxAttempts: positiveInteger,
+        similarityThreshold: { type: "number", min: 0, max: 1 },
+        recentWindow: positiveInteger,
+        maxEntries: positiveInteger,
+      },
+    },
+
+    PROMPT_SOURCES: {
+      type: "array",
+      minItems: 1,
+      items: {
+        type: "object",
+        required: ["type"],
+        properties: {
+          type: nonEmptyString,
+          weight: { type: "number", min: 0 },
+        },
+        additionalProperties: true,
+      },
+    },
+
+    CONVERSATION: {
+      type: "object",
+      properties: {
+        enabled: { type: "boolean" },
+        followUpsPerTopic: nonNegativeInteger,
+      },
+    },
+  },
+};
+
+/**
+ * Rules that involve more than one setting
+ * @type {Array<Function>} each returns an error message or null
+ */
+const crossChecks = [
+  (config) =>
+    config.MIN_CHAT_DELAY > config.MAX_CHAT_DELAY
+      ? `MIN_CHAT_DELAY (${config.MIN_CHAT_DELAY}) must not be greater than MAX_CHAT_DELAY (${config.MAX_CHAT_DELAY})`
+      : null,
+  (config) =>
+    config.PROMPT_FALLBACK.retryIntervalMs >
+    config.PROMPT_FALLBACK.maxRetryIntervalMs
+      ? "PROMPT_FALLBACK.retryIntervalMs must not be greater than PROMPT_FALLBACK.maxRetryIntervalMs"
+      : null,
+  (config) => validateSchedule(config.SCHEDULE),
+];
+
+module.exports = {
+  schema,
+  crossChecks,
+};
@@ -0,0 +1,24 @@
+const { Groq } = require("groq-sdk");
+
+/**
+ * Groq SDK client; it already has the chat.completions.create() shape
+ * @param {Object} options - { apiKey, timeout }
+ * @returns {Object}
+ */
+function createGroqClient(options) {
+  if (!options.apiKey) {
+    throw new Error(
+      "Groq API key not found. Please create groq-api.key file or set GROQ_API_KEY env variable."
+    );
+  }
+
+  return new Groq({
+    apiKey: options.apiKey,
+    timeout: options.timeout,
+    maxRetries: 1,
+  });
+}
+
+module.exports = {
+  createGroqClient,
+};
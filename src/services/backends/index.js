@@ -0,0 +1,62 @@
+/**
+ * Chat-completion backends for prompt generation, selected with
+ * PROMPT_BACKEND. Each adapter reads its settings block and returns a client
+ * with chat.completions.create().
+ */
+
+const config = require("../../../config");
+const { readFile, fileExists } = require("../../utils");
+const { createGroqClient } = require("./groq");
+const { createOpenAIClient } = require("./openai");
+
+/**
+ * @param {Object} settings - { apiKey, apiKeyPath }
+ * @param {string} envName - variable to fall back to
+ * @returns {string}
+ */
+function readApiKey(settings, envName = null) {
+  if (settings.apiKey) return settings.apiKey;
+  if (settings.apiKeyPath && fileExists(settings.apiKeyPath)) {
+    return readFile(settings.apiKeyPath);
+  }
+  return (envName && process.env[envName]) || "";
+}
+
+const BACKENDS = {
+  groq: {
+    label: "Groq",
+    getSettings: () => config.GROQ,
+    createClient: (settings, timeout) =>
+      createGroqClient({
+        apiKey: readApiKey(settings, "GROQ_API_KEY"),
+        timeout,
+      }),
+  },
+  openai: {
+    label: "OpenAI-compatible server",
+    getSettings: () => config.OPENAI_COMPATIBLE,
+    createClient: (settings, timeout) =>
+      createOpenAIClient({
+        baseUrl: settings.baseUrl,
+        apiKey: readApiKey(settings),
+        timeout,
+      }),
+  },
+};
+
+/**
+ * @param {string} name
+ * @returns {Object} { label, getSettings, createClient }
+ */
+function getBackendAdapter(name) {
+  const adapter = BACKENDS[name];
+  if (!adapter) {
+    throw new Error(`Unknown prompt backend "${name}"`);
+  }
+  return adapter;
+}
+
+module.exports = {
+  BACKENDS,
+  getBackendAdapter,
+};
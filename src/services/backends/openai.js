@@ -0,0 +1,64 @@
+const axios = require("axios");
+
+/**
+ * Minimal client for OpenAI-compatible chat-completions servers
+ * (llama.cpp, vLLM, Ollama, LM Studio, hosted OpenAI-style APIs).
+ * Exposes the same chat.completions.create() shape as the Groq SDK.
+ * @param {Object} options - { baseUrl, apiKey, timeout }
+ * @returns {Object}
+ */
+function createOpenAIClient(options) {
+  if (!options.baseUrl) {
+    throw new Error("OpenAI-compatible base URL is not configured");
+  }
+
+  const baseUrl = options.baseUrl.replace(/\/+$/, "");
+  const headers = { "content-type": "application/json" };
+  if (options.apiKey) {
+    headers.authorization = `Bearer ${options.apiKey}`;
+  }
+
+  return {
+    baseUrl,
+
+    chat: {
+      completions: {
+        /**
+         * @param {Object} params - chat-completions request body
+         * @returns {Promise<Object>}
+         */
+        async create(params) {
+          try {
+            const response = await axios.post(
+              `${baseUrl}/chat/completions`,
+              params,
+              { headers, timeout: options.timeout }
+            );
+
+            const data = response.data;
+            if (!data || !Array.isArray(data.choices) || !data.choices[0]) {
+              throw new Error("Unexpected chat-completions response");
+            }
+
+            return data;
+          } catch (error) {
+            const body = error.response && error.response.data;
+            const detail =
+              body && body.error
+                ? body.error.message || JSON.stringify(body.error)
+                : null;
+
+            if (detail) {
+              error.message = `${error.message}: ${detail}`;
+            }
+            throw error;
+          }
+        },
+      },
+    },
+  };
+}
+
+module.exports = {
+  createOpenAIClient,
+};
@@ -0,0 +1,448 @@
+/**
+ * Prompt generation with a chat-completions backend (see ./backends), with
+ * topic selection, de-duplication, follow-up questions and a fallback to the
+ * offline generator while the backend is down.
+ */
+
+const config = require("../../config");
+const { log, logToFile, pickWeighted, pickRandom } = require("../utils");
+const { generateOfflinePrompt } = require("./offline");
+const { BACKENDS, getBackendAdapter } = require("./backends");
+const { prompts: promptStore } = require("../storage");
+
+const MAX_FOLLOW_UP_CONTEXT = 3000;
+
+let client = null;
+
+let topicCoverage = {};
+
+let fallbackState = {
+  active: false,
+  since: null,
+  nextProbeAt: 0,
+  probeIntervalMs: 0,
+  outagePrompts: 0,
+  generatedPrompts: 0,
+  fallbackPrompts: 0,
+  failures: 0,
+  recoveries: 0,
+  lastError: null,
+};
+
+/**
+ * Client for the configured backend, created on first use
+ * @returns {Object}
+ */
+function initGeneratorClient() {
+  try {
+    if (client) return client;
+
+    const adapter = getBackendAdapter(getBackend());
+    client = adapter.createClient(
+      adapter.getSettings(),
+      config.PROMPT_FALLBACK.requestTimeoutMs
+    );
+    log(`${adapter.label} client initialized successfully`, "success");
+
+    return client;
+  } catch (error) {
+    log(
+      `Error initializing ${getBackendLabel()} client: ${error.message}`,
+      "error"
+    );
+    throw error;
+  }
+}
+
+/**
+ * Prompt generation backend from PROMPT_BACKEND: "groq" or "openai"
+ * @returns {string}
+ */
+function getBackend() {
+  return BACKENDS[config.PROMPT_BACKEND] ? config.PROMPT_BACKEND : "groq";
+}
+
+/**
+ * @returns {string}
+ */
+function getBackendLabel() {
+  return BACKENDS[getBackend()].label;
+}
+
+/**
+ * While in fallback mode the backend is only probed again once the retry interval
+ * has passed
+ * @returns {boolean}
+ */
+function shouldTryBackend() {
+  return !fallbackState.active || Date.now() >= fallbackState.nextProbeAt;
+}
+
+/**
+ * @param {Error} error
+ */
+function recordBackendFailure(error) {
+  const settings = config.PROMPT_FALLBACK;
+
+  fallbackState.failures++;
+  fallbackState.lastError = error.message;
+
+  if (!fallbackState.active) {
+    fallbackState.active = true;
+    fallbackState.since = new Date().toISOString();
+    fallbackState.outagePrompts = 0;
+    fallbackState.probeIntervalMs = settings.retryIntervalMs;
+
+    log(
+      `${getBackendLabel()} unavailable, switching to offline prompts`,
+      "warning"
+    );
+    logToFile(
+      `${getBackendLabel()} unavailable, switching to offline prompt generator`,
+      {
+        error: error.message,
+        retryInSeconds: settings.retryIntervalMs / 1000,
+      }
+    );
+  } else {
+    fallbackState.probeIntervalMs = Math.min(
+      fallbackState.probeIntervalMs * 2,
+      settings.maxRetryIntervalMs
+    );
+  }
+
+  fallbackState.nextProbeAt = Date.now() + fallbackState.probeIntervalMs;
+}
+
+function recordBackendRecovery() {
+  if (!fallbackState.active) return;
+
+  fallbackState.active = false;
+  fallbackState.recoveries++;
+
+  log(
+    `${getBackendLabel()} recovered, switching back from offline prompts`,
+    "success"
+  );
+  logToFile(`${getBackendLabel()} recovered, leaving offline prompt fallback`, {
+    since: fallbackState.since,
+    offlinePromptsDuringOutage: fallbackState.outagePrompts,
+  });
+}
+
+/**
+ * @param {string} reason
+ * @returns {Object} { text, topic, source }
+ */
+function useFallbackPrompt(reason) {
+  const prompt = generateOfflinePrompt();
+
+  fallbackState.fallbackPrompts++;
+  fallbackState.outagePrompts++;
+
+  const stats = getFallbackStats();
+  logToFile(
+    "Using offline fallback prompt",
+    {
+      reason,
+      topic: prompt.topic,
+      fallbackPrompts: stats.fallbackPrompts,
+      generatedPrompts: stats.generatedPrompts,
+      fallbackRate: `${stats.fallbackRate}%`,
+    },
+    false
+  );
+
+  return { text: prompt.text, topic: prompt.topic, source: "offline" };
+}
+
+/**
+ * @returns {Object}
+ */
+function getFallbackStats() {
+  const total = fallbackState.generatedPrompts + fallbackState.fallbackPrompts;
+
+  return {
+    backend: getBackend(),
+    active: fallbackState.active,
+    since: fallbackState.since,
+    generatedPrompts: fallbackState.generatedPrompts,
+    fallbackPrompts: fallbackState.fallbackPrompts,
+    fallbackRate:
+      total > 0
+        ? Number(((fallbackState.fallbackPrompts / total) * 100).toFixed(1))
+        : 0,
+    failures: fallbackState.failures,
+    recoveries: fallbackState.recoveries,
+    lastError: fallbackState.lastError,
+    nextProbeAt: fallbackState.active
+      ? new Date(fallbackState.nextProbeAt).toISOString()
+      : null,
+  };
+}
+
+/**
+ * Completion options from PROMPT_GENERATION, with the model of the
+ * configured backend
+ * @returns {Object}
+ */
+function completionOptions() {
+  const settings = config.PROMPT_GENERATION;
+  const options = {
+    model: getBackendAdapter(getBackend()).getSettings().model,
+  };
+
+  if (settings.temperature !== undefined && settings.temperature !== null) {
+    options.temperature = settings.temperature;
+  }
+  if (settings.topP !== undefined && settings.topP !== null) {
+    options.top_p = settings.topP;
+  }
+  if (settings.maxTokens) {
+    options.max_tokens = settings.maxTokens;
+  }
+
+  return options;
+}
+
+/**
+ * Pick a topic from TOPIC_CATALOG by weight
+ * @returns {Object|null} { name, hint }
+ */
+function pickTopic() {
+  const catalog = config.TOPIC_CATALOG;
+  if (!catalog || !catalog.enabled || !catalog.topics.length) return null;
+
+  const topic = pickWeighted(catalog.topics);
+  if (!topic) return null;
+
+  return {
+    name: topic.name,
+    hint: topic.hints && topic.hints.length ? pickRandom(topic.hints) : null,
+  };
+}
+
+/**
+ * @param {Object|null} topic
+ * @param {Array<string>} avoid
+ * @returns {string}
+ */
+function buildInstruction(topic, avoid) {
+  const settings = config.PROMPT_GENERATION;
+
+  let instruction = topic
+    ? settings.topicInstruction
+        .replace(/\{topic\}/g, topic.name)
+        .replace(/\{hint\}/g, topic.hint || topic.name)
+    : settings.userInstruction;
+
+  if (avoid.length > 0) {
+    instruction += `\nIt must be about something different from these:\n${avoid
+      .map((prompt) => `- ${prompt}`)
+      .join("\n")}`;
+  }
+
+  return instruction;
+}
+
+/**
+ * One generation attempt: the configured backend, or the offline generator
+ * while it is down
+ * @param {Object|null} topic
+ * @param {Array<string>} avoid - earlier candidates rejected as duplicates
+ * @returns {Promise<Object>} { text, topic, source }
+ */
+async function requestPrompt(topic = null, avoid = []) {
+  if (!shouldTryBackend()) {
+    return useFallbackPrompt(
+      `${getBackendLabel()} unavailable, waiting before next retry`
+    );
+  }
+
+  try {
+    const completion = await initGeneratorClient().chat.completions.create({
+      messages: [
+        {
+          role: "system",
+          content: config.PROMPT_GENERATION.systemPrompt,
+        },
+        {
+          role: "user",
+          content: buildInstruction(topic, avoid),
+        },
+      ],
+      ...completionOptions(),
+    });
+
+    const content = completion.choices[0].message.content;
+
+    recordBackendRecovery();
+    fallbackState.generatedPrompts++;
+
+    return {
+      text: content,
+      topic: topic ? topic.name : null,
+      source: getBackend(),
+    };
+  } catch (error) {
+    log(
+      `Error generating message with ${getBackendLabel()}: ${error.message}`,
+      "error"
+    );
+    recordBackendFailure(error);
+    return useFallbackPrompt(error.message);
+  }
+}
+
+/**
+ * Generate a prompt, asking again (up to PROMPT_DEDUP.maxAttempts) while the
+ * candidate is too similar to prompts sent before
+ * @returns {Promise<Object>} { text, topic, source }
+ */
+async function generatePrompt() {
+  const settings = config.PROMPT_DEDUP;
+  const topic = pickTopic();
+
+  if (!settings || !settings.enabled) {
+    return recordTopic(await requestPrompt(topic));
+  }
+
+  const rejected = [];
+  let candidate = null;
+
+  for (let attempt = 1; attempt <= settings.maxAttempts; attempt++) {
+    candidate = await requestPrompt(topic, rejected);
+
+    const check = promptStore.checkPrompt(candidate.text);
+    if (!check.duplicate) {
+      break;
+    }
+
+    rejected.push(candidate.text);
+
+    const dedupStats = promptStore.getDedupStats();
+    logToFile(
+      `Rejected duplicate prompt (attempt ${attempt}/${settings.maxAttempts})`,
+      {
+        candidate: candidate.text,
+        exact: check.exact,
+        similarity: check.similarity,
+        similarTo: check.match ? check.match.text : null,
+        rejectionRate: `${dedupStats.rejectionRate}%`,
+      },
+      false
+    );
+
+    if (attempt === settings.maxAttempts) {
+      log(
+        `Could not get a new prompt after ${settings.maxAttempts} attempts, sending the last one`,
+        "warning"
+      );
+    }
+  }
+
+  promptStore.recordPrompt(candidate.text);
+
+  if (rejected.length > 0) {
+    const dedupStats = promptStore.getDedupStats();
+    logToFile("Prompt de-duplication", {
+      rejectedThisPrompt: rejected.length,
+      checked: dedupStats.checked,
+      rejected: dedupStats.rejected,
+      rejectionRate: `${dedupStats.rejectionRate}%`,
+      stored: dedupStats.stored,
+    });
+  }
+
+  return recordTopic(candidate);
+}
+
+/**
+ * @param {Object} prompt
+ * @returns {Object}
+ */
+function recordTopic(prompt) {
+  const key = prompt.topic || "(none)";
+  topicCoverage[key] = (topicCoverage[key] || 0) + 1;
+
+  logToFile(
+    `Generated prompt (topic: ${key}, source: ${prompt.source})`,
+    { prompt: prompt.text, coverage: getTopicCoverage() },
+    false
+  );
+
+  return prompt;
+}
+
+/**
+ * @returns {Object} prompt count per topic
+ */
+function getTopicCoverage() {
+  return { ...topicCoverage };
+}
+
+/**
+ * @returns {Promise<string>}
+ */
+async function generateUserMessage() {
+  const prompt = await generatePrompt();
+  return prompt.text;
+}
+
+/**
+ * Write a follow-up question to the assistant's last answer
+ * @param {string} lastAnswer
+ * @param {string} previousQuestion
+ * @returns {Promise<string|null>} null when no follow-up could be generated
+ */
+async function generateFollowUpMessage(lastAnswer, previousQuestion = "") {
+  if (!shouldTryBackend()) {
+    return null;
+  }
+
+  try {
+    const completion = await initGeneratorClient().chat.completions.create({
+      messages: [
+        {
+          role: "system",
+          content: config.PROMPT_GENERATION.followUpSystemPrompt,
+        },
+        {
+          role: "user",
+          content: `${
+            previousQuestion
+              ? `My previous question:\n${previousQuestion}\n\n`
+              : ""
+          }Assistant's answer:\n${lastAnswer.substring(
+            0,
+            MAX_FOLLOW_UP_CONTEXT
+          )}\n\nWrite my follow-up question.`,
+        },
+      ],
+      ...completionOptions(),
+    });
+
+    recordBackendRecovery();
+
+    const followUp = completion.choices[0].message.content.trim();
+    return followUp.length > 0 ? followUp : null;
+  } catch (error) {
+    log(
+      `Error generating follow-up with ${getBackendLabel()}: ${error.message}`,
+      "error"
+    );
+    recordBackendFailure(error);
+    return null;
+  }
+}
+
+module.exports = {
+  initGeneratorClient,
+  getBackend,
+  getBackendLabel,
+  generateUserMessage,
+  generatePrompt,
+  generateFollowUpMessage,
+  getTopicCoverage,
+  getFallbackStats,
+};
@@ -0,0 +1,164 @@
+/**
+ * Daily goals and run limits from config.GOALS.
+ * An account that reaches its daily message cap or points target is skipped
+ * until the next day; the run stops after its maximum runtime or message
+ * count. A limit of 0 is disabled.
+ */
+
+const config = require("../../config");
+const { accounts: accountStore, progress } = require("../storage");
+const { logToFile } = require("../utils");
+
+let session = { startedAt: 0, messages: 0 };
+
+// Accounts already logged as done, by day and account key
+const announced = new Set();
+
+/**
+ * Start counting runtime and messages for a new run
+ */
+function startSession() {
+  session = { startedAt: Date.now(), messages: 0 };
+}
+
+/**
+ * Today's progress of an account against the configured goals
+ * @param {string} token
+ * @returns {Object} { messages, pointsGained, doneReason }
+ */
+function getAccountGoals(token) {
+  const goals = config.GOALS;
+  const entry = progress.getAccountProgress(accountStore.getAccountKey(token));
+  const pointsGained =
+    entry.points !== null && entry.pointsStart !== null
+      ? entry.points - entry.pointsStart
+      : 0;
+
+  let doneReason = null;
+  if (
+    goals.dailyMessagesPerAccount > 0 &&
+    entry.messages >= goals.dailyMessagesPerAccount
+  ) {
+    doneReason = `${entry.messages} messages sent today`;
+  } else if (
+    goals.dailyPointsPerAccount > 0 &&
+    pointsGained >= goals.dailyPointsPerAccount
+  ) {
+    doneReason = `${pointsGained} inference points gained today`;
+  }
+
+  return { messages: entry.messages, pointsGained, doneReason };
+}
+
+/**
+ * Log once when an account reaches its daily goal
+ * @param {string} token
+ */
+function checkAccountGoals(token) {
+  const key = `${new Date().toDateString()} ${accountStore.getAccountKey(
+    token
+  )}`;
+  const { doneReason } = getAccountGoals(token);
+  if (!doneReason || announced.has(key)) return;
+
+  announced.add(key);
+  logToFile("Account reached its daily goal", {
+    account: accountStore.getLabel(token),
+    reason: doneReason,
+  });
+}
+
+/**
+ * Count a sent message for the run and the account's daily total
+ * @param {string} token
+ */
+function recordMessage(token) {
+  session.messages++;
+
+  const key = accountStore.getAccountKey(token);
+  progress.updateAccountProgress(key, (entry) => ({
+    messages: entry.messages + 1,
+  }));
+  checkAccountGoals(token);
+}
+
+/**
+ * Track inference points; the first value seen today is the baseline
+ * @param {string} token
+ * @param {number} inference
+ */
+function recordPoints(token, inference) {
+  if (!token || typeof inference !== "number") return;
+
+  progress.updateAccountProgress(
+    accountStore.getAccountKey(token),
+    (entry) => ({
+      pointsStart: entry.pointsStart === null ? inference : entry.pointsStart,
+      points: inference,
+    })
+  );
+  checkAccountGoals(token);
+}
+
+/**
+ * @param {string} token
+ * @returns {string|null} why the account is skipped for the rest of the day
+ */
+function getAccountDoneReason(token) {
+  return getAccountGoals(token).doneReason;
+}
+
+/**
+ * @param {string} token
+ * @returns {boolean}
+ */
+function isAccountDone(token) {
+  return getAccountDoneReason(token) !== null;
+}
+
+/**
+ * @param {Array<string>} tokens
+ * @returns {string|null} why the run should stop, null to keep going
+ */
+function getStopReason(tokens) {
+  const goals = config.GOALS;
+
+  if (
+    goals.maxRuntimeMinutes > 0 &&
+    session.startedAt &&
+    Date.now() - session.startedAt >= goals.maxRuntimeMinutes * 60 * 1000
+  ) {
+    return `maximum runtime of ${goals.maxRuntimeMinutes} minutes reached`;
+  }
+
+  if (
+    goals.maxSessionMessages > 0 &&
+    session.messages >= goals.maxSessionMessages
+  ) {
+    return `${session.messages} messages sent this session`;
+  }
+
+  if (tokens.length > 0 && tokens.every(isAccountDone)) {
+    return "every account reached its daily goal";
+  }
+
+  return null;
+}
+
+/**
+ * @returns {Object} { startedAt, messages }
+ */
+function getSessionProgress() {
+  return { ...session };
+}
+
+module.exports = {
+  startSession,
+  recordMessage,
+  recordPoints,
+  getAccountGoals,
+  getAccountDoneReason,
+  isAccountDone,
+  getStopReason,
+  getSessionProgress,
+};
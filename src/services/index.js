@@ -1,5 +1,13 @@
-const groq = require("./groq");
+const generator = require("./generator");
+const prompts = require("./prompts");
+const scheduler = require("./scheduler");
+const goals = require("./goals");
+const stats = require("./stats");
 
 module.exports = {
-  groq,
+  generator,
+  prompts,
+  scheduler,
+  goals,
+  stats,
 };
@@ -0,0 +1,88 @@
+/**
+ * Offline prompt generator used when the prompt backend is unavailable.
+ * Builds prompts from bundled topic, question-style and constraint lists,
+ * so it needs no network access.
+ */
+
+const { pickRandom } = require("../utils");
+
+const TOPICS = [
+  "black holes",
+  "the history of the printing press",
+  "how vaccines train the immune system",
+  "compound interest",
+  "the causes of inflation",
+  "binary search",
+  "garbage collection in programming languages",
+  "the water cycle",
+  "plate tectonics",
+  "the Roman road network",
+  "how neural networks learn",
+  "prime numbers",
+  "the Fibonacci sequence in nature",
+  "renewable energy storage",
+  "sleep and memory",
+  "the invention of the telephone",
+  "public key cryptography",
+  "how airplanes stay in the air",
+  "the placebo effect",
+  "index funds",
+  "urban beekeeping",
+  "the Silk Road",
+  "photosynthesis",
+  "probability paradoxes",
+  "how GPS works",
+  "coral reef ecosystems",
+  "the history of chess",
+  "supply chains",
+  "habit formation",
+  "the speed of light",
+];
+
+const QUESTION_STYLES = [
+  "Can you explain {topic} in simple terms?",
+  "What are the most surprising facts about {topic}?",
+  "Why does {topic} matter in everyday life?",
+  "What is a common misconception about {topic}?",
+  "How would you teach {topic} to a ten-year-old?",
+  "What are the pros and cons of {topic}?",
+  "How has our understanding of {topic} changed over time?",
+  "What questions about {topic} are still unanswered?",
+  "Compare {topic} with something from daily life.",
+  "Give me a short story that illustrates {topic}.",
+  "Walk me through {topic} step by step.",
+];
+
+const CONSTRAINTS = [
+  "",
+  "",
+  "Keep it under 100 words.",
+  "Use a concrete example.",
+  "Answer in three bullet points.",
+  "Include one fun fact.",
+  "Avoid technical jargon.",
+  "End with a question for me to think about.",
+  "Use an analogy.",
+  "Mention one practical application.",
+];
+
+/**
+ * @returns {Object} { text, topic }
+ */
+function generateOfflinePrompt() {
+  const topic = pickRandom(TOPICS);
+  const question = pickRandom(QUESTION_STYLES).replace("{topic}", topic);
+  const constraint = pickRandom(CONSTRAINTS);
+
+  return {
+    text: constraint ? `${question} ${constraint}` : question,
+    topic,
+  };
+}
+
+module.exports = {
+  generateOfflinePrompt,
+  TOPICS,
+  QUESTION_STYLES,
+  CONSTRAINTS,
+};
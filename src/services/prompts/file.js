@@ -0,0 +1,131 @@
+const path = require("path");
+const { readFile, fileExists, logToFile } = require("../../utils");
+
+/**
+ * Parse a prompt file. Plain text files hold one prompt per line (blank
+ * lines and lines starting with # are skipped); .jsonl files hold one JSON
+ * object per line with a "prompt" or "text" field.
+ * @param {string} filePath
+ * @returns {Array<Object>}
+ */
+function loadPrompts(filePath) {
+  if (!fileExists(filePath)) {
+    throw new Error(`Prompt file not found: ${filePath}`);
+  }
+
+  const isJsonl = path.extname(filePath).toLowerCase() === ".jsonl";
+  const lines = readFile(filePath)
+    .split("\n")
+    .map((line) => line.trim())
+    .filter((line) => line.length > 0 && !line.startsWith("#"));
+
+  return lines.map((line, index) => {
+    if (!isJsonl) {
+      return { text: line, meta: { line: index + 1 } };
+    }
+
+    let record;
+    try {
+      record = JSON.parse(line);
+    } catch (error) {
+      throw new Error(
+        `Invalid JSON on line ${index + 1} of ${filePath}: ${error.message}`
+      );
+    }
+
+    const text = record.prompt || record.text;
+    if (!text) {
+      throw new Error(
+        `Line ${index + 1} of ${filePath} has no "prompt" or "text" field`
+      );
+    }
+
+    const meta = { line: index + 1, ...record };
+    delete meta.prompt;
+    delete meta.text;
+
+    return { text, meta };
+  });
+}
+
+/**
+ * @param {Array} items
+ * @returns {Array}
+ */
+function shuffle(items) {
+  const result = [...items];
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+}
+
+/**
+ * Prompt provider that replays a curated prompt file
+ * @param {Object} options
+ * @param {string} options.path
+ * @param {string} options.order - "sequential" or "shuffle"
+ * @param {boolean} options.loop - start over when the file is exhausted
+ * @returns {Object}
+ */
+function createFileProvider(options = {}) {
+  if (!options.path) {
+    throw new Error('File prompt provider requires a "path" option');
+  }
+
+  const order = options.order || "sequential";
+  const loop = options.loop !== false;
+
+  let prompts = [];
+  let queue = [];
+  let position = 0;
+  let round = 0;
+
+  const refill = () => {
+    queue = order === "shuffle" ? shuffle(prompts) : [...prompts];
+    position = 0;
+    round++;
+  };
+
+  return {
+    name: options.name || `file:${path.basename(options.path)}`,
+
+    init() {
+      prompts = loadPrompts(options.path);
+      if (prompts.length === 0) {
+        throw new Error(`Prompt file ${options.path} contains no prompts`);
+      }
+      round = 0;
+      refill();
+
+      logToFile(
+        `Loaded ${prompts.length} prompts from ${options.path}`,
+        { order, loop },
+        false
+      );
+    },
+
+    /**
+     * @returns {Promise<Object|null>} null once the file is exhausted
+     */
+    async next() {
+      if (position >= queue.length) {
+        if (!loop) return null;
+        refill();
+      }
+
+      const prompt = queue[position++];
+      return {
+        text: prompt.text,
+        source: this.name,
+        meta: { ...prompt.meta, round },
+      };
+    },
+  };
+}
+
+module.exports = {
+  createFileProvider,
+  loadPrompts,
+};
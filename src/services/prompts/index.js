@@ -0,0 +1,127 @@
+const config = require("../../../config");
+const { log, logToFile, pickWeighted } = require("../../utils");
+const { createLlmProvider } = require("./llm");
+const { createFileProvider } = require("./file");
+const { createTemplateProvider } = require("./template");
+const { createOfflineProvider } = require("./offline");
+
+/**
+ * A prompt provider is an object with:
+ *   - name {string}
+ *   - init() - load resources, throw when the provider cannot be used
+ *   - next(context) - Promise resolving to { text, source, meta } or null
+ *     when the provider has nothing more to give
+ */
+const PROVIDER_FACTORIES = {
+  llm: createLlmProvider,
+  file: createFileProvider,
+  template: createTemplateProvider,
+  offline: createOfflineProvider,
+};
+
+let activeSource = null;
+
+/**
+ * @param {string} type
+ * @param {Function} factory
+ */
+function registerPromptProvider(type, factory) {
+  PROVIDER_FACTORIES[type] = factory;
+}
+
+/**
+ * Build a prompt source that combines providers by weight
+ * @param {Array<Object>} sourceConfigs - [{ type, weight, ...options }]
+ * @returns {Object}
+ */
+function createPromptSource(sourceConfigs = config.PROMPT_SOURCES) {
+  if (!Array.isArray(sourceConfigs) || sourceConfigs.length === 0) {
+    throw new Error("PROMPT_SOURCES must list at least one prompt provider");
+  }
+
+  const entries = sourceConfigs.map((sourceConfig) => {
+    const { type, weight = 1, ...options } = sourceConfig;
+    const factory = PROVIDER_FACTORIES[type];
+
+    if (!factory) {
+      throw new Error(
+        `Unknown prompt provider "${type}". Available: ${Object.keys(
+          PROVIDER_FACTORIES
+        ).join(", ")}`
+      );
+    }
+
+    return { provider: factory(options), weight, exhausted: false };
+  });
+
+  return {
+    providers: entries.map((entry) => entry.provider),
+
+    init() {
+      entries.forEach((entry) => entry.provider.init());
+
+      logToFile("Prompt providers initialized", {
+        providers: entries.map((entry) => ({
+          name: entry.provider.name,
+          weight: entry.weight,
+        })),
+      });
+    },
+
+    /**
+     * @param {Object} context
+     * @returns {Promise<Object|null>}
+     */
+    async next(context = {}) {
+      let candidates = entries.filter((entry) => !entry.exhausted);
+
+      while (candidates.length > 0) {
+        const entry = pickWeighted(candidates);
+        if (!entry) return null;
+
+        const prompt = await entry.provider.next(context);
+        if (prompt && prompt.text) {
+          return prompt;
+        }
+
+        entry.exhausted = true;
+        log(`Prompt provider ${entry.provider.name} is exhausted`, "warning");
+        logToFile("Prompt provider exhausted", {
+          provider: entry.provider.name,
+        });
+
+        candidates = candidates.filter((candidate) => candidate !== entry);
+      }
+
+      return null;
+    },
+  };
+}
+
+/**
+ * Create and initialize the prompt source from config
+ * @returns {Object}
+ */
+function initPromptSource() {
+  activeSource = createPromptSource();
+  activeSource.init();
+  return activeSource;
+}
+
+/**
+ * @param {Object} context
+ * @returns {Promise<Object|null>}
+ */
+async function nextPrompt(context = {}) {
+  if (!activeSource) {
+    initPromptSource();
+  }
+  return activeSource.next(context);
+}
+
+module.exports = {
+  createPromptSource,
+  initPromptSource,
+  nextPrompt,
+  registerPromptProvider,
+};
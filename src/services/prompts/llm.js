@@ -0,0 +1,41 @@
+const generator = require("../generator");
+const { log } = require("../../utils");
+
+/**
+ * Prompt provider backed by the LLM generator (Groq or an OpenAI-compatible
+ * server, see PROMPT_BACKEND)
+ * @param {Object} options
+ * @returns {Object}
+ */
+function createLlmProvider(options = {}) {
+  return {
+    name: options.name || generator.getBackend(),
+
+    init() {
+      try {
+        generator.initGeneratorClient();
+      } catch (error) {
+        log(
+          `${generator.getBackendLabel()} unavailable, offline prompts will be used`,
+          "warning"
+        );
+      }
+    },
+
+    /**
+     * @returns {Promise<Object>}
+     */
+    async next() {
+      const prompt = await generator.generatePrompt();
+      return {
+        text: prompt.text,
+        source: this.name,
+        meta: { topic: prompt.topic, generator: prompt.source },
+      };
+    },
+  };
+}
+
+module.exports = {
+  createLlmProvider,
+};
@@ -0,0 +1,26 @@
+const { generateOfflinePrompt } = require("../offline");
+
+/**
+ * Prompt provider backed by the bundled offline vocabularies
+ * @param {Object} options
+ * @returns {Object}
+ */
+function createOfflineProvider(options = {}) {
+  return {
+    name: options.name || "offline",
+
+    init() {},
+
+    /**
+     * @returns {Promise<Object>}
+     */
+    async next() {
+      const { text, topic } = generateOfflinePrompt();
+      return { text, source: this.name, meta: { topic } };
+    },
+  };
+}
+
+module.exports = {
+  createOfflineProvider,
+};
@@ -0,0 +1,117 @@
+const { readFile, fileExists, pickRandom } = require("../../utils");
+
+const DEFAULT_TEMPLATES = [
+  "Can you explain {concept} to someone who works in {field}?",
+  "What are the {adjective} trade-offs between {concept} and {alternative}?",
+  "Give me {count} practical tips for getting better at {skill}.",
+  "How would you teach {skill} to a {audience} in one week?",
+  "What is a common misconception about {concept}, and why do people believe it?",
+  "Write a short {format} about {concept} for a {audience}.",
+];
+
+const DEFAULT_SLOTS = {
+  concept: [
+    "compound interest",
+    "recursion",
+    "the Pythagorean theorem",
+    "public key cryptography",
+    "supply and demand",
+    "photosynthesis",
+    "gradient descent",
+  ],
+  alternative: [
+    "simple heuristics",
+    "brute force",
+    "manual bookkeeping",
+    "rule-based systems",
+  ],
+  field: ["healthcare", "finance", "education", "logistics", "game design"],
+  adjective: ["main", "hidden", "long-term", "practical"],
+  count: ["three", "five", "seven"],
+  skill: [
+    "debugging code",
+    "mental arithmetic",
+    "public speaking",
+    "budgeting",
+    "writing clear emails",
+  ],
+  audience: ["beginner", "high school student", "busy manager", "retiree"],
+  format: ["poem", "story", "dialogue", "checklist"],
+};
+
+/**
+ * Fill {slot} placeholders from the word lists
+ * @param {string} template
+ * @param {Object} slots
+ * @returns {Object} { text, filled }
+ */
+function fillTemplate(template, slots) {
+  const filled = {};
+
+  const text = template.replace(/\{(\w+)\}/g, (match, slot) => {
+    const words = slots[slot];
+    if (!words || words.length === 0) {
+      throw new Error(`Template slot "${slot}" has no word list`);
+    }
+    filled[slot] = pickRandom(words);
+    return filled[slot];
+  });
+
+  return { text, filled };
+}
+
+/**
+ * Prompt provider that fills templates from word lists
+ * @param {Object} options
+ * @param {string} options.path - JSON file with { templates, slots }
+ * @param {Array<string>} options.templates
+ * @param {Object} options.slots
+ * @returns {Object}
+ */
+function createTemplateProvider(options = {}) {
+  let templates = [];
+  let slots = {};
+
+  return {
+    name: options.name || "template",
+
+    init() {
+      let fromFile = {};
+      if (options.path) {
+        if (!fileExists(options.path)) {
+          throw new Error(`Template file not found: ${options.path}`);
+        }
+        fromFile = JSON.parse(readFile(options.path));
+      }
+
+      templates = options.templates || fromFile.templates || DEFAULT_TEMPLATES;
+      slots = {
+        ...DEFAULT_SLOTS,
+        ...(fromFile.slots || {}),
+        ...(options.slots || {}),
+      };
+
+      if (templates.length === 0) {
+        throw new Error("Template prompt provider has no templates");
+      }
+
+      // Fail at startup rather than mid-run when a slot has no word list
+      templates.forEach((template) => fillTemplate(template, slots));
+    },
+
+    /**
+     * @returns {Promise<Object>}
+     */
+    async next() {
+      const template = pickRandom(templates);
+      const { text, filled } = fillTemplate(template, slots);
+
+      return { text, source: this.name, meta: { template, slots: filled } };
+    },
+  };
+}
+
+module.exports = {
+  createTemplateProvider,
+  fillTemplate,
+};
@@ -0,0 +1,130 @@
+/**
+ * Quota-aware account scheduler.
+ * Keeps the last known /rate-limit result of every account and picks the
+ * next account that still has quota, or the one that resets first when
+ * every account is exhausted.
+ */
+
+const { accounts: accountStore } = require("../storage");
+
+// Reset time to assume when an exhausted account reports none
+const DEFAULT_RESET_SECONDS = 60;
+
+const quotas = new Map();
+
+/**
+ * @param {string} token
+ * @param {Object} rateLimit - { limit, remaining, resetTime (seconds) }
+ */
+function recordQuota(token, rateLimit) {
+  if (!token) return;
+
+  const resetSeconds =
+    rateLimit.resetTime > 0
+      ? rateLimit.resetTime
+      : rateLimit.remaining > 0
+      ? 0
+      : DEFAULT_RESET_SECONDS;
+
+  quotas.set(token, {
+    limit: rateLimit.limit,
+    remaining: rateLimit.remaining,
+    resetAt: resetSeconds > 0 ? Date.now() + resetSeconds * 1000 : null,
+    checkedAt: Date.now(),
+  });
+}
+
+/**
+ * @param {string} token
+ * @returns {Object|null} { limit, remaining, resetAt, checkedAt }
+ */
+function getQuota(token) {
+  return quotas.get(token) || null;
+}
+
+/**
+ * When the account can chat again. Accounts that were never checked or
+ * whose window has reset since are assumed to be available.
+ * @param {string} token
+ * @param {number} minRemaining - messages that must be left
+ * @returns {number} timestamp, 0 when available now
+ */
+function getAvailableAt(token, minRemaining = 1) {
+  const quota = quotas.get(token);
+  if (!quota || quota.remaining >= minRemaining) return 0;
+  if (!quota.resetAt || quota.resetAt <= Date.now()) return 0;
+  return quota.resetAt;
+}
+
+/**
+ * Next account to use: the first one after the current account with quota
+ * left, then the current account itself. When none has quota left, the one
+ * that resets first together with how long to wait for it.
+ * @param {Array<string>} tokens
+ * @param {number} currentIndex
+ * @param {Object} options - { minRemaining: messages an account must have
+ *   left, skip: token => true for accounts not to use }
+ * @returns {Object|null} { index, waitMs }, null when no account is usable
+ */
+function pickNextToken(tokens, currentIndex, options = {}) {
+  const { minRemaining = 1, skip = () => false } = options;
+
+  const order = tokens
+    .map((token, offset) => (currentIndex + 1 + offset) % tokens.length)
+    .filter((index) => !skip(tokens[index]));
+
+  if (order.length === 0) return null;
+
+  const available = order.find(
+    (index) => getAvailableAt(tokens[index], minRemaining) === 0
+  );
+  if (available !== undefined) {
+    return { index: available, waitMs: 0 };
+  }
+
+  const earliest = order.reduce((best, index) =>
+    getAvailableAt(tokens[index], minRemaining) <
+    getAvailableAt(tokens[best], minRemaining)
+      ? index
+      : best
+  );
+  const waitMs = Math.max(
+    0,
+    getAvailableAt(tokens[earliest], minRemaining) - Date.now()
+  );
+
+  return { index: earliest, waitMs };
+}
+
+/**
+ * Quota of every account for the dashboard
+ * @param {Array<string>} tokens
+ * @param {number} currentIndex
+ * @returns {Array<Object>} { label, current, limit, remaining, availableIn }
+ *   with availableIn in seconds, limit and remaining null when unknown
+ */
+function getQuotaOverview(tokens, currentIndex) {
+  return tokens.map((token, index) => {
+    const quota = quotas.get(token);
+    const availableAt = getAvailableAt(token);
+    const hasReset = quota && quota.resetAt && quota.resetAt <= Date.now();
+
+    return {
+      label: accountStore.getLabel(token),
+      current: index === currentIndex,
+      limit: quota ? quota.limit : null,
+      remaining: quota ? (hasReset ? quota.limit : quota.remaining) : null,
+      availableIn: availableAt
+        ? Math.ceil((availableAt - Date.now()) / 1000)
+        : 0,
+    };
+  });
+}
+
+module.exports = {
+  recordQuota,
+  getQuota,
+  getAvailableAt,
+  pickNextToken,
+  getQuotaOverview,
+};
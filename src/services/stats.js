@@ -0,0 +1,210 @@
+/**
+ * Run statistics per account and model: messages attempted and succeeded,
+ * stream aborts resolved by a point increase, retries, token refreshes,
+ * cooldowns and points earned. Counters are kept per day in the stats file,
+ * so reports can cover any date range.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { parseISO, isValid, subDays } = require("date-fns");
+const { accounts: accountStore, stats: statsStore } = require("../storage");
+const { logToFile } = require("../utils");
+
+const NO_MODEL = "none";
+
+let activeModel = null;
+const session = { startedAt: Date.now(), counters: {} };
+
+/**
+ * Model that following events are counted for
+ * @param {string|null} model
+ */
+function setActiveModel(model) {
+  activeModel = model;
+}
+
+/**
+ * Count an event for an account and the active model
+ * @param {string} token - account the event belongs to; events outside an
+ *   account (such as checking tokens at startup) are not counted
+ * @param {string} counter - one of storage stats.COUNTERS
+ * @param {number} amount
+ */
+function recordStat(token, counter, amount = 1) {
+  if (!token || !statsStore.COUNTERS.includes(counter) || !amount) return;
+
+  session.counters[counter] = (session.counters[counter] || 0) + amount;
+  statsStore.addCounters(
+    accountStore.getAccountKey(token),
+    accountStore.getLabel(token),
+    activeModel || NO_MODEL,
+    { [counter]: amount }
+  );
+}
+
+/**
+ * @returns {Object} { startedAt, ...counters } since the process started
+ */
+function getSessionStats() {
+  return {
+    startedAt: session.startedAt,
+    ...statsStore.createCounters(),
+    ...session.counters,
+  };
+}
+
+/**
+ * @returns {string} one-line summary of the session counters
+ */
+function formatSessionStats() {
+  const session = getSessionStats();
+  return `${session.succeeded}/${session.attempted} messages, ${session.abortsVerified} verified aborts, ${session.retries} retries, ${session.authRefreshes} token refreshes, ${session.cooldowns} cooldowns, ${session.points} points`;
+}
+
+/**
+ * Sum the counters of entries that share a key
+ * @param {Array<Object>} entries
+ * @param {Function} keyOf - entry => key
+ * @param {Function} fieldsOf - entry => fields kept for the group
+ * @returns {Array<Object>}
+ */
+function groupEntries(entries, keyOf, fieldsOf) {
+  const groups = new Map();
+
+  entries.forEach((entry) => {
+    const key = keyOf(entry);
+    if (!groups.has(key)) {
+      groups.set(key, { ...fieldsOf(entry), ...statsStore.createCounters() });
+    }
+
+    const group = groups.get(key);
+    statsStore.COUNTERS.forEach((name) => {
+      group[name] += entry[name];
+    });
+  });
+
+  return [...groups.values()];
+}
+
+/**
+ * @param {string} from - yyyy-MM-dd, inclusive
+ * @param {string} to - yyyy-MM-dd, inclusive
+ * @returns {Object} { from, to, generatedAt, totals, accounts, models, days }
+ */
+function buildReport(from, to) {
+  const days = statsStore.getEntries(from, to);
+  const totals = statsStore.createCounters();
+  days.forEach((entry) =>
+    statsStore.COUNTERS.forEach((name) => {
+      totals[name] += entry[name];
+    })
+  );
+
+  return {
+    from,
+    to,
+    generatedAt: new Date().toISOString(),
+    totals,
+    accounts: groupEntries(
+      days,
+      (entry) => entry.account,
+      (entry) => ({ account: entry.account, label: entry.label })
+    ),
+    models: groupEntries(
+      days,
+      (entry) => entry.model,
+      (entry) => ({ model: entry.model })
+    ),
+    days,
+  };
+}
+
+/**
+ * @param {any} value
+ * @returns {string}
+ */
+function toCsvField(value) {
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * One row per day, account and model
+ * @param {Object} report - from buildReport()
+ * @returns {string}
+ */
+function reportToCsv(report) {
+  const columns = ["day", "account", "label", "model", ...statsStore.COUNTERS];
+
+  return (
+    [columns, ...report.days.map((entry) => columns.map((name) => entry[name]))]
+      .map((row) => row.map(toCsvField).join(","))
+      .join("\n") + "\n"
+  );
+}
+
+/**
+ * @param {Object} report - from buildReport()
+ * @returns {string}
+ */
+function reportToJson(report) {
+  return JSON.stringify(report, null, 2) + "\n";
+}
+
+/**
+ * @param {string} value
+ * @returns {boolean}
+ */
+function isDay(value) {
+  return /^\d{4}-\d{2}-\d{2}$/.test(value) && isValid(parseISO(value));
+}
+
+/**
+ * Days a report covers. Without from the range is the last days days up
+ * to to (default today).
+ * @param {Object} options - { from, to, days }
+ * @returns {Object|null} { from, to }, null when the range is invalid
+ */
+function getReportRange({ from, to = statsStore.toDay(), days = 7 }) {
+  if (!isDay(to) || !Number.isInteger(days) || days < 1) return null;
+
+  const start = from || statsStore.toDay(subDays(parseISO(to), days - 1));
+  if (!isDay(start) || start > to) return null;
+
+  return { from: start, to };
+}
+
+/**
+ * Write a report as CSV and JSON into a directory
+ * @param {string} from
+ * @param {string} to
+ * @param {string} directory
+ * @returns {Object} { report, csvPath, jsonPath }
+ */
+function exportReport(from, to, directory) {
+  const report = buildReport(from, to);
+  const baseName = from === to ? `report-${from}` : `report-${from}_${to}`;
+  const csvPath = path.resolve(directory, `${baseName}.csv`);
+  const jsonPath = path.resolve(directory, `${baseName}.json`);
+
+  fs.mkdirSync(path.resolve(directory), { recursive: true });
+  fs.writeFileSync(csvPath, reportToCsv(report));
+  fs.writeFileSync(jsonPath, reportToJson(report));
+
+  logToFile("Exported stats report", { from, to, csvPath, jsonPath }, false);
+
+  return { report, csvPath, jsonPath };
+}
+
+module.exports = {
+  setActiveModel,
+  recordStat,
+  getSessionStats,
+  formatSessionStats,
+  buildReport,
+  getReportRange,
+  reportToCsv,
+  reportToJson,
+  exportReport,
+};
@@ -0,0 +1,410 @@
+const fs = require("fs");
+const path = require("path");
+const config = require("../../config");
+const {
+  logToFile,
+  writeFileAtomic,
+  withFileLock,
+  getBackupPath,
+  rotateBackups,
+  listBackups,
+} = require("../utils");
+
+const ACCOUNTS_PATH = path.join(process.cwd(), "accounts.json");
+const LEGACY_TOKEN_PATH = path.join(process.cwd(), "session-token.key");
+
+let storeCache = null;
+let storeMtime = 0;
+
+/**
+ * @param {string} address
+ * @returns {string}
+ */
+function shortAddress(address) {
+  return `${address.substring(0, 6)}...${address.substring(
+    address.length - 4
+  )}`;
+}
+
+/**
+ * @param {Object} fields
+ * @returns {Object} account record
+ */
+function createAccount(fields) {
+  return {
+    address: null,
+    label: "",
+    token: null,
+    issuedAt: null,
+    lastVerifiedAt: null,
+    lastError: null,
+    enabled: true,
+    ...fields,
+  };
+}
+
+/**
+ * @param {string} content
+ * @returns {Object|null} { version, accounts }
+ */
+function parseStore(content) {
+  const parsed = JSON.parse(content);
+  return parsed && Array.isArray(parsed.accounts) ? parsed : null;
+}
+
+/**
+ * @param {boolean} strict - throw instead of starting empty when the file
+ *   can't be read, so it is never overwritten with an empty store
+ * @returns {Object} { version, accounts }
+ */
+function readStoreFromDisk(strict = false) {
+  try {
+    if (fs.existsSync(ACCOUNTS_PATH)) {
+      const store = parseStore(fs.readFileSync(ACCOUNTS_PATH, "utf8"));
+      storeMtime = fs.statSync(ACCOUNTS_PATH).mtimeMs;
+      if (!store) throw new Error("accounts list is missing");
+      return store;
+    }
+  } catch (error) {
+    if (strict) {
+      throw new Error(
+        `Account store ${ACCOUNTS_PATH} is unreadable (${error.message}), restore a backup with: accounts restore`
+      );
+    }
+
+    logToFile(
+      "Error reading account store, starting with an empty one",
+      { error: error.message, path: ACCOUNTS_PATH },
+      false
+    );
+  }
+
+  return { version: 1, accounts: [] };
+}
+
+/**
+ * @param {Object} store
+ * @returns {string}
+ */
+function tokenSet(store) {
+  return store.accounts
+    .map((account) => account.token)
+    .filter(Boolean)
+    .sort()
+    .join("\n");
+}
+
+/**
+ * Change the store under the file lock: re-read it (another process may
+ * have written it), apply the change and write it atomically. The previous
+ * file is kept as a backup whenever the set of tokens changes.
+ * @param {Function} mutate - store => result
+ * @returns {any} the result of mutate
+ */
+function updateStore(mutate) {
+  return withFileLock(
+    ACCOUNTS_PATH,
+    () => {
+      const store = readStoreFromDisk(true);
+      const tokensBefore = tokenSet(store);
+      const result = mutate(store);
+
+      if (tokenSet(store) !== tokensBefore) {
+        rotateBackups(ACCOUNTS_PATH, config.ACCOUNT_STORE.backupCount);
+      }
+
+      writeFileAtomic(ACCOUNTS_PATH, JSON.stringify(store, null, 2), {
+        mode: 0o600,
+      });
+      storeCache = store;
+      storeMtime = fs.statSync(ACCOUNTS_PATH).mtimeMs;
+
+      return result;
+    },
+    config.ACCOUNT_STORE.lockTimeoutMs
+  );
+}
+
+/**
+ * Import tokens from the old flat session-token.key (one token per line)
+ * and rename it, so tokens added there by hand are picked up as well
+ */
+function migrateLegacyTokens() {
+  if (!fs.existsSync(LEGACY_TOKEN_PATH)) return;
+
+  const tokens = fs
+    .readFileSync(LEGACY_TOKEN_PATH, "utf8")
+    .split("\n")
+    .map((line) => line.trim())
+    .filter((line) => line.length > 0);
+
+  const imported = updateStore((store) => {
+    let count = 0;
+    tokens.forEach((token) => {
+      if (store.accounts.some((account) => account.token === token)) return;
+
+      store.accounts.push(
+        createAccount({ label: `Account ${store.accounts.length + 1}`, token })
+      );
+      count++;
+    });
+
+    fs.renameSync(LEGACY_TOKEN_PATH, `${LEGACY_TOKEN_PATH}.migrated`);
+    return count;
+  });
+
+  logToFile(
+    "Migrated session-token.key to accounts.json",
+    { tokens: tokens.length, imported },
+    false
+  );
+}
+
+/**
+ * @returns {Object} { version, accounts: [...] }
+ */
+function loadStore() {
+  try {
+    migrateLegacyTokens();
+  } catch (error) {
+    logToFile(
+      "Error migrating session-token.key",
+      { error: error.message },
+      false
+    );
+  }
+
+  const changedOnDisk =
+    fs.existsSync(ACCOUNTS_PATH) &&
+    fs.statSync(ACCOUNTS_PATH).mtimeMs !== storeMtime;
+
+  if (!storeCache || changedOnDisk) {
+    storeCache = readStoreFromDisk();
+  }
+
+  return storeCache;
+}
+
+/**
+ * @returns {Array<Object>}
+ */
+function listAccounts() {
+  return loadStore().accounts;
+}
+
+/**
+ * Tokens of enabled accounts, in store order
+ * @returns {Array<string>}
+ */
+function getActiveTokens() {
+  return listAccounts()
+    .filter((account) => account.enabled && account.token)
+    .map((account) => account.token);
+}
+
+/**
+ * @param {string} token
+ * @param {Object} store
+ * @returns {Object|null}
+ */
+function findByToken(token, store = loadStore()) {
+  return store.accounts.find((account) => account.token === token) || null;
+}
+
+/**
+ * @param {string} query - label, address, address prefix or 1-based number
+ * @param {Object} store
+ * @returns {Object|null}
+ */
+function findAccount(query, store = loadStore()) {
+  if (/^\d+$/.test(query)) {
+    return store.accounts[Number(query) - 1] || null;
+  }
+
+  const needle = query.toLowerCase();
+  const matches = store.accounts.filter(
+    (account) =>
+      (account.label && account.label.toLowerCase() === needle) ||
+      (account.address && account.address.toLowerCase().startsWith(needle))
+  );
+
+  if (matches.length > 1) {
+    throw new Error(`Account "${query}" is ambiguous`);
+  }
+
+  return matches[0] || null;
+}
+
+/**
+ * @param {string} token
+ * @returns {string} label, short address or token preview
+ */
+function getLabel(token) {
+  const account = findByToken(token);
+  if (account && account.label) return account.label;
+  if (account && account.address) return shortAddress(account.address);
+  return token ? `${token.substring(0, 10)}...` : "N/A";
+}
+
+/**
+ * Stable key for per-account data: the wallet address, or the label for
+ * accounts without a wallet
+ * @param {string} token
+ * @returns {string}
+ */
+function getAccountKey(token) {
+  const account = findByToken(token);
+  if (account && account.address) return account.address.toLowerCase();
+  if (account && account.label) return account.label;
+  return token ? token.substring(0, 16) : "unknown";
+}
+
+/**
+ * Store a freshly issued token for a wallet, replacing its old one
+ * @param {string} address
+ * @param {string} token
+ * @param {string} label - used for new accounts only
+ * @returns {Object}
+ */
+function saveWalletToken(address, token, label = "") {
+  return updateStore((store) => {
+    let account = store.accounts.find(
+      (entry) =>
+        entry.address && entry.address.toLowerCase() === address.toLowerCase()
+    );
+
+    if (!account) {
+      account = createAccount({
+        address,
+        label: label || shortAddress(address),
+      });
+      store.accounts.push(account);
+    }
+
+    account.token = token;
+    account.issuedAt = new Date().toISOString();
+    account.lastError = null;
+
+    return account;
+  });
+}
+
+/**
+ * @param {string} token
+ */
+function markVerified(token) {
+  updateStore((store) => {
+    const account = findByToken(token, store);
+    if (!account) return;
+
+    account.lastVerifiedAt = new Date().toISOString();
+    account.lastError = null;
+  });
+}
+
+/**
+ * @param {string} token
+ * @param {string} message
+ * @param {boolean} dropToken - forget the token (invalid or expired)
+ */
+function markError(token, message, dropToken = false) {
+  updateStore((store) => {
+    const account = findByToken(token, store);
+    if (!account) return;
+
+    account.lastError = { message, at: new Date().toISOString() };
+    if (dropToken) account.token = null;
+  });
+}
+
+/**
+ * @param {string} query
+ * @param {Object} changes - { enabled, label }
+ * @returns {Object|null} updated account
+ */
+function updateAccount(query, changes) {
+  return updateStore((store) => {
+    const account = findAccount(query, store);
+    if (!account) return null;
+
+    Object.assign(account, changes);
+    return account;
+  });
+}
+
+/**
+ * Backups of earlier token sets, newest first
+ * @returns {Array<Object>} { number, path, modifiedAt, accounts, tokens }
+ */
+function listTokenBackups() {
+  return listBackups(ACCOUNTS_PATH, config.ACCOUNT_STORE.backupCount).map(
+    (backup) => {
+      try {
+        const store = parseStore(fs.readFileSync(backup.path, "utf8"));
+        return {
+          ...backup,
+          accounts: store ? store.accounts.length : 0,
+          tokens: store
+            ? tokenSet(store).split("\n").filter(Boolean).length
+            : 0,
+        };
+      } catch (error) {
+        return { ...backup, accounts: 0, tokens: 0, error: error.message };
+      }
+    }
+  );
+}
+
+/**
+ * Replace the accounts with a backup. The current file becomes the newest
+ * backup, so a restore can be undone by restoring backup 1.
+ * @param {number} number - 1 is the newest backup
+ * @returns {number} number of restored accounts
+ */
+function restoreTokenBackup(number) {
+  const backupPath = getBackupPath(ACCOUNTS_PATH, number);
+  if (!fs.existsSync(backupPath)) {
+    throw new Error(`Backup ${number} does not exist`);
+  }
+
+  const backup = parseStore(fs.readFileSync(backupPath, "utf8"));
+  if (!backup) {
+    throw new Error(`Backup ${number} is not a valid account store`);
+  }
+
+  // Not through updateStore, so a corrupt current file can be replaced too;
+  // it is kept as the newest backup either way
+  withFileLock(
+    ACCOUNTS_PATH,
+    () => {
+      rotateBackups(ACCOUNTS_PATH, config.ACCOUNT_STORE.backupCount);
+      writeFileAtomic(ACCOUNTS_PATH, JSON.stringify(backup, null, 2), {
+        mode: 0o600,
+      });
+      storeCache = null;
+    },
+    config.ACCOUNT_STORE.lockTimeoutMs
+  );
+
+  logToFile("Restored account store from backup", {
+    backup: number,
+    accounts: backup.accounts.length,
+  });
+  return backup.accounts.length;
+}
+
+module.exports = {
+  ACCOUNTS_PATH,
+  listAccounts,
+  getActiveTokens,
+  findByToken,
+  findAccount,
+  getLabel,
+  getAccountKey,
+  saveWalletToken,
+  markVerified,
+  markError,
+  updateAccount,
+  listTokenBackups,
+  restoreTokenBackup,
+};
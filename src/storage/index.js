@@ -0,0 +1,17 @@
+const threads = require("./threads");
+const prompts = require("./prompts");
+const keystore = require("./keystore");
+const accounts = require("./accounts");
+const progress = require("./progress");
+const pointsHistory = require("./points-history");
+const stats = require("./stats");
+
+module.exports = {
+  threads,
+  prompts,
+  keystore,
+  accounts,
+  progress,
+  pointsHistory,
+  stats,
+};
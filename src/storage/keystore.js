@@ -0,0 +1,246 @@
+const fs = require("fs");
+const path = require("path");
+const { Wallet } = require("ethers");
+const config = require("../../config");
+const { log, logToFile, writeFileAtomic } = require("../utils");
+
+let storeCache = null;
+let unlockedKeys = null;
+
+/**
+ * @returns {string}
+ */
+function getKeystorePath() {
+  return path.resolve(process.cwd(), config.WALLET_KEYSTORE.path);
+}
+
+/**
+ * @returns {Object} { version, wallets: [{ address, label, addedAt, json }] }
+ */
+function loadStore() {
+  if (storeCache) return storeCache;
+
+  const keystorePath = getKeystorePath();
+  if (fs.existsSync(keystorePath)) {
+    const parsed = JSON.parse(fs.readFileSync(keystorePath, "utf8"));
+    if (!parsed || !Array.isArray(parsed.wallets)) {
+      throw new Error(`Invalid wallet keystore: ${keystorePath}`);
+    }
+    storeCache = parsed;
+  } else {
+    storeCache = { version: 1, wallets: [] };
+  }
+
+  return storeCache;
+}
+
+function saveStore() {
+  writeFileAtomic(getKeystorePath(), JSON.stringify(loadStore(), null, 2), {
+    mode: 0o600,
+  });
+}
+
+/**
+ * Stored wallets without their encrypted keys
+ * @returns {Array<Object>} { address, label, addedAt }
+ */
+function listWallets() {
+  return loadStore().wallets.map(({ address, label, addedAt }) => ({
+    address,
+    label,
+    addedAt,
+  }));
+}
+
+/**
+ * @returns {boolean}
+ */
+function hasWallets() {
+  return loadStore().wallets.length > 0;
+}
+
+/**
+ * @returns {boolean}
+ */
+function isUnlocked() {
+  return unlockedKeys !== null;
+}
+
+/**
+ * @returns {string|null}
+ */
+function getEnvPassphrase() {
+  return process.env[config.WALLET_KEYSTORE.passphraseEnv] || null;
+}
+
+/**
+ * @param {string} passphrase
+ * @returns {Promise<boolean>} true when it decrypts the stored wallets
+ */
+async function checkPassphrase(passphrase) {
+  const [first] = loadStore().wallets;
+  if (!first) return true;
+
+  try {
+    await Wallet.fromEncryptedJson(first.json, passphrase);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Encrypt a private key and add it to the keystore. All wallets share one
+ * passphrase, so it must match the one already in use.
+ * @param {string} privateKey
+ * @param {string} passphrase
+ * @param {string} label
+ * @returns {Promise<string>} wallet address
+ */
+async function addWallet(privateKey, passphrase, label = "") {
+  let wallet;
+  try {
+    wallet = new Wallet(privateKey.trim());
+  } catch (error) {
+    throw new Error("Invalid private key");
+  }
+
+  const store = loadStore();
+  const address = wallet.address;
+
+  if (
+    store.wallets.some(
+      (entry) => entry.address.toLowerCase() === address.toLowerCase()
+    )
+  ) {
+    throw new Error(`Wallet ${address} is already in the keystore`);
+  }
+
+  if (!(await checkPassphrase(passphrase))) {
+    throw new Error("Passphrase does not match the existing keystore");
+  }
+
+  store.wallets.push({
+    address,
+    label,
+    addedAt: new Date().toISOString(),
+    json: await wallet.encrypt(passphrase),
+  });
+  saveStore();
+
+  if (unlockedKeys) unlockedKeys.push(wallet.privateKey);
+
+  logToFile("Wallet added to keystore", { address });
+  return address;
+}
+
+/**
+ * @param {string} query - address, address prefix or label
+ * @returns {Object|null} the removed wallet { address, label, addedAt }
+ */
+function removeWallet(query) {
+  const store = loadStore();
+  const needle = query.toLowerCase();
+  const matches = store.wallets.filter(
+    (entry) =>
+      entry.address.toLowerCase().startsWith(needle) ||
+      (entry.label && entry.label.toLowerCase() === needle)
+  );
+
+  if (matches.length > 1) {
+    throw new Error(`Wallet "${query}" is ambiguous`);
+  }
+  if (matches.length === 0) return null;
+
+  const [removed] = matches;
+  store.wallets = store.wallets.filter((entry) => entry !== removed);
+  saveStore();
+
+  // Drop decrypted keys so the removed wallet is not used until next unlock
+  unlockedKeys = null;
+
+  logToFile("Wallet removed from keystore", { address: removed.address });
+  return {
+    address: removed.address,
+    label: removed.label,
+    addedAt: removed.addedAt,
+  };
+}
+
+/**
+ * Decrypt every stored wallet and keep the keys in memory
+ * @param {string} passphrase
+ * @returns {Promise<number>} number of unlocked wallets
+ */
+async function unlock(passphrase) {
+  const keys = [];
+
+  for (const entry of loadStore().wallets) {
+    try {
+      const wallet = await Wallet.fromEncryptedJson(entry.json, passphrase);
+      keys.push(wallet.privateKey);
+    } catch (error) {
+      throw new Error(`Wrong keystore passphrase for wallet ${entry.address}`);
+    }
+  }
+
+  unlockedKeys = keys;
+  logToFile("Wallet keystore unlocked", { wallets: keys.length });
+  return keys.length;
+}
+
+/**
+ * Private keys for signing in: the unlocked keystore (unlocked on demand with
+ * the passphrase from the environment), or PRIVATE_KEYS from .env when
+ * WALLET_KEYSTORE.allowPlaintextEnv is set
+ * @returns {Promise<Array<string>>}
+ */
+async function getPrivateKeys() {
+  const envKeys = process.env.PRIVATE_KEYS
+    ? process.env.PRIVATE_KEYS.split(",")
+        .map((key) => key.trim())
+        .filter(Boolean)
+    : [];
+
+  if (hasWallets()) {
+    if (!unlockedKeys && getEnvPassphrase()) {
+      try {
+        await unlock(getEnvPassphrase());
+      } catch (error) {
+        log(error.message, "error");
+        logToFile("Could not unlock wallet keystore", { error: error.message });
+      }
+    }
+
+    if (unlockedKeys) return unlockedKeys;
+
+    log(
+      `Wallet keystore is locked. Set ${config.WALLET_KEYSTORE.passphraseEnv} or enter the passphrase at startup`,
+      "warning"
+    );
+  }
+
+  if (envKeys.length > 0) {
+    if (config.WALLET_KEYSTORE.allowPlaintextEnv) return envKeys;
+
+    log(
+      "PRIVATE_KEYS in .env is ignored. Import the keys with `node main.js keys import --from-env` or set WALLET_KEYSTORE.allowPlaintextEnv",
+      "warning"
+    );
+  }
+
+  return [];
+}
+
+module.exports = {
+  getKeystorePath,
+  listWallets,
+  hasWallets,
+  isUnlocked,
+  getEnvPassphrase,
+  checkPassphrase,
+  addWallet,
+  removeWallet,
+  unlock,
+  getPrivateKeys,
+};
@@ -0,0 +1,203 @@
+const fs = require("fs");
+const path = require("path");
+const { format } = require("date-fns");
+const config = require("../../config");
+const { logToFile, writeFileAtomic } = require("../utils");
+
+const HOUR_MS = 60 * 60 * 1000;
+
+let samplesByAccount = null;
+const latestByAccount = new Map();
+
+/**
+ * @returns {string}
+ */
+function getHistoryPath() {
+  return path.resolve(process.cwd(), config.POINTS_HISTORY.path);
+}
+
+/**
+ * @param {string} line
+ * @returns {Object|null} sample, null for a damaged line
+ */
+function parseSample(line) {
+  try {
+    const sample = JSON.parse(line);
+    return sample && sample.account && typeof sample.total === "number"
+      ? sample
+      : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Samples per account key, oldest first. Samples older than
+ * POINTS_HISTORY.retentionDays are dropped from the file on first load.
+ * @returns {Map<string, Array<Object>>}
+ */
+function loadHistory() {
+  if (samplesByAccount) return samplesByAccount;
+
+  samplesByAccount = new Map();
+  const historyPath = getHistoryPath();
+  if (!fs.existsSync(historyPath)) return samplesByAccount;
+
+  const cutoff =
+    Date.now() - config.POINTS_HISTORY.retentionDays * 24 * HOUR_MS;
+  let dropped = 0;
+
+  try {
+    fs.readFileSync(historyPath, "utf8")
+      .split("\n")
+      .filter((line) => line.trim())
+      .forEach((line) => {
+        const sample = parseSample(line);
+        if (!sample || sample.at < cutoff) {
+          dropped++;
+          return;
+        }
+
+        if (!samplesByAccount.has(sample.account)) {
+          samplesByAccount.set(sample.account, []);
+        }
+        samplesByAccount.get(sample.account).push(sample);
+      });
+
+    if (dropped > 0) {
+      const kept = [...samplesByAccount.values()]
+        .flat()
+        .sort((a, b) => a.at - b.at);
+      writeFileAtomic(
+        historyPath,
+        kept.map((sample) => JSON.stringify(sample) + "\n").join("")
+      );
+      logToFile("Pruned points history", { dropped, kept: kept.length }, false);
+    }
+  } catch (error) {
+    logToFile(
+      "Error reading points history",
+      { error: error.message, path: historyPath },
+      false
+    );
+  }
+
+  return samplesByAccount;
+}
+
+/**
+ * Add a /points result. It is written to the history file unless the
+ * account's last stored sample is newer than POINTS_HISTORY.minIntervalMs;
+ * the latest value is always used for charts and gains.
+ * @param {string} account - key from accounts.getAccountKey()
+ * @param {Object} points - { total, inference, referral }
+ */
+function recordPoints(account, points) {
+  const sample = {
+    at: Date.now(),
+    account,
+    total: points.total,
+    inference: points.inference,
+    referral: points.referral,
+  };
+  latestByAccount.set(account, sample);
+
+  const history = loadHistory();
+  const samples = history.get(account) || [];
+  const last = samples[samples.length - 1];
+  if (last && sample.at - last.at < config.POINTS_HISTORY.minIntervalMs) {
+    return;
+  }
+
+  samples.push(sample);
+  history.set(account, samples);
+
+  try {
+    fs.appendFileSync(getHistoryPath(), JSON.stringify(sample) + "\n");
+  } catch (error) {
+    logToFile(
+      "Error writing points history",
+      { error: error.message, path: getHistoryPath() },
+      false
+    );
+  }
+}
+
+/**
+ * Stored samples plus the latest value, oldest first
+ * @param {string} account
+ * @param {number} since - timestamp
+ * @returns {Array<Object>}
+ */
+function getSamples(account, since = 0) {
+  const samples = (loadHistory().get(account) || []).filter(
+    (sample) => sample.at >= since
+  );
+  const latest = latestByAccount.get(account);
+
+  if (
+    latest &&
+    latest.at >= since &&
+    (samples.length === 0 || samples[samples.length - 1].at < latest.at)
+  ) {
+    samples.push(latest);
+  }
+
+  return samples;
+}
+
+/**
+ * Points series for a chart, at most maxPoints evenly picked samples
+ * @param {string} account
+ * @param {number} hours - how far back
+ * @param {number} maxPoints
+ * @returns {Object} { x: ["HH:mm", ...], y: [total, ...] }
+ */
+function getSeries(account, hours = 24, maxPoints = 40) {
+  const samples = getSamples(account, Date.now() - hours * HOUR_MS);
+  const step = Math.max(1, Math.ceil(samples.length / maxPoints));
+
+  const picked = samples.filter(
+    (sample, index) => index % step === 0 || index === samples.length - 1
+  );
+
+  return {
+    x: picked.map((sample) => format(sample.at, "HH:mm")),
+    y: picked.map((sample) => sample.total),
+  };
+}
+
+/**
+ * Points gained since local midnight (from the last value before it, or
+ * the first one today) and over the last hour
+ * @param {string} account
+ * @returns {Object} { total, gainedToday, perHour } - null when unknown
+ */
+function getGains(account) {
+  const midnight = new Date().setHours(0, 0, 0, 0);
+  const samples = getSamples(account);
+  const today = samples.filter((sample) => sample.at >= midnight);
+  const lastHour = samples.filter(
+    (sample) => sample.at >= Date.now() - HOUR_MS
+  );
+  const latest = samples[samples.length - 1];
+  const baseline =
+    samples.filter((sample) => sample.at < midnight).pop() || today[0];
+
+  return {
+    total: latest ? latest.total : null,
+    gainedToday: today.length > 0 ? latest.total - baseline.total : null,
+    perHour:
+      lastHour.length > 1
+        ? lastHour[lastHour.length - 1].total - lastHour[0].total
+        : null,
+  };
+}
+
+module.exports = {
+  getHistoryPath,
+  recordPoints,
+  getSamples,
+  getSeries,
+  getGains,
+};
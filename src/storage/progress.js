@@ -0,0 +1,115 @@
+const fs = require("fs");
+const path = require("path");
+const { format } = require("date-fns");
+const { logToFile, writeFileAtomic, withFileLock } = require("../utils");
+
+const PROGRESS_PATH = path.join(process.cwd(), "daily-progress.json");
+
+let progress = null;
+let progressMtime = 0;
+
+/**
+ * @returns {string} local date, yyyy-MM-dd
+ */
+function today() {
+  return format(new Date(), "yyyy-MM-dd");
+}
+
+/**
+ * Today's progress as stored; the previous day's is dropped once the date
+ * changes
+ * @returns {Object} { version, date, accounts: { [key]: {...} } }
+ */
+function readProgressFromDisk() {
+  let stored = null;
+
+  try {
+    if (fs.existsSync(PROGRESS_PATH)) {
+      progressMtime = fs.statSync(PROGRESS_PATH).mtimeMs;
+      const parsed = JSON.parse(fs.readFileSync(PROGRESS_PATH, "utf8"));
+      if (parsed && parsed.accounts) stored = parsed;
+    }
+  } catch (error) {
+    logToFile(
+      "Error reading daily progress, starting with an empty one",
+      { error: error.message, path: PROGRESS_PATH },
+      false
+    );
+  }
+
+  return stored && stored.date === today()
+    ? stored
+    : { version: 1, date: today(), accounts: {} };
+}
+
+/**
+ * Cached progress, read again when another process has written the file
+ * @returns {Object}
+ */
+function loadProgress() {
+  const mtime = fs.existsSync(PROGRESS_PATH)
+    ? fs.statSync(PROGRESS_PATH).mtimeMs
+    : 0;
+
+  if (!progress || mtime !== progressMtime || progress.date !== today()) {
+    progress = readProgressFromDisk();
+  }
+
+  return progress;
+}
+
+/**
+ * @returns {Object} { messages, pointsStart, points }
+ */
+function createEntry() {
+  return { messages: 0, pointsStart: null, points: null };
+}
+
+/**
+ * @param {string} key - account key from accounts.getAccountKey()
+ * @returns {Object} { messages, pointsStart, points }
+ */
+function getAccountProgress(key) {
+  return { ...createEntry(), ...loadProgress().accounts[key] };
+}
+
+/**
+ * Change an account's progress under the file lock: re-read the file
+ * (another process may have counted messages too), apply the change and
+ * write it atomically
+ * @param {string} key
+ * @param {Object|Function} changes - fields to set, or entry => fields
+ * @returns {Object} updated progress
+ */
+function updateAccountProgress(key, changes) {
+  try {
+    return withFileLock(PROGRESS_PATH, () => {
+      progress = readProgressFromDisk();
+
+      const entry = { ...createEntry(), ...progress.accounts[key] };
+      Object.assign(
+        entry,
+        typeof changes === "function" ? changes(entry) : changes
+      );
+      progress.accounts[key] = entry;
+
+      writeFileAtomic(PROGRESS_PATH, JSON.stringify(progress));
+      progressMtime = fs.statSync(PROGRESS_PATH).mtimeMs;
+
+      return { ...entry };
+    });
+  } catch (error) {
+    logToFile(
+      "Error writing daily progress",
+      { error: error.message, path: PROGRESS_PATH },
+      false
+    );
+    return getAccountProgress(key);
+  }
+}
+
+module.exports = {
+  PROGRESS_PATH,
+  getAccountProgress,
+  updateAccountProgress,
+};
@@ -0,0 +1,194 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const config = require("../../config");
+const { logToFile, writeFileAtomic } = require("../utils");
+
+const PROMPT_HISTORY_PATH = path.join(process.cwd(), "prompt-history.json");
+
+let history = null;
+
+let stats = {
+  checked: 0,
+  rejected: 0,
+};
+
+/**
+ * Lowercase, strip punctuation and collapse whitespace
+ * @param {string} text
+ * @returns {string}
+ */
+function normalizePrompt(text) {
+  return (text || "")
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s]/gu, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+/**
+ * @param {string} normalized
+ * @returns {string}
+ */
+function fingerprint(normalized) {
+  return crypto.createHash("sha1").update(normalized).digest("hex");
+}
+
+/**
+ * Word bigrams (single words for one-word prompts)
+ * @param {string} normalized
+ * @returns {Set<string>}
+ */
+function shingles(normalized) {
+  const words = normalized.split(" ").filter(Boolean);
+  if (words.length < 2) return new Set(words);
+
+  const result = new Set();
+  for (let i = 0; i < words.length - 1; i++) {
+    result.add(`${words[i]} ${words[i + 1]}`);
+  }
+  return result;
+}
+
+/**
+ * Jaccard similarity of two shingle sets
+ * @param {Set<string>} a
+ * @param {Set<string>} b
+ * @returns {number}
+ */
+function similarity(a, b) {
+  if (a.size === 0 && b.size === 0) return 1;
+
+  let shared = 0;
+  a.forEach((item) => {
+    if (b.has(item)) shared++;
+  });
+
+  return shared / (a.size + b.size - shared);
+}
+
+/**
+ * @returns {Array<Object>}
+ */
+function loadHistory() {
+  if (history) return history;
+
+  try {
+    if (fs.existsSync(PROMPT_HISTORY_PATH)) {
+      const parsed = JSON.parse(fs.readFileSync(PROMPT_HISTORY_PATH, "utf8"));
+      history = Array.isArray(parsed.prompts) ? parsed.prompts : [];
+      return history;
+    }
+  } catch (error) {
+    logToFile(
+      "Error reading prompt history, starting with an empty one",
+      { error: error.message, path: PROMPT_HISTORY_PATH },
+      false
+    );
+  }
+
+  history = [];
+  return history;
+}
+
+function saveHistory() {
+  try {
+    writeFileAtomic(
+      PROMPT_HISTORY_PATH,
+      JSON.stringify({ version: 1, prompts: loadHistory() })
+    );
+  } catch (error) {
+    logToFile(
+      "Error writing prompt history",
+      { error: error.message, path: PROMPT_HISTORY_PATH },
+      false
+    );
+  }
+}
+
+/**
+ * Compare a candidate with the stored fingerprints and recent prompts
+ * @param {string} text
+ * @param {Object} settings - defaults to config.PROMPT_DEDUP
+ * @returns {Object} { duplicate, exact, similarity, match }
+ */
+function checkPrompt(text, settings = config.PROMPT_DEDUP) {
+  const normalized = normalizePrompt(text);
+  const hash = fingerprint(normalized);
+  const entries = loadHistory();
+
+  stats.checked++;
+
+  const exactMatch = entries.find((entry) => entry.hash === hash);
+  if (exactMatch) {
+    stats.rejected++;
+    return { duplicate: true, exact: true, similarity: 1, match: exactMatch };
+  }
+
+  const candidate = shingles(normalized);
+  let best = { similarity: 0, match: null };
+
+  entries.slice(-settings.recentWindow).forEach((entry) => {
+    const score = similarity(candidate, shingles(entry.text));
+    if (score > best.similarity) {
+      best = { similarity: score, match: entry };
+    }
+  });
+
+  const duplicate = best.similarity >= settings.similarityThreshold;
+  if (duplicate) {
+    stats.rejected++;
+  }
+
+  return {
+    duplicate,
+    exact: false,
+    similarity: Number(best.similarity.toFixed(3)),
+    match: best.match,
+  };
+}
+
+/**
+ * Remember an accepted prompt, keeping the store capped
+ * @param {string} text
+ * @param {Object} settings - defaults to config.PROMPT_DEDUP
+ */
+function recordPrompt(text, settings = config.PROMPT_DEDUP) {
+  const normalized = normalizePrompt(text);
+  const entries = loadHistory();
+
+  entries.push({
+    hash: fingerprint(normalized),
+    text: normalized.substring(0, 500),
+    at: new Date().toISOString(),
+  });
+
+  if (entries.length > settings.maxEntries) {
+    entries.splice(0, entries.length - settings.maxEntries);
+  }
+
+  saveHistory();
+}
+
+/**
+ * @returns {Object}
+ */
+function getDedupStats() {
+  return {
+    stored: loadHistory().length,
+    checked: stats.checked,
+    rejected: stats.rejected,
+    rejectionRate:
+      stats.checked > 0
+        ? Number(((stats.rejected / stats.checked) * 100).toFixed(1))
+        : 0,
+  };
+}
+
+module.exports = {
+  PROMPT_HISTORY_PATH,
+  normalizePrompt,
+  checkPrompt,
+  recordPrompt,
+  getDedupStats,
+};
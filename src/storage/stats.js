@@ -0,0 +1,187 @@
+const fs = require("fs");
+const path = require("path");
+const { format, subDays } = require("date-fns");
+const config = require("../../config");
+const { logToFile, writeFileAtomic, withFileLock } = require("../utils");
+
+const COUNTERS = [
+  "attempted",
+  "succeeded",
+  "abortsVerified",
+  "retries",
+  "authRefreshes",
+  "cooldowns",
+  "points",
+];
+
+let compacted = false;
+
+/**
+ * @returns {string}
+ */
+function getStatsPath() {
+  return path.resolve(process.cwd(), config.STATS.path);
+}
+
+/**
+ * @param {Date|number} date
+ * @returns {string} local date, yyyy-MM-dd
+ */
+function toDay(date = new Date()) {
+  return format(date, "yyyy-MM-dd");
+}
+
+/**
+ * @returns {Object} empty counters
+ */
+function createCounters() {
+  return Object.fromEntries(COUNTERS.map((name) => [name, 0]));
+}
+
+/**
+ * @param {string} line
+ * @returns {Object|null} change, null for a damaged line
+ */
+function parseLine(line) {
+  try {
+    const change = JSON.parse(line);
+    return change && change.day && change.account && change.model
+      ? change
+      : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Every change in the stats file, oldest first. Each line is
+ * { day, account, label, model, ...counters } with the amounts added.
+ * @returns {Array<Object>}
+ */
+function readChanges() {
+  const statsPath = getStatsPath();
+  if (!fs.existsSync(statsPath)) return [];
+
+  try {
+    return fs
+      .readFileSync(statsPath, "utf8")
+      .split("\n")
+      .filter((line) => line.trim())
+      .map(parseLine)
+      .filter(Boolean);
+  } catch (error) {
+    logToFile(
+      "Error reading stats",
+      { error: error.message, path: statsPath },
+      false
+    );
+    return [];
+  }
+}
+
+/**
+ * Sum changes into one entry per day, account and model; the last label
+ * seen for an account wins
+ * @param {Array<Object>} changes
+ * @returns {Array<Object>} { day, account, label, model, ...counters }
+ */
+function sumChanges(changes) {
+  const entries = new Map();
+
+  changes.forEach((change) => {
+    const key = `${change.day}\n${change.account}\n${change.model}`;
+    if (!entries.has(key)) {
+      entries.set(key, {
+        day: change.day,
+        account: change.account,
+        label: change.label,
+        model: change.model,
+        ...createCounters(),
+      });
+    }
+
+    const entry = entries.get(key);
+    entry.label = change.label;
+    COUNTERS.forEach((name) => {
+      entry[name] += change[name] || 0;
+    });
+  });
+
+  return [...entries.values()];
+}
+
+/**
+ * Rewrite the stats file with one line per day, account and model,
+ * dropping days older than STATS.retentionDays. Runs under the file lock
+ * once per process, before its first change.
+ */
+function compactStats() {
+  const statsPath = getStatsPath();
+  const oldest = toDay(subDays(new Date(), config.STATS.retentionDays));
+
+  const changes = readChanges();
+  const entries = sumChanges(changes).filter((entry) => entry.day >= oldest);
+
+  if (entries.length < changes.length) {
+    writeFileAtomic(
+      statsPath,
+      entries.map((entry) => JSON.stringify(entry) + "\n").join("")
+    );
+    logToFile(
+      "Compacted stats",
+      { lines: changes.length, kept: entries.length },
+      false
+    );
+  }
+}
+
+/**
+ * Add to today's counters of an account and model. The change is appended
+ * as one line under the file lock, so processes sharing the file don't lose
+ * each other's counts.
+ * @param {string} account - key from accounts.getAccountKey()
+ * @param {string} label
+ * @param {string} model
+ * @param {Object} changes - { [counter]: amount }
+ */
+function addCounters(account, label, model, changes) {
+  const line =
+    JSON.stringify({ day: toDay(), account, label, model, ...changes }) + "\n";
+
+  try {
+    withFileLock(getStatsPath(), () => {
+      if (!compacted) {
+        compacted = true;
+        compactStats();
+      }
+      fs.appendFileSync(getStatsPath(), line);
+    });
+  } catch (error) {
+    logToFile(
+      "Error writing stats",
+      { error: error.message, path: getStatsPath() },
+      false
+    );
+  }
+}
+
+/**
+ * @param {string} from - yyyy-MM-dd, inclusive
+ * @param {string} to - yyyy-MM-dd, inclusive
+ * @returns {Array<Object>} { day, account, label, model, ...counters },
+ *   oldest day first
+ */
+function getEntries(from, to) {
+  return sumChanges(
+    readChanges().filter((change) => change.day >= from && change.day <= to)
+  ).sort((a, b) => (a.day < b.day ? -1 : a.day > b.day ? 1 : 0));
+}
+
+module.exports = {
+  COUNTERS,
+  createCounters,
+  getStatsPath,
+  toDay,
+  addCounters,
+  getEntries,
+};
@@ -0,0 +1,253 @@
+const fs = require("fs");
+const path = require("path");
+const config = require("../../config");
+const { logToFile, writeFileAtomic, withFileLock } = require("../utils");
+
+const THREADS_PATH = path.join(process.cwd(), "chat-threads.json");
+
+let storeCache = null;
+let storeMtime = 0;
+
+/**
+ * @returns {Object} { version, accounts }
+ */
+function readStoreFromDisk() {
+  try {
+    if (fs.existsSync(THREADS_PATH)) {
+      const parsed = JSON.parse(fs.readFileSync(THREADS_PATH, "utf8"));
+      storeMtime = fs.statSync(THREADS_PATH).mtimeMs;
+      if (parsed && parsed.accounts) return parsed;
+    }
+  } catch (error) {
+    logToFile(
+      "Error reading thread store, starting with an empty one",
+      { error: error.message, path: THREADS_PATH },
+      false
+    );
+  }
+
+  return { version: 1, accounts: {} };
+}
+
+/**
+ * @returns {Object} { version, accounts }
+ */
+function loadStore() {
+  const changedOnDisk =
+    fs.existsSync(THREADS_PATH) &&
+    fs.statSync(THREADS_PATH).mtimeMs !== storeMtime;
+
+  if (!storeCache || changedOnDisk) {
+    storeCache = readStoreFromDisk();
+  }
+
+  return storeCache;
+}
+
+/**
+ * Change the store under the file lock: re-read it (the CLI and the bot
+ * may both write it), apply the change and write it atomically
+ * @param {Function} mutate - store => result
+ * @returns {any} the result of mutate
+ */
+function updateStore(mutate) {
+  return withFileLock(THREADS_PATH, () => {
+    const store = readStoreFromDisk();
+    const result = mutate(store);
+
+    writeFileAtomic(THREADS_PATH, JSON.stringify(store));
+    storeCache = store;
+    storeMtime = fs.statSync(THREADS_PATH).mtimeMs;
+
+    return result;
+  });
+}
+
+/**
+ * updateStore for the bot: a failed write is logged, the chat goes on
+ * @param {Function} mutate - store => void
+ */
+function tryUpdateStore(mutate) {
+  try {
+    updateStore(mutate);
+  } catch (error) {
+    logToFile(
+      "Error writing thread store",
+      { error: error.message, path: THREADS_PATH },
+      false
+    );
+  }
+}
+
+/**
+ * @param {Object} store
+ * @param {string} accountId
+ * @returns {Object}
+ */
+function getAccountEntry(store, accountId) {
+  if (!store.accounts[accountId]) {
+    store.accounts[accountId] = { lastThreadId: null, threads: {} };
+  }
+  return store.accounts[accountId];
+}
+
+/**
+ * Drop the oldest threads of an account beyond MAX_STORED_THREADS; the
+ * last thread is always kept
+ * @param {Object} entry
+ */
+function pruneThreads(entry) {
+  const threads = Object.values(entry.threads);
+  if (threads.length <= config.MAX_STORED_THREADS) return;
+
+  threads
+    .filter((thread) => thread.id !== entry.lastThreadId)
+    .sort((a, b) => (a.updated_at < b.updated_at ? -1 : 1))
+    .slice(0, threads.length - config.MAX_STORED_THREADS)
+    .forEach((thread) => delete entry.threads[thread.id]);
+}
+
+/**
+ * Persist a thread (metadata and all messages) for an account. A thread
+ * that was closed stays closed.
+ * @param {string} accountId
+ * @param {Object} thread
+ */
+function saveThread(accountId, thread) {
+  if (!accountId || !thread) return;
+
+  tryUpdateStore((store) => {
+    const entry = getAccountEntry(store, accountId);
+    const existing = entry.threads[thread.id];
+
+    if (entry.lastThreadId && entry.lastThreadId !== thread.id) {
+      const previous = entry.threads[entry.lastThreadId];
+      if (previous && !previous.closed) {
+        previous.closed = true;
+      }
+    }
+
+    entry.threads[thread.id] = {
+      id: thread.id,
+      title: thread.title || "",
+      model: thread.model || (existing && existing.model) || null,
+      created_at: thread.created_at,
+      updated_at: new Date().toISOString(),
+      closed: Boolean(thread.closed || (existing && existing.closed)),
+      messages: thread.messages.map((message) => ({ ...message })),
+    };
+    entry.lastThreadId = thread.id;
+    pruneThreads(entry);
+  });
+}
+
+/**
+ * @param {string} accountId
+ * @returns {Object|null}
+ */
+function getLastOpenThread(accountId) {
+  const entry = loadStore().accounts[accountId];
+  if (!entry || !entry.lastThreadId) return null;
+
+  const thread = entry.threads[entry.lastThreadId];
+  if (!thread || thread.closed) return null;
+
+  return thread;
+}
+
+/**
+ * @param {string} accountId
+ * @param {string} threadId
+ */
+function closeThread(accountId, threadId) {
+  tryUpdateStore((store) => {
+    const entry = store.accounts[accountId];
+    if (entry && entry.threads[threadId]) {
+      entry.threads[threadId].closed = true;
+    }
+  });
+}
+
+/**
+ * @param {string|null} accountId - list every account when omitted
+ * @returns {Array<Object>}
+ */
+function listThreads(accountId = null) {
+  const { accounts } = loadStore();
+
+  return Object.entries(accounts)
+    .filter(([id]) => !accountId || id === accountId)
+    .flatMap(([id, entry]) =>
+      Object.values(entry.threads).map((thread) => ({
+        accountId: id,
+        id: thread.id,
+        title: thread.title,
+        model: thread.model,
+        created_at: thread.created_at,
+        updated_at: thread.updated_at,
+        closed: thread.closed,
+        messageCount: thread.messages.length,
+      }))
+    )
+    .sort((a, b) => (a.updated_at < b.updated_at ? 1 : -1));
+}
+
+/**
+ * Find a thread by id or unique id prefix
+ * @param {string} threadId
+ * @returns {Object|null} { accountId, thread }
+ */
+function findThread(threadId) {
+  const { accounts } = loadStore();
+  const matches = [];
+
+  Object.entries(accounts).forEach(([accountId, entry]) => {
+    Object.values(entry.threads).forEach((thread) => {
+      if (thread.id === threadId || thread.id.startsWith(threadId)) {
+        matches.push({ accountId, thread });
+      }
+    });
+  });
+
+  if (matches.length > 1) {
+    throw new Error(`Thread id "${threadId}" is ambiguous`);
+  }
+
+  return matches[0] || null;
+}
+
+/**
+ * @param {string} threadId
+ * @returns {boolean}
+ */
+function deleteThread(threadId) {
+  const match = findThread(threadId);
+  if (!match) return false;
+
+  return updateStore((store) => {
+    const entry = store.accounts[match.accountId];
+    if (!entry || !entry.threads[match.thread.id]) return false;
+
+    delete entry.threads[match.thread.id];
+
+    if (entry.lastThreadId === match.thread.id) {
+      entry.lastThreadId = null;
+    }
+
+    if (Object.keys(entry.threads).length === 0) {
+      delete store.accounts[match.accountId];
+    }
+
+    return true;
+  });
+}
+
+module.exports = {
+  THREADS_PATH,
+  saveThread,
+  getLastOpenThread,
+  closeThread,
+  listThreads,
+  findThread,
+  deleteThread,
+};
@@ -81,6 +81,39 @@ function registerKeyHandler(key, handler) {
   screen.key(key, handler);
 }
 
+/**
+ * Ask for a line of text in a dialog over the dashboard
+ * @param {string} question
+ * @param {string} initial
+ * @returns {Promise<string|null>} the answer, null when cancelled with Esc
+ */
+function askQuestion(question, initial = "") {
+  if (!screen) {
+    return Promise.reject(new Error("Dashboard not initialized"));
+  }
+
+  const prompt = blessed.prompt({
+    parent: screen,
+    top: "center",
+    left: "center",
+    width: "60%",
+    height: "shrink",
+    label: " Question ",
+    border: { type: "line" },
+    style: { fg: "white", border: { fg: "cyan" } },
+    tags: true,
+    keys: true,
+  });
+
+  return new Promise((resolve) => {
+    prompt.input(question, initial, (error, value) => {
+      prompt.destroy();
+      screen.render();
+      resolve(error || value === null ? null : value);
+    });
+  });
+}
+
 /**
  * Render screen
  */
@@ -92,6 +125,7 @@ function render() {
 module.exports = {
   initDashboard,
   registerKeyHandler,
+  askQuestion,
   render,
   screen,
 };
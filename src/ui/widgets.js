@@ -1,6 +1,6 @@
 const blessed = require("blessed");
 const contrib = require("blessed-contrib");
-const { setLogBoxes } = require("../utils/logger");
+const { setLogBoxes, logStatus } = require("../utils/logger");
 
 const widgets = {};
 
@@ -16,13 +16,27 @@ function createWidgets(grid, startRow = 0) {
     tags: true,
   });
 
-  widgets.chatBox = grid.set(startRow, 6, 6, 6, contrib.log, {
-    fg: "white",
+  widgets.chatBox = grid.set(startRow, 6, 6, 6, blessed.box, {
     label: "Chat History",
     tags: true,
+    wrap: true,
+    scrollable: true,
+    alwaysScroll: true,
+    scrollbar: {
+      ch: " ",
+      style: {
+        bg: "blue",
+      },
+    },
+    border: {
+      type: "line",
+    },
+    style: {
+      fg: "white",
+    },
   });
 
-  widgets.userInfo = grid.set(startRow + 6, 0, 3, 4, contrib.table, {
+  widgets.userInfo = grid.set(startRow + 6, 0, 3, 3, contrib.table, {
     keys: true,
     fg: "white",
     label: "User Info",
@@ -30,21 +44,28 @@ function createWidgets(grid, startRow = 0) {
     columnWidth: [15, 25],
   });
 
-  widgets.pointsGauge = grid.set(startRow + 6, 4, 3, 2, contrib.gauge, {
+  widgets.pointsChart = grid.set(startRow + 6, 3, 3, 5, contrib.line, {
     label: "Points",
-    percent: 0,
-    stroke: "green",
-    fill: "white",
+    showLegend: false,
+    wholeNumbersOnly: true,
+    xPadding: 3,
+    xLabelPadding: 3,
+    style: {
+      line: "green",
+      text: "white",
+      baseline: "white",
+    },
   });
 
-  widgets.rateLimitGauge = grid.set(startRow + 6, 6, 3, 6, contrib.gauge, {
-    label: "Rate Limit",
-    percent: 100,
-    stroke: "cyan",
-    fill: "white",
+  widgets.accountsTable = grid.set(startRow + 6, 8, 3, 4, contrib.table, {
+    keys: true,
+    fg: "white",
+    label: "Account Quota",
+    columnSpacing: 2,
+    columnWidth: [18, 8, 10],
   });
 
-  widgets.modelsTable = grid.set(startRow + 9, 0, 3, 6, contrib.table, {
+  widgets.modelsTable = grid.set(startRow + 9, 0, 3, 4, contrib.table, {
     keys: true,
     fg: "white",
     label: "Available Models",
@@ -52,6 +73,13 @@ function createWidgets(grid, startRow = 0) {
     columnWidth: [20, 20, 10],
   });
 
+  widgets.rateLimitGauge = grid.set(startRow + 9, 4, 3, 2, contrib.gauge, {
+    label: "Rate Limit",
+    percent: 100,
+    stroke: "cyan",
+    fill: "white",
+  });
+
   widgets.statusBox = grid.set(startRow + 9, 6, 3, 6, blessed.box, {
     label: "Status",
     content: "{center}Initializing...{/center}",
@@ -75,13 +103,22 @@ function createWidgets(grid, startRow = 0) {
 /**
  * Update user info display
  * @param {Object} userInfo
+ * @param {Object} tokenInfo - from auth.getTokenInfo(), for the account label
  */
-function updateUserInfo(userInfo) {
+function updateUserInfo(userInfo, tokenInfo = null) {
   if (!widgets.userInfo) return;
 
   widgets.userInfo.setData({
     headers: ["Field", "Value"],
     data: [
+      [
+        "Account",
+        tokenInfo && tokenInfo.label
+          ? `${tokenInfo.label} (${tokenInfo.currentIndex + 1}/${
+              tokenInfo.totalTokens
+            })`
+          : "N/A",
+      ],
       [
         "User ID",
         userInfo.user_id ? userInfo.user_id.substring(0, 12) + "..." : "N/A",
@@ -94,19 +131,32 @@ function updateUserInfo(userInfo) {
 }
 
 /**
- * Update points display
- * @param {Object} points
+ * Update the points chart
+ * @param {Object} chart - { label, series: { x, y } from
+ *   pointsHistory.getSeries(), gains: from pointsHistory.getGains() }
  */
-function updatePointsDisplay(points) {
-  if (!widgets.pointsGauge) return;
+function updatePointsChart(chart) {
+  if (!widgets.pointsChart) return;
 
-  const maxPoints = 100;
-  const percentage = Math.min(100, (points.total / maxPoints) * 100);
+  const { label, series, gains } = chart;
+  const formatGain = (value) =>
+    value === null ? "?" : `${value >= 0 ? "+" : ""}${value}`;
 
-  widgets.pointsGauge.setPercent(percentage);
-  widgets.pointsGauge.setLabel(
-    `Points: ${points.total} (Inf: ${points.inference})`
+  widgets.pointsChart.setLabel(
+    `Points: ${label} ${gains.total === null ? "?" : gains.total} (${formatGain(
+      gains.gainedToday
+    )} today, ${formatGain(gains.perHour)}/h)`
   );
+
+  // The chart needs at least one point to draw its axes
+  widgets.pointsChart.setData([
+    {
+      title: label,
+      x: series.x.length > 0 ? series.x : [""],
+      y: series.y.length > 0 ? series.y : [0],
+      style: { line: "green" },
+    },
+  ]);
 }
 
 /**
@@ -132,6 +182,28 @@ function updateRateLimitDisplay(rateLimit) {
   );
 }
 
+/**
+ * Update the per-account quota table
+ * @param {Array<Object>} quotas - from scheduler.getQuotaOverview(), with
+ *   done set for accounts that reached their daily goal
+ */
+function updateAccountsTable(quotas) {
+  if (!widgets.accountsTable) return;
+
+  widgets.accountsTable.setData({
+    headers: ["Account", "Quota", "Available"],
+    data: quotas.map((quota) => [
+      `${quota.current ? "> " : "  "}${quota.label}`,
+      quota.limit === null ? "?" : `${quota.remaining}/${quota.limit}`,
+      quota.done
+        ? "done"
+        : quota.availableIn > 0
+        ? `${Math.floor(quota.availableIn / 60)}m ${quota.availableIn % 60}s`
+        : "now",
+    ]),
+  });
+}
+
 /**
  * Update models table
  * @param {Array} models
@@ -155,7 +227,10 @@ function updateModelsTable(models) {
  * @param {string} type
  */
 function updateStatus(status, type = "info") {
-  if (!widgets.statusBox) return;
+  if (!widgets.statusBox) {
+    logStatus(status, type);
+    return;
+  }
 
   const colorMap = {
     info: "white",
@@ -171,48 +246,13 @@ function updateStatus(status, type = "info") {
   );
 }
 
-/**
- * Start cooldown display
- * @param {number} seconds
- * @param {Function} onUpdate
- * @returns {Object}
- */
-function startCooldownDisplay(seconds, onUpdate) {
-  updateStatus(
-    `Cooldown: ${Math.floor(seconds / 60)}m ${seconds % 60}s`,
-    "warning"
-  );
-
-  let remaining = seconds;
-
-  const interval = setInterval(() => {
-    remaining--;
-
-    updateStatus(
-      `Cooldown: ${Math.floor(remaining / 60)}m ${remaining % 60}s`,
-      "warning"
-    );
-
-    if (onUpdate && typeof onUpdate === "function") {
-      onUpdate(remaining);
-    }
-
-    if (remaining <= 0) {
-      clearInterval(interval);
-      updateStatus("Ready", "success");
-    }
-  }, 1000);
-
-  return interval;
-}
-
 module.exports = {
   createWidgets,
   updateUserInfo,
-  updatePointsDisplay,
+  updatePointsChart,
   updateRateLimitDisplay,
+  updateAccountsTable,
   updateModelsTable,
   updateStatus,
-  startCooldownDisplay,
   widgets,
 };
@@ -1,12 +1,15 @@
 const fs = require("fs");
 const path = require("path");
 const { format } = require("date-fns");
+const config = require("../../config");
+const { isLevelEnabled } = require("./logger");
 
 const LOG_FILE_PATH = path.join(process.cwd(), "info.log");
-const MAX_LOG_SIZE_MB = 10;
-const BACKUP_COUNT = 3;
+const SRC_DIR = path.join(__dirname, "..");
+const LOGGER_FILES = [__filename, path.join(__dirname, "logger.js")];
 
 let uiLogger = null;
+let accountProvider = () => null;
 
 /**
  * @param {Function} logger
@@ -15,6 +18,111 @@ function setUILogger(logger) {
   uiLogger = logger;
 }
 
+/**
+ * @param {Function} provider - () => index of the current account, or null
+ */
+function setAccountProvider(provider) {
+  accountProvider = provider;
+}
+
+/**
+ * @returns {boolean}
+ */
+function isJsonFormat() {
+  return config.LOG_FILE.format === "json";
+}
+
+/**
+ * Module that called the logger, e.g. "api/chat" or "automation"
+ * @returns {string|null}
+ */
+function getCallerModule() {
+  const frames = new Error().stack.split("\n").slice(1);
+
+  for (const frame of frames) {
+    const match = /\(?([^()\s]+\.js):\d+:\d+\)?$/.exec(frame);
+    if (!match || LOGGER_FILES.includes(match[1])) continue;
+
+    const relative = path.relative(SRC_DIR, match[1]);
+    return (relative.startsWith("..") ? path.basename(match[1]) : relative)
+      .replace(/\.js$/, "")
+      .split(path.sep)
+      .join("/");
+  }
+
+  return null;
+}
+
+/**
+ * @param {Object} record - { level, event, message, data, module (defaults
+ *   to the caller) }
+ * @returns {string} one JSON line
+ */
+function toJsonLine(record) {
+  const line = {
+    time: new Date().toISOString(),
+    level: record.level,
+    module: record.module || getCallerModule(),
+    event: record.event,
+    accountIndex: accountProvider(),
+    message: record.message,
+  };
+
+  let data = record.data;
+  if (typeof data === "string" && /^\s*[[{]/.test(data)) {
+    try {
+      data = JSON.parse(data);
+    } catch {
+      // keep the string
+    }
+  }
+  if (data !== null && data !== undefined) line.data = data;
+
+  const replacer = (key, value) =>
+    value instanceof Error
+      ? { name: value.name, message: value.message, stack: value.stack }
+      : value;
+
+  try {
+    return `${JSON.stringify(line, replacer)}\n`;
+  } catch (error) {
+    line.data = `[Non-serializable data: ${error.message}]`;
+    return `${JSON.stringify(line)}\n`;
+  }
+}
+
+/**
+ * Append an entry to info.log as text or, with LOG_FILE.format "json", as
+ * one JSON line. Entries below LOG_FILE.level are dropped.
+ * @param {Object} record - { level, event, message, data }
+ * @param {Function} formatText - () => the text entry
+ */
+function appendEntry(record, formatText) {
+  if (!isLevelEnabled(record.level, config.LOG_FILE.level)) return;
+
+  checkLogSize();
+  fs.appendFileSync(
+    LOG_FILE_PATH,
+    isJsonFormat() ? toJsonLine(record) : formatText()
+  );
+}
+
+/**
+ * First line of a new or cleared log file
+ * @param {string} action - "Created" or "Cleared"
+ * @returns {string}
+ */
+function formatHeader(action) {
+  return isJsonFormat()
+    ? toJsonLine({
+        level: "info",
+        module: "utils/file-logger",
+        event: `log.${action.toLowerCase()}`,
+        message: `KlokApp Automation Log - ${action}`,
+      })
+    : `=== KlokApp Automation Log - ${action} at ${new Date().toISOString()} ===\n\n`;
+}
+
 function checkLogSize() {
   try {
     if (!fs.existsSync(LOG_FILE_PATH)) {
@@ -24,7 +132,7 @@ function checkLogSize() {
     const stats = fs.statSync(LOG_FILE_PATH);
     const fileSizeMB = stats.size / (1024 * 1024);
 
-    if (fileSizeMB >= MAX_LOG_SIZE_MB) {
+    if (fileSizeMB >= config.LOG_FILE.maxSizeMb) {
       rotateLogFile();
     }
   } catch (error) {
@@ -34,10 +142,12 @@ function checkLogSize() {
 
 function rotateLogFile() {
   try {
-    for (let i = BACKUP_COUNT; i > 0; i--) {
+    const backupCount = config.LOG_FILE.backupCount;
+
+    for (let i = backupCount; i > 0; i--) {
       const oldFile = `${LOG_FILE_PATH}.${i}`;
 
-      if (fs.existsSync(oldFile) && i === BACKUP_COUNT) {
+      if (fs.existsSync(oldFile) && i === backupCount) {
         fs.unlinkSync(oldFile);
       }
 
@@ -53,8 +163,7 @@ function rotateLogFile() {
       fs.renameSync(LOG_FILE_PATH, `${LOG_FILE_PATH}.1`);
     }
 
-    const header = `=== KlokApp Automation Log - Created at ${new Date().toISOString()} ===\n\n`;
-    fs.writeFileSync(LOG_FILE_PATH, header);
+    fs.writeFileSync(LOG_FILE_PATH, formatHeader("Created"));
   } catch (error) {
     console.error(`Error rotating log file: ${error.message}`);
   }
@@ -125,25 +234,26 @@ function formatData(data, indent = 0) {
  * @param {string} message
  * @param {Object} data
  * @param {boolean} showInUI
- * @param {string} type
+ * @param {string} type - level; without one, entries whose data has an
+ *   error are written as warnings and shown in the UI as info
  */
-function logToFile(message, data = null, showInUI = true, type = "info") {
+function logToFile(message, data = null, showInUI = true, type = null) {
   try {
-    checkLogSize();
-
-    const timestamp = format(new Date(), "yyyy-MM-dd HH:mm:ss");
-    let logMessage = `[${timestamp}] ${message}`;
+    const level = type || (data && data.error ? "warning" : "info");
 
-    if (data) {
-      logMessage += `\nDATA: ${formatData(data)}\n`;
-    }
+    appendEntry({ level, event: "log", message, data }, () => {
+      const timestamp = format(new Date(), "yyyy-MM-dd HH:mm:ss");
+      let logMessage = `[${timestamp}] ${message}`;
 
-    logMessage += "\n";
+      if (data) {
+        logMessage += `\nDATA: ${formatData(data)}\n`;
+      }
 
-    fs.appendFileSync(LOG_FILE_PATH, logMessage);
+      return logMessage + "\n";
+    });
 
     if (showInUI && uiLogger) {
-      uiLogger(message, type);
+      uiLogger(message, type || "info");
     }
   } catch (error) {
     console.error(`Error writing to log file: ${error.message}`);
@@ -165,30 +275,41 @@ function logApiRequest(
   showInUI = true
 ) {
   try {
-    const timestamp = format(new Date(), "yyyy-MM-dd HH:mm:ss");
-    let logMessage = `[${timestamp}] API REQUEST: ${method} ${endpoint}\n`;
-
+    let safeHeaders = null;
     if (headers) {
-      const safeHeaders = { ...headers };
+      safeHeaders = { ...headers };
 
       if (safeHeaders["X-Session-Token"])
         safeHeaders["X-Session-Token"] = "***FILTERED***";
       if (safeHeaders["Authorization"])
         safeHeaders["Authorization"] = "***FILTERED***";
-
-      logMessage += `HEADERS: ${formatData(safeHeaders)}\n`;
     }
 
-    if (data) {
-      logMessage += `REQUEST DATA: ${formatData(data)}\n`;
-    }
+    appendEntry(
+      {
+        level: "debug",
+        event: "api.request",
+        message: `${method} ${endpoint}`,
+        data: { method, endpoint, headers: safeHeaders, body: data },
+      },
+      () => {
+        const timestamp = format(new Date(), "yyyy-MM-dd HH:mm:ss");
+        let logMessage = `[${timestamp}] API REQUEST: ${method} ${endpoint}\n`;
+
+        if (safeHeaders) {
+          logMessage += `HEADERS: ${formatData(safeHeaders)}\n`;
+        }
 
-    logMessage += "\n";
+        if (data) {
+          logMessage += `REQUEST DATA: ${formatData(data)}\n`;
+        }
 
-    fs.appendFileSync(LOG_FILE_PATH, logMessage);
+        return logMessage + "\n";
+      }
+    );
 
     if (showInUI && uiLogger) {
-      uiLogger(`API REQUEST: ${method} ${endpoint}`, "info");
+      uiLogger(`API REQUEST: ${method} ${endpoint}`, "debug");
     }
   } catch (error) {
     console.error(`Error logging API request: ${error.message}`);
@@ -209,38 +330,52 @@ function logApiResponse(
   headers = null,
   showInUI = true
 ) {
-  try {
-    checkLogSize();
+  const level = status >= 200 && status < 300 ? "debug" : "error";
 
-    const timestamp = format(new Date(), "yyyy-MM-dd HH:mm:ss");
-    let logMessage = `[${timestamp}] API RESPONSE: ${endpoint} (Status: ${status})\n`;
-
-    if (headers) {
-      logMessage += `RESPONSE HEADERS: ${formatData(headers)}\n`;
-    }
-
-    if (response !== undefined && response !== null) {
-      logMessage += `RESPONSE BODY: ${formatData(response)}\n`;
-    } else {
-      logMessage += `RESPONSE BODY: <empty>\n`;
-    }
+  try {
+    appendEntry(
+      {
+        level,
+        event: "api.response",
+        message: `${endpoint} (${status})`,
+        data: { endpoint, status, headers, body: response },
+      },
+      () => {
+        const timestamp = format(new Date(), "yyyy-MM-dd HH:mm:ss");
+        let logMessage = `[${timestamp}] API RESPONSE: ${endpoint} (Status: ${status})\n`;
+
+        if (headers) {
+          logMessage += `RESPONSE HEADERS: ${formatData(headers)}\n`;
+        }
 
-    logMessage += "\n";
+        if (response !== undefined && response !== null) {
+          logMessage += `RESPONSE BODY: ${formatData(response)}\n`;
+        } else {
+          logMessage += `RESPONSE BODY: <empty>\n`;
+        }
 
-    fs.appendFileSync(LOG_FILE_PATH, logMessage);
+        return logMessage + "\n";
+      }
+    );
 
     if (showInUI && uiLogger) {
-      uiLogger(
-        `API RESPONSE: ${endpoint} (${status})`,
-        status >= 200 && status < 300 ? "success" : "error"
-      );
+      uiLogger(`API RESPONSE: ${endpoint} (${status})`, level);
     }
   } catch (error) {
     console.error(`Error logging API response: ${error.message}`);
 
-    const timestamp = format(new Date(), "yyyy-MM-dd HH:mm:ss");
-    const fallbackMsg = `[${timestamp}] API RESPONSE (Simplified - error in full logging): ${endpoint} (Status: ${status})\n\n`;
-    fs.appendFileSync(LOG_FILE_PATH, fallbackMsg);
+    appendEntry(
+      {
+        level,
+        event: "api.response",
+        message: `${endpoint} (${status})`,
+        data: { endpoint, status, loggingError: error.message },
+      },
+      () => {
+        const timestamp = format(new Date(), "yyyy-MM-dd HH:mm:ss");
+        return `[${timestamp}] API RESPONSE (Simplified - error in full logging): ${endpoint} (Status: ${status})\n\n`;
+      }
+    );
   }
 }
 
@@ -251,9 +386,6 @@ function logApiResponse(
  */
 function logApiError(endpoint, error, showInUI = true) {
   try {
-    const timestamp = format(new Date(), "yyyy-MM-dd HH:mm:ss");
-    let logMessage = `[${timestamp}] API ERROR: ${endpoint}\n`;
-
     const errorDetails = {
       message: error.message,
       name: error.name,
@@ -269,9 +401,20 @@ function logApiError(endpoint, error, showInUI = true) {
       errorDetails.request = "Request was made but no response received";
     }
 
-    logMessage += `ERROR DETAILS: ${formatData(errorDetails)}\n\n`;
-
-    fs.appendFileSync(LOG_FILE_PATH, logMessage);
+    appendEntry(
+      {
+        level: "error",
+        event: "api.error",
+        message: `${endpoint} - ${error.message}`,
+        data: { endpoint, ...errorDetails },
+      },
+      () => {
+        const timestamp = format(new Date(), "yyyy-MM-dd HH:mm:ss");
+        return `[${timestamp}] API ERROR: ${endpoint}\nERROR DETAILS: ${formatData(
+          errorDetails
+        )}\n\n`;
+      }
+    );
 
     if (showInUI && uiLogger) {
       uiLogger(`API ERROR: ${endpoint} - ${error.message}`, "error");
@@ -279,16 +422,24 @@ function logApiError(endpoint, error, showInUI = true) {
   } catch (err) {
     console.error(`Error logging API error: ${err.message}`);
 
-    const timestamp = format(new Date(), "yyyy-MM-dd HH:mm:ss");
-    const fallbackMsg = `[${timestamp}] API ERROR (Simplified): ${endpoint} - ${error.message}\n\n`;
-    fs.appendFileSync(LOG_FILE_PATH, fallbackMsg);
+    appendEntry(
+      {
+        level: "error",
+        event: "api.error",
+        message: `${endpoint} - ${error.message}`,
+        data: { endpoint, loggingError: err.message },
+      },
+      () => {
+        const timestamp = format(new Date(), "yyyy-MM-dd HH:mm:ss");
+        return `[${timestamp}] API ERROR (Simplified): ${endpoint} - ${error.message}\n\n`;
+      }
+    );
   }
 }
 
 function clearLogFile() {
   try {
-    const header = `=== KlokApp Automation Log - Cleared at ${new Date().toISOString()} ===\n\n`;
-    fs.writeFileSync(LOG_FILE_PATH, header);
+    fs.writeFileSync(LOG_FILE_PATH, formatHeader("Cleared"));
   } catch (error) {
     console.error(`Error clearing log file: ${error.message}`);
   }
@@ -314,8 +465,7 @@ function backupLogFile() {
 
 if (!fs.existsSync(LOG_FILE_PATH)) {
   try {
-    const header = `=== KlokApp Automation Log - Created at ${new Date().toISOString()} ===\n\n`;
-    fs.writeFileSync(LOG_FILE_PATH, header);
+    fs.writeFileSync(LOG_FILE_PATH, formatHeader("Created"));
   } catch (error) {
     console.error(`Error creating log file: ${error.message}`);
   }
@@ -323,6 +473,7 @@ if (!fs.existsSync(LOG_FILE_PATH)) {
 
 module.exports = {
   setUILogger,
+  setAccountProvider,
   logToFile,
   logApiRequest,
   logApiResponse,
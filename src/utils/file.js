@@ -24,7 +24,162 @@ function fileExists(path) {
   }
 }
 
+/**
+ * Write a file so readers and crashes only ever see the old or the new
+ * content: write a temp file next to it, flush it and rename it into place
+ * @param {string} path
+ * @param {string} data
+ * @param {Object} options - { mode }
+ */
+function writeFileAtomic(path, data, options = {}) {
+  const tempPath = `${path}.${process.pid}.tmp`;
+
+  try {
+    const fd = fs.openSync(tempPath, "w", options.mode);
+    try {
+      fs.writeSync(fd, data);
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+
+    fs.renameSync(tempPath, path);
+  } catch (error) {
+    fs.rmSync(tempPath, { force: true });
+    throw error;
+  }
+}
+
+/**
+ * @param {number} ms
+ */
+function sleepSync(ms) {
+  Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+}
+
+/**
+ * A lock file is stale when its process is gone, or when it has no pid
+ * (crash before it was written) and is older than timeoutMs
+ * @param {string} lockPath
+ * @param {number} timeoutMs
+ * @returns {boolean}
+ */
+function isStaleLock(lockPath, timeoutMs) {
+  try {
+    const pid = Number(fs.readFileSync(lockPath, "utf8"));
+    if (!pid) {
+      return Date.now() - fs.statSync(lockPath).mtimeMs > timeoutMs;
+    }
+
+    process.kill(pid, 0);
+    return false;
+  } catch (error) {
+    return error.code === "ESRCH" || error.code === "ENOENT";
+  }
+}
+
+/**
+ * Run fn while holding `<path>.lock`, so processes sharing a file (the
+ * dashboard and a CLI command, for example) don't interleave their
+ * read-modify-write cycles. Waits for up to timeoutMs.
+ * @param {string} path
+ * @param {Function} fn - synchronous
+ * @param {number} timeoutMs
+ * @returns {any} the result of fn
+ */
+function withFileLock(path, fn, timeoutMs = 10000) {
+  const lockPath = `${path}.lock`;
+  const startedAt = Date.now();
+  let fd = null;
+
+  while (fd === null) {
+    try {
+      fd = fs.openSync(lockPath, "wx");
+    } catch (error) {
+      if (error.code !== "EEXIST") throw error;
+
+      if (isStaleLock(lockPath, timeoutMs)) {
+        fs.rmSync(lockPath, { force: true });
+      } else if (Date.now() - startedAt > timeoutMs) {
+        throw new Error(`Timed out waiting for lock ${lockPath}`);
+      } else {
+        sleepSync(25);
+      }
+    }
+  }
+
+  try {
+    fs.writeSync(fd, String(process.pid));
+    fs.closeSync(fd);
+    return fn();
+  } finally {
+    fs.rmSync(lockPath, { force: true });
+  }
+}
+
+/**
+ * @param {string} path
+ * @param {number} number - 1 is the newest backup
+ * @returns {string}
+ */
+function getBackupPath(path, number) {
+  return `${path}.bak.${number}`;
+}
+
+/**
+ * Copy a file to `<path>.bak.1`, shifting older backups up and dropping
+ * the ones beyond count
+ * @param {string} path
+ * @param {number} count
+ */
+function rotateBackups(path, count) {
+  if (!fs.existsSync(path)) return;
+
+  for (let i = count; i > 0; i--) {
+    const backupPath = getBackupPath(path, i);
+
+    if (fs.existsSync(backupPath) && i === count) {
+      fs.unlinkSync(backupPath);
+    }
+
+    if (i > 1 && fs.existsSync(getBackupPath(path, i - 1))) {
+      fs.renameSync(getBackupPath(path, i - 1), backupPath);
+    }
+  }
+
+  writeFileAtomic(getBackupPath(path, 1), fs.readFileSync(path), {
+    mode: fs.statSync(path).mode & 0o777,
+  });
+}
+
+/**
+ * @param {string} path
+ * @param {number} count
+ * @returns {Array<Object>} { number, path, modifiedAt }, newest first
+ */
+function listBackups(path, count) {
+  const backups = [];
+
+  for (let i = 1; i <= count; i++) {
+    const backupPath = getBackupPath(path, i);
+    if (fs.existsSync(backupPath)) {
+      backups.push({
+        number: i,
+        path: backupPath,
+        modifiedAt: fs.statSync(backupPath).mtime.toISOString(),
+      });
+    }
+  }
+
+  return backups;
+}
+
 module.exports = {
   readFile,
   fileExists,
+  writeFileAtomic,
+  withFileLock,
+  getBackupPath,
+  rotateBackups,
+  listBackups,
 };
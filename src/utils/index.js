@@ -1,6 +1,9 @@
 const fileUtils = require("./file");
 const logger = require("./logger");
 const fileLogger = require("./file-logger");
+const sse = require("./sse");
+const random = require("./random");
+const schedule = require("./schedule");
 
 fileLogger.setUILogger(logger.log);
 
@@ -8,4 +11,7 @@ module.exports = {
   ...fileUtils,
   ...logger,
   ...fileLogger,
+  ...sse,
+  ...random,
+  ...schedule,
 };
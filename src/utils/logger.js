@@ -1,6 +1,42 @@
+const blessed = require("blessed");
+const config = require("../../config");
+
+// Log types by severity; "success" counts as info
+const LOG_LEVELS = {
+  debug: 0,
+  info: 1,
+  success: 1,
+  warning: 2,
+  error: 3,
+};
+
 let logBox = null;
 let chatBox = null;
 
+const MAX_CHAT_ENTRIES = 50;
+const CHAT_RENDER_INTERVAL_MS = 50;
+
+let chatEntries = [];
+let chatRenderTimer = null;
+
+// Set in headless mode: "text" or "json" lines on stdout/stderr
+let consoleFormat = null;
+let lastStatus = { text: null, shape: null, at: 0 };
+
+// Statuses that only differ in their numbers (countdowns) are repeated at most this often
+const STATUS_REPEAT_INTERVAL_MS = 60000;
+
+/**
+ * @param {string} type - log type
+ * @param {string} minLevel - "debug", "info", "warning" or "error"
+ * @returns {boolean}
+ */
+function isLevelEnabled(type, minLevel) {
+  const level =
+    LOG_LEVELS[type] === undefined ? LOG_LEVELS.info : LOG_LEVELS[type];
+  return level >= LOG_LEVELS[minLevel];
+}
+
 /**
  * @param {Object} log
  * @param {Object} chat
@@ -11,13 +47,106 @@ function setLogBoxes(log, chat) {
 }
 
 /**
+ * Write logs, chat messages and status changes to stdout/stderr instead of
+ * the dashboard
+ * @param {string} format - "text" or "json"
+ */
+function setConsoleOutput(format) {
+  consoleFormat = format;
+}
+
+/**
+ * @returns {boolean}
+ */
+function isConsoleOutput() {
+  return consoleFormat !== null;
+}
+
+/**
+ * @param {Object} record - { kind, level, message, ...fields }
+ */
+function writeConsole(record) {
+  const stream = record.level === "error" ? process.stderr : process.stdout;
+  const time = new Date().toISOString();
+
+  if (consoleFormat === "json") {
+    stream.write(`${JSON.stringify({ time, ...record })}\n`);
+    return;
+  }
+
+  const { kind, level, role, message, ...fields } = record;
+  const text = String(message).replace(/\r?\n/g, "\\n");
+  const details = Object.entries(fields)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([key, value]) => `${key}=${value}`)
+    .join(" ");
+
+  stream.write(
+    `${time} ${(kind === "log" ? level : kind).toUpperCase().padEnd(7)} ${
+      role ? `${role}: ` : ""
+    }${text}${details ? ` (${details})` : ""}\n`
+  );
+}
+
+/**
+ * Report a status change in headless mode. Countdown updates are collapsed.
+ * @param {string} status
+ * @param {string} type
+ */
+function logStatus(status, type = "info") {
+  if (!consoleFormat) return;
+
+  const shape = status.replace(/\d+/g, "#");
+  const now = Date.now();
+
+  if (status === lastStatus.text) return;
+  if (
+    shape === lastStatus.shape &&
+    now - lastStatus.at < STATUS_REPEAT_INTERVAL_MS
+  ) {
+    return;
+  }
+
+  lastStatus = { text: status, shape, at: now };
+  writeConsole({ kind: "status", level: type, message: status });
+}
+
+/**
+ * @param {Object} entry
+ */
+function writeChatEntry(entry) {
+  const { meta } = entry;
+
+  writeConsole({
+    kind: "chat",
+    level: meta.failed ? "error" : "info",
+    message: meta.failed && !entry.content ? meta.error : entry.content,
+    role: entry.role,
+    model: meta.model,
+    latencyMs: meta.latencyMs,
+    aborted: meta.aborted || undefined,
+    pointsVerified: meta.pointsVerified,
+  });
+}
+
+/**
+ * Show a message in the log box (or on the console in headless mode)
+ * unless its type is below UI_LOG_LEVEL
  * @param {string} message
  * @param {string} type
  */
 function log(message, type = "info") {
+  if (!isLevelEnabled(type, config.UI_LOG_LEVEL)) return;
+
+  if (consoleFormat) {
+    writeConsole({ kind: "log", level: type, message });
+    return;
+  }
+
   if (!logBox) return;
 
   const colorMap = {
+    debug: "gray",
     info: "white",
     success: "green",
     warning: "yellow",
@@ -28,27 +157,169 @@ function log(message, type = "info") {
   logBox.log(`{${color}-fg}${message}{/${color}-fg}`);
 }
 
+/**
+ * @param {Object} entry
+ * @returns {string}
+ */
+function formatChatEntry(entry) {
+  const { meta } = entry;
+  const color = entry.role === "user" ? "blue" : "green";
+  const details = [];
+
+  if (meta.model) {
+    details.push(blessed.escape(meta.model));
+  }
+
+  if (entry.streaming) {
+    details.push("{yellow-fg}streaming...{/yellow-fg}");
+  } else if (meta.latencyMs !== undefined) {
+    details.push(`${(meta.latencyMs / 1000).toFixed(1)}s`);
+  }
+
+  if (meta.failed) {
+    details.push("{red-fg}failed{/red-fg}");
+  } else if (meta.aborted) {
+    details.push("{yellow-fg}stream aborted{/yellow-fg}");
+  }
+
+  if (meta.pointsVerified === true) {
+    details.push("{green-fg}points verified{/green-fg}");
+  } else if (meta.pointsVerified === false) {
+    details.push("{yellow-fg}points unconfirmed{/yellow-fg}");
+  }
+
+  const header = `{${color}-fg}{bold}${
+    entry.role === "user" ? "User" : "AI"
+  }{/bold}{/${color}-fg}${details.length ? ` | ${details.join(" | ")}` : ""}`;
+
+  const body =
+    meta.failed && meta.error && !entry.content
+      ? `{red-fg}${blessed.escape(meta.error)}{/red-fg}`
+      : blessed.escape(entry.content);
+
+  return `${header}\n${body}`;
+}
+
+function renderChat() {
+  if (chatRenderTimer) {
+    clearTimeout(chatRenderTimer);
+    chatRenderTimer = null;
+  }
+
+  if (!chatBox) return;
+
+  chatBox.setContent(chatEntries.map(formatChatEntry).join("\n\n"));
+  chatBox.setScrollPerc(100);
+
+  if (chatBox.screen) {
+    chatBox.screen.render();
+  }
+}
+
+function scheduleChatRender() {
+  if (chatRenderTimer) return;
+  chatRenderTimer = setTimeout(renderChat, CHAT_RENDER_INTERVAL_MS);
+}
+
+/**
+ * @param {Object} entry
+ */
+function addChatEntry(entry) {
+  chatEntries.push(entry);
+  if (chatEntries.length > MAX_CHAT_ENTRIES) {
+    chatEntries.shift();
+  }
+}
+
 /**
  * @param {string} message
  * @param {string} role
+ * @param {Object} meta - model, latencyMs, pointsVerified
  */
-function logChat(message, role) {
-  if (!chatBox) return;
+function logChat(message, role, meta = {}) {
+  const entry = { role, content: message, meta, streaming: false };
 
-  const color = role === "user" ? "blue" : "green";
-  const prefix = role === "user" ? "User: " : "AI: ";
+  if (consoleFormat) {
+    writeChatEntry(entry);
+    return;
+  }
 
-  const maxLength = 100;
-  const displayMessage =
-    message.length > maxLength
-      ? `${message.substring(0, maxLength)}...`
-      : message;
+  addChatEntry(entry);
+  renderChat();
+}
 
-  chatBox.log(`{${color}-fg}${prefix}${displayMessage}{/${color}-fg}`);
+/**
+ * Start a chat entry that is filled in while the answer streams
+ * @param {string} role
+ * @param {Object} meta
+ * @returns {Object} handle with append, reset, finish and fail
+ */
+function startChatStream(role = "assistant", meta = {}) {
+  const entry = { role, content: "", meta: { ...meta }, streaming: true };
+
+  // Headless output only shows the finished answer
+  const update = () => {
+    if (consoleFormat) {
+      if (!entry.streaming) writeChatEntry(entry);
+      return;
+    }
+    renderChat();
+  };
+
+  if (!consoleFormat) {
+    addChatEntry(entry);
+    renderChat();
+  }
+
+  return {
+    /**
+     * @param {string} delta
+     */
+    append(delta) {
+      if (!entry.streaming) return;
+      entry.content += delta;
+      scheduleChatRender();
+    },
+
+    reset() {
+      if (!entry.streaming) return;
+      entry.content = "";
+      scheduleChatRender();
+    },
+
+    /**
+     * @param {string} content
+     * @param {Object} finalMeta
+     */
+    finish(content, finalMeta = {}) {
+      if (!entry.streaming) return;
+      entry.streaming = false;
+      entry.content = content;
+      entry.meta = { ...entry.meta, ...finalMeta };
+      update();
+    },
+
+    /**
+     * @param {string} error
+     * @param {Object} finalMeta
+     */
+    fail(error, finalMeta = {}) {
+      if (!entry.streaming) return;
+      entry.streaming = false;
+      entry.meta = { ...entry.meta, ...finalMeta, failed: true, error };
+      update();
+    },
+  };
 }
 
 module.exports = {
+  LOG_LEVELS,
+  isLevelEnabled,
   setLogBoxes,
+  setConsoleOutput,
+  isConsoleOutput,
   log,
+  logStatus,
   logChat,
+  startChatStream,
 };
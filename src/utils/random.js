@@ -0,0 +1,30 @@
+/**
+ * Pick one entry at random in proportion to its `weight`
+ * @param {Array<Object>} entries
+ * @param {Function} random
+ * @returns {Object|null}
+ */
+function pickWeighted(entries, random = Math.random) {
+  const total = entries.reduce((sum, entry) => sum + (entry.weight || 0), 0);
+  if (total <= 0) return null;
+
+  let roll = random() * total;
+  for (const entry of entries) {
+    roll -= entry.weight || 0;
+    if (roll < 0) return entry;
+  }
+  return entries[entries.length - 1];
+}
+
+/**
+ * @param {Array} items
+ * @returns {any}
+ */
+function pickRandom(items) {
+  return items[Math.floor(Math.random() * items.length)];
+}
+
+module.exports = {
+  pickWeighted,
+  pickRandom,
+};
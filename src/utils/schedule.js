@@ -0,0 +1,402 @@
+/**
+ * Time windows for scheduled runs. A window is either a weekday/hour range
+ * ({ days, start, end }) or a cron expression with a duration
+ * ({ cron, durationMinutes }), evaluated in an IANA time zone.
+ * Kept free of config and logging so the config schema can use it.
+ */
+
+const DAY_NAMES = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+const MONTH_NAMES = [
+  "jan",
+  "feb",
+  "mar",
+  "apr",
+  "may",
+  "jun",
+  "jul",
+  "aug",
+  "sep",
+  "oct",
+  "nov",
+  "dec",
+];
+
+// How far ahead to look for the next window start or end
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+const LOOKAHEAD_MS = 8 * DAY_MS;
+
+const formatters = new Map();
+
+/**
+ * @param {string} timeZone
+ * @returns {boolean}
+ */
+function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Calendar fields of an instant in a time zone
+ * @param {number} time - timestamp
+ * @param {string} timeZone - empty for the local time zone
+ * @returns {Object} { year, month, day, weekday (0 = Sunday), hour, minute }
+ */
+function getZonedParts(time, timeZone = "") {
+  if (!formatters.has(timeZone)) {
+    formatters.set(
+      timeZone,
+      new Intl.DateTimeFormat("en-US", {
+        timeZone: timeZone || undefined,
+        hourCycle: "h23",
+        weekday: "short",
+        year: "numeric",
+        month: "numeric",
+        day: "numeric",
+        hour: "numeric",
+        minute: "numeric",
+      })
+    );
+  }
+
+  const parts = {};
+  formatters
+    .get(timeZone)
+    .formatToParts(time)
+    .forEach(({ type, value }) => {
+      parts[type] = value;
+    });
+
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    weekday: DAY_NAMES.indexOf(parts.weekday.toLowerCase()),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+  };
+}
+
+/**
+ * @param {string} value - number or name
+ * @param {Array<string>} names - names for min, min + 1, ...
+ * @param {number} min
+ * @returns {number}
+ */
+function parseFieldValue(value, names, min) {
+  const index = names ? names.indexOf(value.toLowerCase()) : -1;
+  if (index !== -1) return index + min;
+  if (!/^\d+$/.test(value)) throw new Error(`invalid value "${value}"`);
+  return Number(value);
+}
+
+/**
+ * Parse one cron field: *, 5, 1-5, *\/15, 1-30/2 and comma lists
+ * @param {string} field
+ * @param {number} min
+ * @param {number} max
+ * @param {Array<string>} names
+ * @returns {Set<number>}
+ */
+function parseCronField(field, min, max, names = null) {
+  const values = new Set();
+
+  field.split(",").forEach((part) => {
+    const [range, stepText] = part.split("/");
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (!Number.isInteger(step) || step < 1) {
+      throw new Error(`invalid step in "${part}"`);
+    }
+
+    let from = min;
+    let to = max;
+    if (range !== "*") {
+      const [start, end] = range.split("-");
+      from = parseFieldValue(start, names, min);
+      to =
+        end !== undefined
+          ? parseFieldValue(end, names, min)
+          : stepText === undefined
+          ? from
+          : max;
+    }
+
+    if (from < min || to > max || from > to) {
+      throw new Error(`"${part}" is out of range ${min}-${max}`);
+    }
+
+    for (let value = from; value <= to; value += step) {
+      values.add(value);
+    }
+  });
+
+  return values;
+}
+
+/**
+ * @param {string} expression - minute hour day-of-month month day-of-week
+ * @returns {Object} { matchesDay: parts => boolean, times: minutes since
+ *   midnight at which it fires, ascending }
+ */
+function compileCron(expression) {
+  const fields = String(expression).trim().split(/\s+/);
+  if (fields.length !== 5) {
+    throw new Error(`cron "${expression}" must have 5 fields`);
+  }
+
+  const minutes = parseCronField(fields[0], 0, 59);
+  const hours = parseCronField(fields[1], 0, 23);
+  const days = parseCronField(fields[2], 1, 31);
+  const months = parseCronField(fields[3], 1, 12, MONTH_NAMES);
+  const weekdays = parseCronField(fields[4], 0, 7, DAY_NAMES);
+  if (weekdays.has(7)) weekdays.add(0);
+
+  const anyDay = fields[2] === "*";
+  const anyWeekday = fields[4] === "*";
+
+  return {
+    matchesDay: (parts) => {
+      if (!months.has(parts.month)) return false;
+
+      // Like cron, a restricted day of month and day of week match either
+      const dayMatch = days.has(parts.day);
+      const weekdayMatch = weekdays.has(parts.weekday);
+      if (!anyDay && !anyWeekday) return dayMatch || weekdayMatch;
+      return dayMatch && weekdayMatch;
+    },
+    times: [...hours]
+      .flatMap((hour) => [...minutes].map((minute) => hour * 60 + minute))
+      .sort((a, b) => a - b),
+  };
+}
+
+/**
+ * @param {string} expression - minute hour day-of-month month day-of-week
+ * @returns {Function} parts => true when the expression matches
+ */
+function parseCron(expression) {
+  const cron = compileCron(expression);
+
+  return (parts) =>
+    cron.matchesDay(parts) &&
+    cron.times.includes(parts.hour * 60 + parts.minute);
+}
+
+/**
+ * @param {string} time - HH:MM
+ * @returns {number} minutes since midnight
+ */
+function parseClock(time) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(time));
+  if (!match || Number(match[1]) > 24 || Number(match[2]) > 59) {
+    throw new Error(`time "${time}" must be HH:MM`);
+  }
+
+  return Math.min(Number(match[1]) * 60 + Number(match[2]), 24 * 60);
+}
+
+/**
+ * @param {string|Array<string>} days - "mon-fri", "sat,sun", ["mon", "wed"]
+ * @returns {Set<number>} weekdays, 0 = Sunday
+ */
+function parseDays(days = "*") {
+  const field = Array.isArray(days) ? days.join(",") : String(days);
+  const weekdays = parseCronField(field, 0, 7, DAY_NAMES);
+  if (weekdays.has(7)) weekdays.add(0);
+  return weekdays;
+}
+
+/**
+ * @param {Object} window - { days, start, end } or { cron, durationMinutes }
+ * @returns {Object} { startsAt: parts => boolean, startTimes: parts =>
+ *   minutes since midnight at which it starts that day, durationMinutes }
+ */
+function parseWindow(window) {
+  if (!window || typeof window !== "object") {
+    throw new Error("must be an object");
+  }
+
+  if (window.cron !== undefined) {
+    if (!Number.isInteger(window.durationMinutes)) {
+      throw new Error("cron windows need an integer durationMinutes");
+    }
+    if (window.durationMinutes < 1 || window.durationMinutes > 7 * 24 * 60) {
+      throw new Error("durationMinutes must be between 1 and 10080");
+    }
+
+    const cron = compileCron(window.cron);
+
+    return {
+      startsAt: parseCron(window.cron),
+      startTimes: (parts) => (cron.matchesDay(parts) ? cron.times : []),
+      durationMinutes: window.durationMinutes,
+    };
+  }
+
+  if (window.start === undefined || window.end === undefined) {
+    throw new Error('needs "start" and "end" (HH:MM) or "cron"');
+  }
+
+  const weekdays = parseDays(window.days);
+  const start = parseClock(window.start) % (24 * 60);
+  const end = parseClock(window.end) % (24 * 60);
+
+  return {
+    startsAt: (parts) =>
+      weekdays.has(parts.weekday) && parts.hour * 60 + parts.minute === start,
+    startTimes: (parts) => (weekdays.has(parts.weekday) ? [start] : []),
+    // An end at or before the start runs past midnight (equal: a full day)
+    durationMinutes: end > start ? end - start : end + 24 * 60 - start,
+  };
+}
+
+/**
+ * The instants a wall-clock time occurs at in a time zone: usually one,
+ * two when clocks go back over it and none when they skip it
+ * @param {Object} date - { year, month, day }
+ * @param {number} minuteOfDay
+ * @param {string} timeZone
+ * @returns {Array<number>} timestamps
+ */
+function zonedTimeToInstants(date, minuteOfDay, timeZone) {
+  const wallClock = Date.UTC(
+    date.year,
+    date.month - 1,
+    date.day,
+    0,
+    minuteOfDay
+  );
+  const offsetAt = (time) => {
+    const parts = getZonedParts(time, timeZone);
+    return (
+      Date.UTC(
+        parts.year,
+        parts.month - 1,
+        parts.day,
+        parts.hour,
+        parts.minute
+      ) - time
+    );
+  };
+
+  // Offsets before and after any change on that day
+  const candidates = new Set([
+    wallClock - offsetAt(wallClock - DAY_MS / 2),
+    wallClock - offsetAt(wallClock + DAY_MS / 2),
+  ]);
+
+  return [...candidates].filter((time) => {
+    const parts = getZonedParts(time, timeZone);
+    return (
+      parts.day === date.day && parts.hour * 60 + parts.minute === minuteOfDay
+    );
+  });
+}
+
+/**
+ * Whether a time falls inside one of the windows, and when that changes.
+ * Goes through the calendar days from the longest window before now to a
+ * week ahead and takes each window's start times on them.
+ * @param {Array<Object>} windows
+ * @param {string} timeZone - empty for the local time zone
+ * @param {number} now - timestamp
+ * @returns {Object} { active, nextChange: timestamp, or null when no window
+ *   starts within a week or the current one stays open beyond that }
+ */
+function getWindowState(windows, timeZone = "", now = Date.now()) {
+  const parsed = windows.map(parseWindow);
+  const longest = Math.max(0, ...parsed.map((w) => w.durationMinutes));
+  const horizon = now + LOOKAHEAD_MS;
+
+  const first = getZonedParts(now - longest * MINUTE_MS, timeZone);
+  const dayCount = Math.ceil(longest / (24 * 60) + LOOKAHEAD_MS / DAY_MS) + 1;
+  const starts = [];
+
+  for (let offset = 0; offset <= dayCount; offset++) {
+    const calendar = new Date(
+      Date.UTC(first.year, first.month - 1, first.day + offset)
+    );
+    const date = {
+      year: calendar.getUTCFullYear(),
+      month: calendar.getUTCMonth() + 1,
+      day: calendar.getUTCDate(),
+      weekday: calendar.getUTCDay(),
+    };
+
+    parsed.forEach((window) => {
+      window.startTimes(date).forEach((minuteOfDay) => {
+        zonedTimeToInstants(date, minuteOfDay, timeZone)
+          .filter((start) => start <= horizon)
+          .forEach((start) => {
+            starts.push({
+              start,
+              end: start + window.durationMinutes * MINUTE_MS,
+            });
+          });
+      });
+    });
+  }
+
+  const intervals = [];
+  starts
+    .sort((a, b) => a.start - b.start)
+    .forEach(({ start, end }) => {
+      const last = intervals[intervals.length - 1];
+      if (last && start <= last.end) {
+        last.end = Math.max(last.end, end);
+      } else {
+        intervals.push({ start, end });
+      }
+    });
+
+  const current = intervals.find(
+    (interval) => interval.start <= now && now < interval.end
+  );
+  if (current) {
+    return {
+      active: true,
+      nextChange: current.end > horizon ? null : current.end,
+    };
+  }
+
+  const next = intervals.find((interval) => interval.start > now);
+  return { active: false, nextChange: next ? next.start : null };
+}
+
+/**
+ * @param {Object} schedule - config.SCHEDULE
+ * @returns {string|null} first problem found, null when valid
+ */
+function validateSchedule(schedule) {
+  if (schedule.timezone && !isValidTimeZone(schedule.timezone)) {
+    return `SCHEDULE.timezone "${schedule.timezone}" is not a known time zone`;
+  }
+
+  if (schedule.enabled && schedule.windows.length === 0) {
+    return "SCHEDULE.windows needs at least one window when SCHEDULE.enabled is set";
+  }
+
+  for (let i = 0; i < schedule.windows.length; i++) {
+    try {
+      parseWindow(schedule.windows[i]);
+    } catch (error) {
+      return `SCHEDULE.windows[${i}] ${error.message}`;
+    }
+  }
+
+  return null;
+}
+
+module.exports = {
+  isValidTimeZone,
+  getZonedParts,
+  parseCron,
+  parseWindow,
+  getWindowState,
+  validateSchedule,
+};
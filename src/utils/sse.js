@@ -0,0 +1,187 @@
+const { StringDecoder } = require("string_decoder");
+
+/**
+ * Incremental Server-Sent Events parser.
+ * Feed it raw chunks as they arrive; it emits one event per complete frame.
+ * @param {Function} onEvent - called with { event, data, id }
+ * @returns {Object}
+ */
+function createSSEParser(onEvent) {
+  // One decoder for the whole stream keeps multi-byte characters that are
+  // split across chunks intact
+  const decoder = new StringDecoder("utf8");
+  let buffer = "";
+  let dataLines = [];
+  let eventName = "";
+  let lastEventId = "";
+
+  function dispatch() {
+    if (dataLines.length === 0) {
+      eventName = "";
+      return;
+    }
+
+    const event = {
+      event: eventName || "message",
+      data: dataLines.join("\n"),
+      id: lastEventId,
+    };
+
+    dataLines = [];
+    eventName = "";
+
+    onEvent(event);
+  }
+
+  /**
+   * @param {string} line
+   */
+  function processLine(line) {
+    if (line === "") {
+      dispatch();
+      return;
+    }
+
+    if (line.startsWith(":")) {
+      return;
+    }
+
+    const colonIndex = line.indexOf(":");
+    const field = colonIndex === -1 ? line : line.substring(0, colonIndex);
+    let value = colonIndex === -1 ? "" : line.substring(colonIndex + 1);
+    if (value.startsWith(" ")) {
+      value = value.substring(1);
+    }
+
+    if (field === "data") {
+      dataLines.push(value);
+    } else if (field === "event") {
+      eventName = value;
+    } else if (field === "id") {
+      lastEventId = value;
+    }
+  }
+
+  return {
+    /**
+     * @param {Buffer|string} chunk
+     */
+    push(chunk) {
+      buffer += typeof chunk === "string" ? chunk : decoder.write(chunk);
+
+      let newlineIndex;
+      while ((newlineIndex = buffer.search(/\r\n|\r|\n/)) !== -1) {
+        const line = buffer.substring(0, newlineIndex);
+        const separatorLength =
+          buffer[newlineIndex] === "\r" && buffer[newlineIndex + 1] === "\n"
+            ? 2
+            : 1;
+
+        // A lone "\r" at the end of the buffer may be the first half of "\r\n"
+        if (
+          buffer[newlineIndex] === "\r" &&
+          newlineIndex === buffer.length - 1
+        ) {
+          break;
+        }
+
+        buffer = buffer.substring(newlineIndex + separatorLength);
+        processLine(line);
+      }
+    },
+
+    /**
+     * Flush a trailing frame that was not terminated by a blank line
+     */
+    end() {
+      buffer += decoder.end();
+      if (buffer.length > 0) {
+        processLine(buffer.replace(/\r$/, ""));
+        buffer = "";
+      }
+      dispatch();
+    },
+  };
+}
+
+/**
+ * Consume an SSE response stream until a terminal event, the end of the
+ * stream, an abort, or an idle timeout.
+ *
+ * `onEvent` receives every parsed event and returns true when the event is
+ * terminal. The promise resolves with { reason, error } where reason is one
+ * of "terminal", "end", "aborted" or "idle".
+ *
+ * @param {Stream} stream
+ * @param {Object} options
+ * @param {Function} options.onEvent
+ * @param {number} options.idleTimeoutMs
+ * @returns {Promise<Object>}
+ */
+function consumeSSEStream(stream, { onEvent, idleTimeoutMs = 15000 }) {
+  return new Promise((resolve) => {
+    let settled = false;
+    let idleTimer = null;
+
+    const finish = (reason, error = null) => {
+      if (settled) return;
+      settled = true;
+
+      clearTimeout(idleTimer);
+      stream.removeListener("data", handleData);
+      stream.removeListener("end", handleEnd);
+      stream.removeListener("error", handleError);
+      stream.removeListener("close", handleClose);
+
+      if (reason !== "end" && typeof stream.destroy === "function") {
+        stream.destroy();
+      }
+
+      resolve({ reason, error });
+    };
+
+    const resetIdleTimer = () => {
+      clearTimeout(idleTimer);
+      if (idleTimeoutMs > 0) {
+        idleTimer = setTimeout(() => finish("idle"), idleTimeoutMs);
+      }
+    };
+
+    const parser = createSSEParser((event) => {
+      if (settled) return;
+      if (onEvent(event) === true) {
+        finish("terminal");
+      }
+    });
+
+    function handleData(chunk) {
+      resetIdleTimer();
+      parser.push(chunk);
+    }
+
+    function handleEnd() {
+      parser.end();
+      finish("end");
+    }
+
+    function handleError(error) {
+      finish("aborted", error);
+    }
+
+    function handleClose() {
+      finish("aborted", new Error("Stream closed before completion"));
+    }
+
+    stream.on("data", handleData);
+    stream.on("end", handleEnd);
+    stream.on("error", handleError);
+    stream.on("close", handleClose);
+
+    resetIdleTimer();
+  });
+}
+
+module.exports = {
+  createSSEParser,
+  consumeSSEStream,
+};
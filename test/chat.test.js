@@ -0,0 +1,45 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { useTempDirectory, startMock } = require("./helpers");
+
+useTempDirectory();
+
+const auth = require("../src/api/auth");
+const chat = require("../src/api/chat");
+const { stats } = require("../src/services");
+
+const TRUNCATED = {
+  name: "truncated",
+  faults: [{ endpoint: "/chat", type: "truncate-stream", afterChunks: 2 }],
+};
+
+/**
+ * Fresh thread on a new account, so mock accounts and points don't carry
+ * over between tests
+ * @param {string} token
+ */
+function startChat(token) {
+  auth.useSessionToken(token);
+  chat.setSelectedModel("llama-3.3-70b-instruct");
+  chat.createThread();
+}
+
+test("verifies a stream that ends before [DONE] through points", async (t) => {
+  await startMock(t, TRUNCATED);
+  startChat("truncated-credited");
+  const before = stats.getSessionStats();
+
+  const answer = await chat.sendChatMessage("Hello");
+
+  assert.ok(answer.length > 0);
+  const after = stats.getSessionStats();
+  assert.strictEqual(after.succeeded, before.succeeded + 1);
+  assert.strictEqual(after.abortsVerified, before.abortsVerified + 1);
+});
+
+test("fails a stream that ends before [DONE] without points", async (t) => {
+  await startMock(t, { ...TRUNCATED, creditAborted: false });
+  startChat("truncated-uncredited");
+
+  await assert.rejects(chat.sendChatMessage("Hello"), /no point increase/);
+});
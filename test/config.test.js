@@ -0,0 +1,124 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { loadConfig, getConfigInfo } = require("../src/config/loader");
+const defaults = require("../src/config/defaults");
+
+/**
+ * @param {Object|null} fileConfig - written as klok.config.json
+ * @returns {string} directory
+ */
+function createDirectory(fileConfig = null) {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), "klok-config-"));
+  if (fileConfig) {
+    fs.writeFileSync(
+      path.join(directory, "klok.config.json"),
+      JSON.stringify(fileConfig)
+    );
+  }
+  return directory;
+}
+
+test("uses the defaults without a file, variables or flags", () => {
+  const config = loadConfig({ argv: [], env: {}, cwd: createDirectory() });
+
+  assert.deepStrictEqual(config, defaults);
+  assert.strictEqual(getConfigInfo().file, null);
+});
+
+test("layers the file, environment variables and flags in order", () => {
+  const cwd = createDirectory({
+    MIN_CHAT_DELAY: 1000,
+    MAX_CHAT_DELAY: 9000,
+    CHAT_HISTORY: { strategy: "all", maxTurns: 4 },
+  });
+
+  const config = loadConfig({
+    cwd,
+    env: { KLOK_MAX_CHAT_DELAY: "8000", KLOK_CHAT_HISTORY__MAX_TURNS: "6" },
+    argv: ["--max-chat-delay", "7000", "--set", "CHAT_HISTORY.maxChars=500"],
+  });
+
+  assert.strictEqual(config.MIN_CHAT_DELAY, 1000);
+  assert.strictEqual(config.MAX_CHAT_DELAY, 7000);
+  assert.strictEqual(config.CHAT_HISTORY.strategy, "all");
+  assert.strictEqual(config.CHAT_HISTORY.maxTurns, 6);
+  assert.strictEqual(config.CHAT_HISTORY.maxChars, 500);
+  assert.strictEqual(
+    config.CHAT_HISTORY.maxTokens,
+    defaults.CHAT_HISTORY.maxTokens
+  );
+
+  const sources = Object.fromEntries(
+    getConfigInfo().overrides.map(({ key, source }) => [key, source])
+  );
+  assert.strictEqual(sources.MIN_CHAT_DELAY, "klok.config.json");
+  assert.strictEqual(
+    sources["CHAT_HISTORY.maxTurns"],
+    "KLOK_CHAT_HISTORY__MAX_TURNS"
+  );
+  assert.strictEqual(
+    sources["CHAT_HISTORY.maxChars"],
+    "--set CHAT_HISTORY.maxChars"
+  );
+});
+
+test("reads the config file named by KLOK_CONFIG", () => {
+  const cwd = createDirectory();
+  const other = createDirectory({ MAX_CONSECUTIVE_ERRORS: 9 });
+
+  const config = loadConfig({
+    cwd,
+    env: { KLOK_CONFIG: path.join(other, "klok.config.json") },
+    argv: [],
+  });
+
+  assert.strictEqual(config.MAX_CONSECUTIVE_ERRORS, 9);
+});
+
+test("throws with every problem found", () => {
+  assert.throws(
+    () =>
+      loadConfig({
+        cwd: createDirectory({ UNKNOWN_SETTING: 1 }),
+        env: { KLOK_MIN_CHAT_DELAY: "soon" },
+        argv: ["--chat-history.strategy=newest"],
+      }),
+    (error) => {
+      assert.strictEqual(error.problems.length, 3);
+      assert.ok(error.problems.some((p) => p.includes("UNKNOWN_SETTING")));
+      assert.ok(error.problems.some((p) => p.includes("KLOK_MIN_CHAT_DELAY")));
+      assert.ok(
+        error.problems.some((p) => p.includes("CHAT_HISTORY.strategy"))
+      );
+      return true;
+    }
+  );
+});
+
+test("rejects inconsistent settings", () => {
+  assert.throws(
+    () =>
+      loadConfig({
+        cwd: createDirectory(),
+        env: {},
+        argv: ["--min-chat-delay=20000", "--max-chat-delay=10000"],
+      }),
+    (error) => {
+      assert.deepStrictEqual(error.problems, [
+        "MIN_CHAT_DELAY (20000) must not be greater than MAX_CHAT_DELAY (10000)",
+      ]);
+      return true;
+    }
+  );
+});
+
+test("warns about KLOK_ variables that match no setting", () => {
+  loadConfig({ cwd: createDirectory(), env: { KLOK_FOO: "1" }, argv: [] });
+
+  assert.deepStrictEqual(getConfigInfo().warnings, [
+    "KLOK_FOO does not match any setting and is ignored",
+  ]);
+});
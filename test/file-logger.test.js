@@ -0,0 +1,111 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+const { useTempDirectory } = require("./helpers");
+
+const directory = useTempDirectory();
+
+const config = require("../config");
+const fileLogger = require("../src/utils/file-logger");
+const { stats } = require("../src/services");
+
+const LOG_PATH = path.join(directory, "info.log");
+
+test.beforeEach(() => {
+  config.LOG_FILE.format = "json";
+  config.LOG_FILE.level = "debug";
+  fileLogger.setAccountProvider(() => null);
+  fileLogger.clearLogFile();
+});
+
+/**
+ * @returns {Array<Object>} parsed lines of info.log after its header
+ */
+function readEntries() {
+  const [header, ...entries] = fs
+    .readFileSync(LOG_PATH, "utf8")
+    .split("\n")
+    .filter(Boolean)
+    .map((line) => JSON.parse(line));
+
+  assert.strictEqual(header.event, "log.cleared");
+  return entries;
+}
+
+test("writes each entry as one JSON line with its fields", () => {
+  fileLogger.setAccountProvider(() => 2);
+  fileLogger.logToFile("Thread created", { threadId: "t-1" }, false);
+
+  const [entry] = readEntries();
+  assert.ok(!Number.isNaN(Date.parse(entry.time)));
+  assert.strictEqual(entry.level, "info");
+  assert.strictEqual(entry.module, "file-logger.test");
+  assert.strictEqual(entry.event, "log");
+  assert.strictEqual(entry.accountIndex, 2);
+  assert.strictEqual(entry.message, "Thread created");
+  assert.deepStrictEqual(entry.data, { threadId: "t-1" });
+});
+
+test("names the src module that logged, not the logger", () => {
+  stats.exportReport("2024-05-01", "2024-05-01", directory);
+
+  const [entry] = readEntries();
+  assert.strictEqual(entry.module, "services/stats");
+  assert.strictEqual(entry.message, "Exported stats report");
+  assert.strictEqual(entry.accountIndex, null);
+});
+
+test("parses JSON strings and serializes errors in data", () => {
+  fileLogger.logToFile("Raw body", '{"ok":true}', false);
+  fileLogger.logToFile("Failed", { error: new Error("boom") }, false);
+  fileLogger.logToFile("Plain", null, false);
+
+  const [raw, failed, plain] = readEntries();
+  assert.deepStrictEqual(raw.data, { ok: true });
+  assert.strictEqual(failed.level, "warning");
+  assert.strictEqual(failed.data.error.message, "boom");
+  assert.strictEqual(failed.data.error.name, "Error");
+  assert.ok(!("data" in plain));
+});
+
+test("API entries carry their own events and hide session tokens", () => {
+  fileLogger.logApiRequest("GET", "/me", null, { "X-Session-Token": "s" });
+  fileLogger.logApiResponse("/me", { ok: true }, 200, null, false);
+  fileLogger.logApiResponse("/me", null, 401, null, false);
+
+  const [request, response, rejected] = readEntries();
+  assert.strictEqual(request.event, "api.request");
+  assert.strictEqual(request.level, "debug");
+  assert.strictEqual(request.data.headers["X-Session-Token"], "***FILTERED***");
+  assert.strictEqual(response.event, "api.response");
+  assert.strictEqual(response.data.status, 200);
+  assert.strictEqual(rejected.level, "error");
+});
+
+test("drops entries below LOG_FILE.level", () => {
+  config.LOG_FILE.level = "warning";
+
+  fileLogger.logApiRequest("GET", "/me", null, null, false);
+  fileLogger.logToFile("Routine", null, false);
+  fileLogger.logToFile("Retrying", { error: "timeout" }, false);
+  fileLogger.logToFile("Gave up", null, false, "error");
+
+  assert.deepStrictEqual(
+    readEntries().map((entry) => [entry.level, entry.message]),
+    [
+      ["warning", "Retrying"],
+      ["error", "Gave up"],
+    ]
+  );
+});
+
+test("keeps the text format when LOG_FILE.format is text", () => {
+  config.LOG_FILE.format = "text";
+  fileLogger.clearLogFile();
+  fileLogger.logToFile("Plain text", null, false);
+
+  const content = fs.readFileSync(LOG_PATH, "utf8");
+  assert.match(content, /^=== KlokApp Automation Log - Cleared at /);
+  assert.match(content, /\] Plain text\n/);
+});
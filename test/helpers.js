@@ -0,0 +1,39 @@
+/**
+ * Shared test setup. Call useTempDirectory() before requiring anything from
+ * src/: the stores and info.log are resolved against the working directory.
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+/**
+ * @returns {string} the new working directory
+ */
+function useTempDirectory() {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), "klok-test-"));
+  process.chdir(directory);
+  return directory;
+}
+
+/**
+ * Start the mock server for one test and point config.BASE_URL at it
+ * @param {Object} t - test context
+ * @param {string|Object} scenario
+ * @returns {Promise<Object>} the mock server
+ */
+async function startMock(t, scenario = "healthy") {
+  const { createMockServer } = require("../mock/server");
+  const config = require("../config");
+
+  const mock = createMockServer({ scenario });
+  config.BASE_URL = await mock.start();
+  t.after(() => mock.stop());
+
+  return mock;
+}
+
+module.exports = {
+  useTempDirectory,
+  startMock,
+};
@@ -0,0 +1,224 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+const { useTempDirectory, startMock } = require("./helpers");
+
+const directory = useTempDirectory();
+
+const config = require("../config");
+const auth = require("../src/api/auth");
+const chat = require("../src/api/chat");
+const rateLimit = require("../src/api/rate-limit");
+const { stats } = require("../src/services");
+
+config.AUTH_RETRY.retryDelayMs = 10;
+config.CHAT_STREAM_IDLE_TIMEOUT = 300;
+
+let nextAccount = 0;
+
+/**
+ * Fresh thread on a new account, so mock quotas and points don't carry
+ * over between tests
+ */
+function startChat() {
+  auth.useSessionToken(`scenario-token-${++nextAccount}`);
+  chat.setSelectedModel("llama-3.3-70b-instruct");
+  chat.createThread();
+}
+
+/**
+ * @param {Function} fn - async
+ * @returns {Promise<Object>} session counters that changed while fn ran
+ */
+async function countStats(fn) {
+  const before = stats.getSessionStats();
+  await fn();
+  const after = stats.getSessionStats();
+
+  return Object.fromEntries(
+    Object.keys(after)
+      .filter((name) => name !== "startedAt" && after[name] !== before[name])
+      .map((name) => [name, after[name] - before[name]])
+  );
+}
+
+/**
+ * Sign in with accounts that have no wallet, so expired tokens can't be
+ * refreshed. Verifying them is each token's first request.
+ * @param {Array<string>} tokens
+ */
+async function useAccounts(tokens) {
+  fs.writeFileSync(
+    path.join(directory, "accounts.json"),
+    JSON.stringify({
+      version: 1,
+      accounts: tokens.map((token) => ({ label: token, token, enabled: true })),
+    })
+  );
+
+  assert.strictEqual(await auth.verifyAndCleanupTokens(), tokens.length);
+  auth.switchToNextToken(0);
+}
+
+test("healthy: a chat completes and its points are verified", async (t) => {
+  await startMock(t, "healthy");
+  startChat();
+
+  let answer;
+  const counted = await countStats(async () => {
+    answer = await chat.sendChatMessage("Hello");
+  });
+
+  assert.match(answer, /mock KlokApp server/);
+  assert.deepStrictEqual(counted, { attempted: 1, succeeded: 1, points: 1 });
+});
+
+test("server-errors: 5xx responses are retried until they pass", async (t) => {
+  const mock = await startMock(t, "server-errors");
+  startChat();
+
+  let points;
+  const counted = await countStats(async () => {
+    points = await auth.makeApiRequest("GET", "/points");
+  });
+
+  assert.strictEqual(typeof points.total_points, "number");
+  assert.strictEqual(counted.retries, 3);
+  assert.strictEqual(mock.getState().requestCount, 4);
+});
+
+test("server-errors: retries stop at AUTH_RETRY.maxRetries", async (t) => {
+  await startMock(t, "server-errors");
+  startChat();
+
+  const maxRetries = config.AUTH_RETRY.maxRetries;
+  config.AUTH_RETRY.maxRetries = 2;
+  t.after(() => {
+    config.AUTH_RETRY.maxRetries = maxRetries;
+  });
+
+  await assert.rejects(
+    auth.makeApiRequest("GET", "/points"),
+    (error) => error.response.status === 503
+  );
+});
+
+test("server-errors: tokens that can't be verified are kept", async (t) => {
+  await startMock(t, "server-errors");
+
+  const maxRetries = config.AUTH_RETRY.maxRetries;
+  config.AUTH_RETRY.maxRetries = 1;
+  t.after(() => {
+    config.AUTH_RETRY.maxRetries = maxRetries;
+  });
+
+  await useAccounts(["unverified-token-1", "unverified-token-2"]);
+
+  const accounts = JSON.parse(
+    fs.readFileSync(path.join(directory, "accounts.json"), "utf8")
+  ).accounts;
+  assert.deepStrictEqual(
+    accounts.map((account) => account.token),
+    ["unverified-token-1", "unverified-token-2"]
+  );
+  assert.strictEqual(
+    accounts[0].lastError.message,
+    "Token could not be verified"
+  );
+});
+
+test("socket-hangup: dropped chat requests are sent again", async (t) => {
+  await startMock(t, "socket-hangup");
+  startChat();
+
+  const counted = await countStats(async () => {
+    for (let i = 0; i < 3; i++) {
+      await chat.sendChatMessage(`Question ${i}`);
+    }
+  });
+
+  assert.strictEqual(counted.succeeded, 3);
+  assert.strictEqual(counted.retries, 1);
+  assert.strictEqual(counted.abortsVerified, undefined);
+});
+
+test("stream-abort: an aborted stream is verified through points", async (t) => {
+  await startMock(t, "stream-abort");
+  startChat();
+
+  const counted = await countStats(() => chat.sendChatMessage("Hello"));
+
+  assert.strictEqual(counted.succeeded, 1);
+  assert.strictEqual(counted.abortsVerified, 1);
+  assert.strictEqual(counted.points, 1);
+});
+
+test("stream-abort-no-points: an unverified abort fails the chat", async (t) => {
+  await startMock(t, "stream-abort-no-points");
+  startChat();
+
+  await assert.rejects(chat.sendChatMessage("Hello"), /no point increase/);
+});
+
+test("stream-stall: a silent stream is not taken as an answer", async (t) => {
+  await startMock(t, "stream-stall");
+  startChat();
+
+  await assert.rejects(chat.sendChatMessage("Hello"), /no point increase/);
+});
+
+test("no-points: a complete answer is kept without a point increase", async (t) => {
+  await startMock(t, "no-points");
+  startChat();
+
+  const counted = await countStats(() => chat.sendChatMessage("Hello"));
+
+  assert.strictEqual(counted.succeeded, 1);
+  assert.strictEqual(counted.points, undefined);
+});
+
+test("rate-limit: the quota runs out and reports its reset time", async (t) => {
+  await startMock(t, "rate-limit");
+  startChat();
+
+  for (let i = 0; i < 3; i++) {
+    await chat.sendChatMessage(`Question ${i}`);
+  }
+
+  const quota = await rateLimit.getRateLimit();
+  assert.strictEqual(quota.remaining, 0);
+  assert.ok(quota.resetTime > 0 && quota.resetTime <= 45);
+
+  await assert.rejects(chat.sendChatMessage("One more"), /no point increase/);
+});
+
+test("token-expiry: an expired token without a wallet moves to the next account", async (t) => {
+  const mock = await startMock(t, "token-expiry");
+  await useAccounts(["expiring-token-1", "expiring-token-2"]);
+
+  for (let i = 0; i < 5; i++) {
+    await auth.makeApiRequest("GET", "/me");
+  }
+  assert.strictEqual(auth.getSessionToken(), "expiring-token-1");
+
+  await auth.makeApiRequest("GET", "/me");
+
+  assert.strictEqual(auth.getSessionToken(), "expiring-token-2");
+  assert.strictEqual(mock.getState().requestCount, 9);
+});
+
+test("token-expiry: requests rejected together move on by one account", async (t) => {
+  await startMock(t, "token-expiry");
+  await useAccounts(["shared-token-1", "shared-token-2", "shared-token-3"]);
+
+  for (let i = 0; i < 5; i++) {
+    await auth.makeApiRequest("GET", "/me");
+  }
+  await Promise.all([
+    auth.makeApiRequest("GET", "/me"),
+    auth.makeApiRequest("GET", "/me"),
+  ]);
+
+  assert.strictEqual(auth.getSessionToken(), "shared-token-2");
+});
@@ -0,0 +1,109 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const {
+  parseCron,
+  getWindowState,
+  getZonedParts,
+} = require("../src/utils/schedule");
+
+// 2024-01-01 is a Monday
+const at = (day, hour, minute = 0) => Date.UTC(2024, 0, day, hour, minute);
+const HOUR_MS = 60 * 60 * 1000;
+
+test("parseCron matches lists, ranges, steps and names", () => {
+  const matches = parseCron("*/15 9-17 * * mon-fri");
+
+  assert.strictEqual(matches(getZonedParts(at(1, 9, 30), "UTC")), true);
+  assert.strictEqual(matches(getZonedParts(at(1, 9, 31), "UTC")), false);
+  assert.strictEqual(matches(getZonedParts(at(1, 18, 0), "UTC")), false);
+  assert.strictEqual(matches(getZonedParts(at(6, 10, 0), "UTC")), false);
+});
+
+test("parseCron matches a restricted day of month or day of week", () => {
+  const matches = parseCron("0 12 15 * sun");
+
+  assert.strictEqual(matches(getZonedParts(at(15, 12), "UTC")), true);
+  assert.strictEqual(matches(getZonedParts(at(7, 12), "UTC")), true);
+  assert.strictEqual(matches(getZonedParts(at(8, 12), "UTC")), false);
+});
+
+test("parseCron rejects malformed expressions", () => {
+  assert.throws(() => parseCron("* * * *"), /5 fields/);
+  assert.throws(() => parseCron("60 * * * *"), /out of range/);
+  assert.throws(() => parseCron("*/0 * * * *"), /invalid step/);
+});
+
+test("getWindowState reports the end of an active overnight window", () => {
+  const windows = [{ days: "mon-fri", start: "22:00", end: "06:00" }];
+
+  assert.deepStrictEqual(getWindowState(windows, "UTC", at(2, 3)), {
+    active: true,
+    nextChange: at(2, 6),
+  });
+  assert.deepStrictEqual(getWindowState(windows, "UTC", at(2, 12)), {
+    active: false,
+    nextChange: at(2, 22),
+  });
+});
+
+test("getWindowState skips to the next matching day", () => {
+  const windows = [{ days: "mon-fri", start: "09:00", end: "17:00" }];
+
+  // Friday evening: next window is Monday morning
+  assert.deepStrictEqual(getWindowState(windows, "UTC", at(5, 18)), {
+    active: false,
+    nextChange: at(8, 9),
+  });
+});
+
+test("getWindowState merges cron windows that overlap", () => {
+  const windows = [{ cron: "0 */2 * * *", durationMinutes: 150 }];
+
+  const state = getWindowState(windows, "UTC", at(1, 1));
+  assert.strictEqual(state.active, true);
+  assert.strictEqual(state.nextChange, null);
+});
+
+test("getWindowState returns no change for an always open window", () => {
+  const windows = [{ days: "*", start: "00:00", end: "00:00" }];
+
+  assert.deepStrictEqual(getWindowState(windows, "UTC", at(3, 12)), {
+    active: true,
+    nextChange: null,
+  });
+});
+
+test("getWindowState follows the time zone", () => {
+  const windows = [{ days: "*", start: "09:00", end: "10:00" }];
+
+  // 09:30 in Berlin (UTC+1 in January) is 08:30 UTC
+  assert.deepStrictEqual(
+    getWindowState(windows, "Europe/Berlin", at(1, 8, 30)),
+    { active: true, nextChange: at(1, 9) }
+  );
+});
+
+test("getWindowState runs a window twice when clocks go back over it", () => {
+  const windows = [{ cron: "15 2 * * *", durationMinutes: 30 }];
+  // Berlin leaves summer time at 03:00 on 2024-10-27, so 02:15 happens at
+  // 00:15 and 01:15 UTC
+  const first = Date.UTC(2024, 9, 27, 0, 15);
+
+  assert.deepStrictEqual(
+    getWindowState(windows, "Europe/Berlin", first + 10 * 60 * 1000),
+    { active: true, nextChange: first + 30 * 60 * 1000 }
+  );
+  assert.deepStrictEqual(
+    getWindowState(windows, "Europe/Berlin", first + 40 * 60 * 1000),
+    { active: false, nextChange: first + HOUR_MS }
+  );
+});
+
+test("getWindowState reports nothing when no window starts within a week", () => {
+  const windows = [{ cron: "0 9 29 2 *", durationMinutes: 60 }];
+
+  assert.deepStrictEqual(getWindowState(windows, "UTC", at(1, 0)), {
+    active: false,
+    nextChange: null,
+  });
+});
@@ -0,0 +1,59 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// The stores resolve their files against the working directory
+process.chdir(fs.mkdtempSync(path.join(os.tmpdir(), "klok-test-")));
+
+const { pickNextToken, recordQuota } = require("../src/services/scheduler");
+
+const tokens = ["token-a", "token-b", "token-c"];
+
+test("pickNextToken moves on to the next account with quota", () => {
+  recordQuota("token-a", { limit: 10, remaining: 5, resetTime: 0 });
+  recordQuota("token-b", { limit: 10, remaining: 0, resetTime: 600 });
+  recordQuota("token-c", { limit: 10, remaining: 3, resetTime: 0 });
+
+  assert.deepStrictEqual(pickNextToken(tokens, 0), { index: 2, waitMs: 0 });
+  assert.deepStrictEqual(pickNextToken(tokens, 2), { index: 0, waitMs: 0 });
+});
+
+test("pickNextToken falls back to the current account", () => {
+  recordQuota("token-a", { limit: 10, remaining: 1, resetTime: 0 });
+  recordQuota("token-b", { limit: 10, remaining: 0, resetTime: 600 });
+  recordQuota("token-c", { limit: 10, remaining: 0, resetTime: 600 });
+
+  assert.deepStrictEqual(pickNextToken(tokens, 0), { index: 0, waitMs: 0 });
+});
+
+test("pickNextToken waits for the account that resets first", () => {
+  recordQuota("token-a", { limit: 10, remaining: 0, resetTime: 900 });
+  recordQuota("token-b", { limit: 10, remaining: 0, resetTime: 300 });
+  recordQuota("token-c", { limit: 10, remaining: 0, resetTime: 600 });
+
+  const next = pickNextToken(tokens, 0);
+  assert.strictEqual(next.index, 1);
+  assert.ok(next.waitMs > 290 * 1000 && next.waitMs <= 300 * 1000);
+});
+
+test("pickNextToken honours minRemaining and skip", () => {
+  recordQuota("token-a", { limit: 10, remaining: 2, resetTime: 60 });
+  recordQuota("token-b", { limit: 10, remaining: 8, resetTime: 60 });
+  recordQuota("token-c", { limit: 10, remaining: 9, resetTime: 60 });
+
+  assert.strictEqual(pickNextToken(tokens, 2, { minRemaining: 5 }).index, 1);
+  assert.strictEqual(
+    pickNextToken(tokens, 0, { skip: (token) => token === "token-b" }).index,
+    2
+  );
+  assert.strictEqual(pickNextToken(tokens, 0, { skip: () => true }), null);
+});
+
+test("pickNextToken treats unchecked accounts as available", () => {
+  assert.deepStrictEqual(pickNextToken(["token-new"], 0), {
+    index: 0,
+    waitMs: 0,
+  });
+});
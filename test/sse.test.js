@@ -0,0 +1,118 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const axios = require("axios");
+const { createSSEParser, consumeSSEStream } = require("../src/utils/sse");
+const { createMockServer } = require("../mock/server");
+
+/**
+ * @param {Array<string|Buffer>} chunks
+ * @returns {Array<Object>} parsed events
+ */
+function parseChunks(chunks) {
+  const events = [];
+  const parser = createSSEParser((event) => events.push(event));
+  chunks.forEach((chunk) => parser.push(chunk));
+  parser.end();
+  return events;
+}
+
+/**
+ * @param {Buffer} buffer
+ * @param {number} size
+ * @returns {Array<Buffer>}
+ */
+function splitBuffer(buffer, size) {
+  const chunks = [];
+  for (let i = 0; i < buffer.length; i += size) {
+    chunks.push(buffer.subarray(i, i + size));
+  }
+  return chunks;
+}
+
+test("parses frames split across chunks", () => {
+  const events = parseChunks([
+    'data: {"content":',
+    '"Hel"}\n',
+    '\ndata: {"content":"lo"}\n\nev',
+    "ent: error\ndata: quota exceeded\n\n",
+  ]);
+
+  assert.deepStrictEqual(
+    events.map(({ event, data }) => ({ event, data })),
+    [
+      { event: "message", data: '{"content":"Hel"}' },
+      { event: "message", data: '{"content":"lo"}' },
+      { event: "error", data: "quota exceeded" },
+    ]
+  );
+});
+
+test("keeps CRLF line endings split between chunks together", () => {
+  const events = parseChunks(["data: one\r", "\n\r", "\ndata: two\r\n\r\n"]);
+
+  assert.deepStrictEqual(
+    events.map((event) => event.data),
+    ["one", "two"]
+  );
+});
+
+test("decodes multi-byte characters split across chunks", () => {
+  const frame = Buffer.from('data: {"content":"héllo 🙂"}\n\n');
+  const events = parseChunks(splitBuffer(frame, 1));
+
+  assert.strictEqual(events.length, 1);
+  assert.strictEqual(JSON.parse(events[0].data).content, "héllo 🙂");
+});
+
+test("joins data lines and flushes an unterminated frame", () => {
+  const events = parseChunks([": comment\nid: 7\ndata: a\ndata: b"]);
+
+  assert.deepStrictEqual(events, [{ event: "message", data: "a\nb", id: "7" }]);
+});
+
+test("consumes a chat stream from the mock server", async (t) => {
+  const mock = createMockServer({ scenario: "healthy" });
+  const baseUrl = await mock.start();
+  t.after(() => mock.stop());
+
+  /**
+   * @returns {Promise<Object>} { reason, content, done }
+   */
+  const chat = async () => {
+    const response = await axios.post(
+      `${baseUrl}/chat`,
+      { messages: [{ role: "user", content: "Hi" }], model: "test" },
+      {
+        headers: { "x-session-token": "test-token" },
+        responseType: "stream",
+      }
+    );
+
+    let content = "";
+    let done = false;
+    const { reason } = await consumeSSEStream(response.data, {
+      idleTimeoutMs: 2000,
+      onEvent: (event) => {
+        if (event.data === "[DONE]") {
+          done = true;
+          return true;
+        }
+        content += JSON.parse(event.data).content || "";
+        return false;
+      },
+    });
+
+    return { reason, content, done };
+  };
+
+  const healthy = await chat();
+  assert.strictEqual(healthy.reason, "terminal");
+  assert.strictEqual(healthy.done, true);
+  assert.ok(healthy.content.length > 0);
+
+  mock.setScenario("stream-abort");
+  const aborted = await chat();
+  assert.notStrictEqual(aborted.reason, "terminal");
+  assert.strictEqual(aborted.done, false);
+  assert.ok(aborted.content.length < healthy.content.length);
+});